@@ -0,0 +1,78 @@
+/**
+ * Compute Jobs
+ * Job handlers shared by the compute workers and the main-thread fallback,
+ * and the planner state the workers need to mirror
+ * Author: K7CFO
+ */
+
+import { rfUtils } from '../rf/rf-utils.js';
+import { clutterModel } from '../rf/clutter.js';
+import { antennaLibrary } from '../rf/antennas.js';
+import { linkBudgetCalculator } from '../rf/link-budget.js';
+import { coveragePredictor } from '../rf/coverage.js';
+
+export const jobHandlers = {
+    /**
+     * One link direction; options must carry the elevation profile
+     */
+    linkBudget: ({ tx, rx, options }) => linkBudgetCalculator.calculateLinkBudget(tx, rx, options),
+
+    /**
+     * Radial coverage from elevations fetched for coveragePredictor.getRayLocations
+     */
+    coverage: ({ tx, elevations, options }, onProgress) =>
+        coveragePredictor.predictFromElevations(tx, elevations, options, onProgress)
+};
+
+/**
+ * Cheap fingerprint of the shared state, so workers only get a new copy when
+ * the band plan, clutter or imported antenna patterns change. Polygons, the
+ * raster and patterns are versioned, since edits and re-imports keep their ids.
+ */
+export function getContextKey() {
+    const raster = clutterModel.raster;
+    return [
+        rfUtils.bandPlan.id,
+        `p${clutterModel.polygonVersion}:${clutterModel.polygons.length}`,
+        raster ? `v${clutterModel.rasterVersion}:${raster.ncols}x${raster.nrows}@${raster.xll},${raster.yll}/${raster.cellsize}` : '',
+        `a${antennaLibrary.patternVersion}`
+    ].join('|');
+}
+
+/**
+ * Snapshot of the shared state (main thread)
+ */
+export function getContext() {
+    return {
+        region: rfUtils.bandPlan.id,
+        clutterPolygons: clutterModel.polygons,
+        clutterRaster: clutterModel.raster,
+        antennaPatterns: Array.from(antennaLibrary.patterns.values()).filter(pattern => pattern.custom)
+    };
+}
+
+/**
+ * Mirror the main thread's state (worker)
+ */
+export function applyContext(context) {
+    rfUtils.setBandPlan(context.region);
+    clutterModel.polygons = context.clutterPolygons;
+    clutterModel.raster = context.clutterRaster;
+    antennaLibrary.loadCustomPatterns(context.antennaPatterns);
+}
+
+/**
+ * Run one job
+ *
+ * @param {string} type - Key of jobHandlers
+ * @param {Object} payload - Job input (structured-cloneable)
+ * @param {Function} onProgress - Called with a 0..1 fraction (optional)
+ * @returns {Promise<*>} Job result
+ */
+export async function runJob(type, payload, onProgress = null) {
+    const handler = jobHandlers[type];
+    if (!handler) {
+        throw new Error(`Unknown compute job: ${type}`);
+    }
+    return handler(payload, onProgress);
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getContextKey } from './compute-jobs.js';
+import { clutterModel } from '../rf/clutter.js';
+import { antennaLibrary } from '../rf/antennas.js';
+
+const square = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }];
+
+describe('getContextKey', () => {
+    beforeEach(() => {
+        clutterModel.clear();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('changes when a polygon is reshaped under the same id and class', () => {
+        clutterModel.addPolygon('forest', square, 'clutter_1');
+        const key = getContextKey();
+        clutterModel.updatePolygon('clutter_1', { points: square.map(p => ({ lat: p.lat * 2, lng: p.lng * 2 })) });
+
+        expect(getContextKey()).not.toBe(key);
+    });
+
+    it('changes when a polygon changes class', () => {
+        clutterModel.addPolygon('forest', square, 'clutter_1');
+        const key = getContextKey();
+        clutterModel.updatePolygon('clutter_1', { classId: 'urban' });
+
+        expect(clutterModel.polygons[0].classId).toBe('urban');
+        expect(getContextKey()).not.toBe(key);
+    });
+
+    it('changes when a pattern file is imported again under the same id', () => {
+        const flat = (gain) => Array.from({ length: 720 }, () => gain).join('\n');
+        antennaLibrary.importPattern(flat(3), 'yagi.ant');
+        const key = getContextKey();
+        antennaLibrary.importPattern(flat(6), 'yagi.ant');
+
+        expect(getContextKey()).not.toBe(key);
+    });
+
+    it('stays the same when nothing changes', () => {
+        clutterModel.addPolygon('forest', square, 'clutter_1');
+        expect(getContextKey()).toBe(getContextKey());
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Compute Pool
+ * Message-based job queue over a pool of Web Workers, with progress
+ * reporting, cancellation by group and priority for the node being edited
+ * Author: K7CFO
+ */
+
+import { runJob, getContext, getContextKey } from './compute-jobs.js';
+
+export class ComputePool {
+    constructor() {
+        // Leave a core for the UI thread
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        this.size = Math.max(1, Math.min(4, cores - 1));
+
+        // Without Worker support (or if a worker fails to load) jobs run on the main thread
+        this.inline = typeof Worker === 'undefined';
+
+        this.slots = [];          // {worker, job, contextKey}
+        this.queue = [];          // Jobs waiting for a slot
+        this.nextJobId = 1;
+        this.focusGroup = null;   // Group whose jobs jump the queue
+
+        // Progress since the pool was last idle
+        this.completed = 0;
+        this.total = 0;
+        this.onProgress = null;   // ({completed, total, fraction}) => void
+    }
+
+    /**
+     * Queue a job
+     *
+     * @param {string} type - Job type (see compute-jobs.js)
+     * @param {Object} payload - Job input (structured-cloneable)
+     * @param {Object} options - {group (e.g. node id, or an array of them, for cancel and prioritize),
+     *   priority (higher first), signal (AbortSignal that cancels the job)}
+     * @returns {Promise<*>} Job result; rejects with error.cancelled = true when cancelled
+     */
+    run(type, payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextJobId++,
+                type: type,
+                payload: payload,
+                groups: [].concat(options.group ?? []),
+                priority: options.priority || 0,
+                progress: 0,
+                resolve: resolve,
+                reject: reject
+            };
+
+            // Work for an aborted computation is not started at all
+            if (options.signal?.aborted) {
+                this.rejectCancelled(job);
+                return;
+            }
+            options.signal?.addEventListener('abort', () => this.cancelJob(job), { once: true });
+
+            this.queue.push(job);
+            this.total++;
+            this.pump();
+            this.reportProgress();
+        });
+    }
+
+    /**
+     * Cancel queued and running jobs. A running job finishes in its worker,
+     * but its result is dropped.
+     *
+     * @param {string|null} group - Only jobs in this group (null: every job)
+     * @param {string|null} type - Only this job type (null: every type)
+     */
+    cancel(group = null, type = null) {
+        const matches = (job) => (group === null || job.groups.includes(group)) && (type === null || job.type === type);
+
+        this.queue.filter(matches).forEach(job => this.cancelJob(job, false));
+        this.slots.forEach(slot => {
+            if (slot.job && matches(slot.job)) this.cancelJob(slot.job, false);
+        });
+
+        this.reportProgress();
+    }
+
+    /**
+     * Cancel one queued or running job
+     */
+    cancelJob(job, report = true) {
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+            this.total--;
+            this.rejectCancelled(job);
+        } else if (!job.cancelled && this.slots.some(slot => slot.job === job)) {
+            job.cancelled = true;
+            this.rejectCancelled(job);
+        }
+
+        if (report) this.reportProgress();
+    }
+
+    /**
+     * Run a group's queued jobs before all others
+     */
+    prioritize(group) {
+        this.focusGroup = group;
+    }
+
+    rejectCancelled(job) {
+        const error = new Error(`Compute job ${job.type} cancelled`);
+        error.cancelled = true;
+        job.reject(error);
+    }
+
+    /**
+     * Hand queued jobs to idle slots
+     */
+    pump() {
+        while (this.queue.length > 0) {
+            const slot = this.getIdleSlot();
+            if (!slot) return;
+            this.dispatch(slot, this.takeNext());
+        }
+    }
+
+    getIdleSlot() {
+        const idle = this.slots.find(slot => !slot.job);
+        if (idle) return idle;
+
+        if (this.slots.length < (this.inline ? 1 : this.size)) {
+            const slot = { worker: this.inline ? null : this.createWorker(), job: null, contextKey: null };
+            this.slots.push(slot);
+            return slot;
+        }
+        return null;
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL('./compute-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            const slot = this.slots.find(s => s.worker === worker);
+            if (slot) this.handleMessage(slot, e.data);
+        };
+        worker.onerror = (e) => {
+            console.error('Compute worker failed, running jobs on the main thread:', e.message);
+            this.fallBackToInline();
+        };
+        return worker;
+    }
+
+    /**
+     * Drop the workers and re-run their jobs on the main thread
+     */
+    fallBackToInline() {
+        const running = this.slots.filter(slot => slot.job && !slot.job.cancelled).map(slot => slot.job);
+        this.slots.forEach(slot => slot.worker?.terminate());
+        this.slots = [];
+        this.inline = true;
+        this.queue.unshift(...running);
+        this.pump();
+    }
+
+    /**
+     * Next job: the focused group first, then by priority, then in order queued
+     */
+    takeNext() {
+        const rank = (job) => [this.focusGroup !== null && job.groups.includes(this.focusGroup) ? 1 : 0, job.priority, -job.id];
+        let best = 0;
+        for (let i = 1; i < this.queue.length; i++) {
+            const a = rank(this.queue[i]);
+            const b = rank(this.queue[best]);
+            if (a[0] > b[0] || (a[0] === b[0] && (a[1] > b[1] || (a[1] === b[1] && a[2] > b[2])))) {
+                best = i;
+            }
+        }
+        return this.queue.splice(best, 1)[0];
+    }
+
+    dispatch(slot, job) {
+        slot.job = job;
+
+        if (this.inline) {
+            runJob(job.type, job.payload, progress => this.handleMessage(slot, { id: job.id, progress: progress }))
+                .then(result => this.handleMessage(slot, { id: job.id, result: result }))
+                .catch(error => this.handleMessage(slot, { id: job.id, error: error.message }));
+            return;
+        }
+
+        // Workers get a fresh copy of the shared state only when it has changed
+        const message = { id: job.id, type: job.type, payload: job.payload };
+        const contextKey = getContextKey();
+        if (slot.contextKey !== contextKey) {
+            message.context = getContext();
+            slot.contextKey = contextKey;
+        }
+        slot.worker.postMessage(message);
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || job.id !== data.id) return;
+
+        if (data.progress !== undefined) {
+            job.progress = data.progress;
+            this.reportProgress();
+            return;
+        }
+
+        slot.job = null;
+        this.completed++;
+        if (!job.cancelled) {
+            if (data.error !== undefined) {
+                job.reject(new Error(data.error));
+            } else {
+                job.resolve(data.result);
+            }
+        }
+
+        this.pump();
+        this.reportProgress();
+    }
+
+    /**
+     * Report progress; counters restart once the pool is idle
+     */
+    reportProgress() {
+        const running = this.slots.filter(slot => slot.job);
+        const partial = running.reduce((sum, slot) => sum + slot.job.progress, 0);
+        const idle = this.queue.length === 0 && running.length === 0;
+
+        if (this.onProgress) {
+            this.onProgress({
+                completed: this.completed,
+                total: this.total,
+                fraction: idle || this.total === 0 ? 1 : (this.completed + partial) / this.total
+            });
+        }
+
+        if (idle) {
+            this.completed = 0;
+            this.total = 0;
+        }
+    }
+}
+
+// Create singleton instance
+export const computePool = new ComputePool();
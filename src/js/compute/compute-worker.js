@@ -0,0 +1,21 @@
+/**
+ * Compute Worker
+ * Runs link budget and coverage jobs posted by the compute pool
+ * Author: K7CFO
+ */
+
+import { runJob, applyContext } from './compute-jobs.js';
+
+// Messages in: {id, type, payload, context?}
+// Messages out: {id, progress} while running, then {id, result} or {id, error}
+self.onmessage = async (e) => {
+    const { id, type, payload, context } = e.data;
+
+    try {
+        if (context) applyContext(context);
+        const result = await runJob(type, payload, progress => self.postMessage({ id: id, progress: progress }));
+        self.postMessage({ id: id, result: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+};
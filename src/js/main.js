@@ -1,15 +1,102 @@
 // LoRa Mesh Network Planner - Main Application
 import { linkBudgetCalculator } from './rf/link-budget.js';
+import { rfUtils } from './rf/rf-utils.js';
+import { elevationService } from './rf/elevation-service.js';
+import { demLibrary } from './rf/dem.js';
+import { clutterModel } from './rf/clutter.js';
+import { antennaLibrary } from './rf/antennas.js';
+import { hardwareProfiles } from './rf/hardware.js';
+import { interferenceAnalyzer } from './rf/interference.js';
+import { antennaHeightSolver } from './rf/height-solver.js';
+import { MESHTASTIC_PRESETS, getModemPreset } from './rf/modem-presets.js';
+import { complianceChecker } from './rf/compliance.js';
+import { floodSimulator } from './mesh/flood-simulator.js';
+import { relayFinder } from './mesh/relay-finder.js';
+import { repeaterPlanner } from './mesh/repeater-planner.js';
+import { coveragePredictor } from './rf/coverage.js';
+import { bestServerAnalyzer } from './rf/best-server.js';
+import { computePool } from './compute/compute-pool.js';
+import { getContextKey } from './compute/compute-jobs.js';
+import { linkGraph } from './mesh/link-graph.js';
+import { spatialIndex } from './mesh/spatial-index.js';
 
 class LoRaMeshPlanner {
     constructor() {
         this.map = null;
         this.transmitters = new Map(); // Store transmitter data
         this.linkLines = new Map(); // Store link polylines
-        this.coverageCircles = new Map(); // Store coverage areas
+        this.coverageLayers = new Map(); // Store coverage areas
+        this.coverageVersions = new Map(); // Latest prediction request per node, to drop stale results
+        this.linkVersions = new Map(); // Latest link update per node
+        this.markerClusters = null; // Count markers and merged links standing in for nodes at low zoom
+        this.nodeClusters = new Map(); // Clustered node id → {key, latlng} of its cluster
+        this.clusterSettings = {
+            maxZoom: 11,     // Cluster at this zoom and below
+            minNodes: 50,    // Smaller networks are never clustered
+            cellPixels: 60   // Cluster cell size on screen
+        };
+        this.coverageRenderer = L.canvas(); // Hundreds of cells per node
+        this.coveragePredictions = new Map(); // Node id → radial prediction
+        this.networkCoverageLayer = null; // Best server / redundancy grid
+        this.networkCoverageTimer = null;
         this.currentPower = 0.15; // Default 0.15W
+        this.currentRegion = 'US915'; // Default band plan
+        this.radioSettings = {
+            bandwidth: 125e3,  // Hz
+            codingRate: 5,     // 4/5
+            noiseFigure: 6,    // dB
+            antennaGain: 3,    // dBi (transmit and receive)
+            cableLoss: 1.5,    // dB (feedline)
+            connectorLoss: 0.5, // dB
+            payloadSize: 32,   // bytes
+            modemPreset: null  // Meshtastic preset id (null = custom, automatic SF)
+        };
+        this.propagationSettings = {
+            propagationModel: 'terrain',
+            environment: 'suburban',  // Project default (urban, suburban, rural)
+            diffractionMethod: 'deygout',
+            kFactor: 4 / 3,
+            shadowingSigma: null,     // dB (null = from environment)
+            fastFading: 'none',       // none, rayleigh, rician
+            ricianK: 6,               // dB
+            retries: 0,               // Retransmissions per packet
+            timeVariability: 50,      // % (Longley-Rice)
+            locationVariability: 50,  // %
+            situationVariability: 50  // %
+        };
+        this.worstCaseRefraction = false; // Re-check every link at k=2/3
+        this.interferenceAnalysis = false; // SINR with all other nodes transmitting
+        this.trafficRate = 10; // Packets/hour each node transmits (own and relayed), for duty-cycle checks
+        this.compliance = new Map(); // Transmitter id -> regulatory compliance result
+        this.linkEnvironments = new Map(); // Per-link environment overrides (linkId -> environment)
+        this.clutterSettings = {
+            season: 'leafOn',      // Vegetation leaf-on / leaf-off
+            defaultClass: 'open',  // Clutter class where nothing is assigned
+            drawClass: 'forest'    // Class for newly drawn polygons
+        };
+        this.clutterLayers = new Map(); // Clutter polygon id -> L.polygon
+        this.clutterDraft = null; // Polygon being drawn {points, line}
+        this.floodLayer = null; // Message flood animation
+        this.floodTimers = [];
+        this.relayCandidates = null; // Temporary relay site markers
+        this.demLayer = null; // Outlines of the loaded DEM files
+        this.repeaterSettings = {
+            repeaterHeight: 10,  // m AGL
+            rxHeight: 1.5,       // m AGL (handheld)
+            requiredMargin: 10,  // dB fade margin at the receiver
+            maxRepeaters: 5
+        };
+        this.areaDraft = null; // Target area being drawn {points, line}
+        this.targetArea = null; // {points, layer}
+        this.repeaterPlanLayer = null; // Proposed sites, backbone and test points
         this.showCoverage = false;
         this.coverageOpacity = 0.3;
+        this.coverageSettings = {
+            rxHeight: coveragePredictor.rxHeight,       // m AGL (mobile receiver)
+            radius: coveragePredictor.radius,           // km
+            azimuthStep: coveragePredictor.azimuthStep, // degrees
+            view: 'node' // node, bestServer, bestMargin or redundancy
+        };
         
         // Map layer definitions
         this.mapLayers = {
@@ -33,8 +120,14 @@ class LoRaMeshPlanner {
     init() {
         this.initMap();
         this.bindEvents();
+        computePool.onProgress = (progress) => this.showComputeProgress(progress);
+        linkGraph.subscribe((change) => this.onLinkChange(change));
+        // Links estimated while offline are provisional and get computed again
+        window.addEventListener('online', () => this.updateAllLinks());
         this.initPowerDropdown();
+        this.initPresetDropdown();
         this.loadFromStorage();
+        this.updateBandPlanInfo();
     }
 
     initMap() {
@@ -59,8 +152,31 @@ class LoRaMeshPlanner {
         };
         instructionsControl.addTo(this.map);
         
+        // Large networks show one count marker per screen cell at low zoom
+        this.markerClusters = L.layerGroup().addTo(this.map);
+        this.map.on('zoomend', () => this.updateMarkerClusters());
+        
         // Bind map click event for transmitter placement
-        this.map.on('click', (e) => this.addTransmitter(e.latlng));
+        this.map.on('click', (e) => {
+            if (this.clutterDraft) {
+                this.addClutterVertex(e.latlng);
+            } else if (this.areaDraft) {
+                this.areaDraft.points.push({ lat: e.latlng.lat, lng: e.latlng.lng });
+                this.areaDraft.line.addLatLng(e.latlng);
+            } else {
+                this.addTransmitter(e.latlng);
+            }
+        });
+    }
+
+    initPresetDropdown() {
+        const select = document.getElementById('modemPresetSelect');
+        Object.values(MESHTASTIC_PRESETS).forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.name} (${preset.spreadingFactor}, ${preset.bandwidth / 1e3} kHz, 4/${preset.codingRate})`;
+            select.appendChild(option);
+        });
     }
 
     initPowerDropdown() {
@@ -86,6 +202,224 @@ class LoRaMeshPlanner {
             this.updateAllLinks(); // Recalculate links with new power
         });
         
+        // Region / band plan selection
+        document.getElementById('regionSelect').addEventListener('change', (e) => {
+            this.setRegion(e.target.value);
+            this.updateAllLinks(); // Recalculate links at the new frequency
+            this.saveToStorage();
+        });
+        
+        // Network-wide modem settings
+        document.getElementById('modemPresetSelect').addEventListener('change', (e) => {
+            this.radioSettings.modemPreset = e.target.value || null;
+            this.updateRadioControls();
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('bandwidthSelect').addEventListener('change', (e) => {
+            this.radioSettings.bandwidth = parseFloat(e.target.value);
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('codingRateSelect').addEventListener('change', (e) => {
+            this.radioSettings.codingRate = parseInt(e.target.value, 10);
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('payloadSizeInput').addEventListener('change', (e) => {
+            const payloadSize = parseInt(e.target.value, 10);
+            if (isNaN(payloadSize) || payloadSize < 1) return;
+            this.radioSettings.payloadSize = Math.min(255, payloadSize);
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('antennaGainInput').addEventListener('change', (e) => {
+            const antennaGain = parseFloat(e.target.value);
+            if (isNaN(antennaGain)) return;
+            this.radioSettings.antennaGain = antennaGain;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('antennaPatternInput').addEventListener('change', async (e) => {
+            await this.importAntennaPatterns(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        
+        document.getElementById('noiseFigureInput').addEventListener('change', (e) => {
+            const noiseFigure = parseFloat(e.target.value);
+            if (isNaN(noiseFigure)) return;
+            this.radioSettings.noiseFigure = noiseFigure;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        // Propagation model settings
+        document.getElementById('propagationModelSelect').addEventListener('change', (e) => {
+            this.propagationSettings.propagationModel = e.target.value;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('fadingSelect').addEventListener('change', (e) => {
+            this.propagationSettings.fastFading = e.target.value;
+            this.updateFadingControls();
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('shadowingSigmaInput').addEventListener('change', (e) => {
+            const sigma = parseFloat(e.target.value);
+            this.propagationSettings.shadowingSigma = isNaN(sigma) ? null : Math.max(0, sigma);
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('ricianKInput').addEventListener('change', (e) => {
+            const ricianK = parseFloat(e.target.value);
+            if (isNaN(ricianK)) return;
+            this.propagationSettings.ricianK = ricianK;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('retriesInput').addEventListener('change', (e) => {
+            const retries = parseInt(e.target.value, 10);
+            if (isNaN(retries)) return;
+            this.propagationSettings.retries = Math.min(7, Math.max(0, retries));
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('environmentSelect').addEventListener('change', (e) => {
+            this.propagationSettings.environment = e.target.value;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        ['time', 'location', 'situation'].forEach(kind => {
+            document.getElementById(`${kind}VariabilityInput`).addEventListener('change', (e) => {
+                const percent = parseFloat(e.target.value);
+                if (isNaN(percent)) return;
+                this.propagationSettings[`${kind}Variability`] = Math.min(99, Math.max(1, percent));
+                this.updateAllLinks();
+                this.saveToStorage();
+            });
+        });
+        
+        document.getElementById('diffractionSelect').addEventListener('change', (e) => {
+            this.propagationSettings.diffractionMethod = e.target.value;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('kFactorSelect').addEventListener('change', (e) => {
+            this.propagationSettings.kFactor = parseFloat(e.target.value);
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('worstCaseRefraction').addEventListener('change', (e) => {
+            this.worstCaseRefraction = e.target.checked;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('interferenceAnalysis').addEventListener('change', (e) => {
+            this.interferenceAnalysis = e.target.checked;
+            this.updateInterference();
+            this.saveToStorage();
+        });
+        
+        // Clutter and vegetation
+        document.getElementById('seasonSelect').addEventListener('change', (e) => {
+            this.clutterSettings.season = e.target.value;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('defaultClutterSelect').addEventListener('change', (e) => {
+            this.clutterSettings.defaultClass = e.target.value;
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('clutterClassSelect').addEventListener('change', (e) => {
+            this.clutterSettings.drawClass = e.target.value;
+        });
+        
+        document.getElementById('drawClutterButton').addEventListener('click', () => {
+            this.toggleClutterDrawing();
+        });
+        
+        document.getElementById('landCoverInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importLandCover(file);
+            e.target.value = '';
+        });
+        
+        document.getElementById('clearClutterButton').addEventListener('click', () => {
+            this.clearClutter();
+        });
+        
+        // Terrain data
+        document.getElementById('elevationSourceSelect').addEventListener('change', (e) => {
+            elevationService.setApi(e.target.value);
+            this.updateDemStatus();
+            this.updateAllLinks();
+            this.saveToStorage();
+        });
+        
+        document.getElementById('demFileInput').addEventListener('change', async (e) => {
+            await this.importDem(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        
+        document.getElementById('clearDemButton').addEventListener('click', () => {
+            this.clearDem();
+        });
+        
+        // Regulatory compliance
+        document.getElementById('trafficRateInput').addEventListener('change', (e) => {
+            const trafficRate = parseFloat(e.target.value);
+            if (isNaN(trafficRate) || trafficRate < 0) return;
+            this.trafficRate = trafficRate;
+            this.updateCompliance();
+            this.saveToStorage();
+        });
+        
+        // Repeater planning
+        document.getElementById('drawAreaButton').addEventListener('click', () => {
+            this.toggleAreaDrawing();
+        });
+        
+        [
+            ['repeaterHeightInput', 'repeaterHeight', 1],
+            ['receiverHeightInput', 'rxHeight', 0.5],
+            ['requiredMarginInput', 'requiredMargin', 0],
+            ['maxRepeatersInput', 'maxRepeaters', 1]
+        ].forEach(([inputId, setting, min]) => {
+            document.getElementById(inputId).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value) || value < min) return;
+                this.repeaterSettings[setting] = setting === 'maxRepeaters' ? Math.round(value) : value;
+                this.saveToStorage();
+            });
+        });
+        
+        document.getElementById('planRepeatersButton').addEventListener('click', () => {
+            this.planRepeaters();
+        });
+        
+        // Message flood simulation
+        document.getElementById('runFloodButton').addEventListener('click', () => {
+            this.runFloodSimulation(document.getElementById('floodSourceSelect').value);
+        });
+        
         // Clear button
         document.getElementById('clearButton').addEventListener('click', () => {
             this.clearAll();
@@ -106,6 +440,372 @@ class LoRaMeshPlanner {
             valueDisplay.textContent = e.target.value + '%';
             this.updateCoverageOpacity();
         });
+        
+        document.getElementById('coverageViewSelect').addEventListener('change', (e) => {
+            this.coverageSettings.view = e.target.value;
+            this.saveToStorage();
+            this.redrawCoverage();
+        });
+        
+        [
+            ['coverageRxHeightInput', 'rxHeight', 0.5],
+            ['coverageRadiusInput', 'radius', 1],
+            ['azimuthStepInput', 'azimuthStep', 1]
+        ].forEach(([inputId, setting, min]) => {
+            document.getElementById(inputId).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value) || value < min) return;
+                this.coverageSettings[setting] = value;
+                this.saveToStorage();
+                if (this.showCoverage) {
+                    this.hideAllCoverage();
+                    this.showAllCoverage();
+                }
+            });
+        });
+    }
+
+    setRegion(regionId) {
+        const bandPlan = rfUtils.setBandPlan(regionId);
+        this.currentRegion = bandPlan.id;
+        document.getElementById('regionSelect').value = bandPlan.id;
+        this.updateBandPlanInfo();
+        
+        console.log(`Band plan set to ${bandPlan.name}`);
+    }
+
+    updateBandPlanInfo() {
+        const info = document.getElementById('bandPlanInfo');
+        if (!info) return;
+        
+        const plan = rfUtils.bandPlan;
+        const dutyCycle = plan.dutyCycle ? `${plan.dutyCycle * 100}% duty cycle` : 'no duty-cycle limit';
+        info.textContent = `${this.formatFrequency(plan.frequency)} • max ${plan.maxEirpDbm} dBm EIRP • ${dutyCycle}`;
+    }
+
+    /**
+     * Retries only help against fast fading: without it every attempt sees the
+     * same shadowed power. The K-factor only applies to Rician fading.
+     */
+    updateFadingControls() {
+        const fading = this.propagationSettings.fastFading;
+        const retries = document.getElementById('retriesInput');
+        const ricianK = document.getElementById('ricianKInput');
+        
+        retries.disabled = fading === 'none';
+        retries.title = fading === 'none'
+            ? 'Retries have no effect without fast fading: every attempt sees the same shadowed power'
+            : 'Retransmissions per packet';
+        ricianK.disabled = fading !== 'rician';
+    }
+
+    formatFrequency(frequencyHz) {
+        return `${parseFloat((frequencyHz / 1e6).toFixed(3))} MHz`;
+    }
+
+    updateRadioControls() {
+        document.getElementById('modemPresetSelect').value = this.radioSettings.modemPreset || '';
+        document.getElementById('bandwidthSelect').value = this.radioSettings.bandwidth;
+        document.getElementById('codingRateSelect').value = this.radioSettings.codingRate;
+        
+        // A preset fixes bandwidth and coding rate for the whole mesh
+        const preset = getModemPreset(this.radioSettings.modemPreset);
+        document.getElementById('bandwidthSelect').disabled = preset !== null;
+        document.getElementById('codingRateSelect').disabled = preset !== null;
+        if (preset) {
+            document.getElementById('bandwidthSelect').value = preset.bandwidth;
+            document.getElementById('codingRateSelect').value = preset.codingRate;
+        }
+        document.getElementById('noiseFigureInput').value = this.radioSettings.noiseFigure;
+        document.getElementById('antennaGainInput').value = this.radioSettings.antennaGain;
+        document.getElementById('payloadSizeInput').value = this.radioSettings.payloadSize;
+        document.getElementById('propagationModelSelect').value = this.propagationSettings.propagationModel;
+        document.getElementById('environmentSelect').value = this.propagationSettings.environment;
+        document.getElementById('fadingSelect').value = this.propagationSettings.fastFading;
+        document.getElementById('shadowingSigmaInput').value = this.propagationSettings.shadowingSigma ?? '';
+        document.getElementById('ricianKInput').value = this.propagationSettings.ricianK;
+        document.getElementById('retriesInput').value = this.propagationSettings.retries;
+        this.updateFadingControls();
+        document.getElementById('timeVariabilityInput').value = this.propagationSettings.timeVariability;
+        document.getElementById('locationVariabilityInput').value = this.propagationSettings.locationVariability;
+        document.getElementById('situationVariabilityInput').value = this.propagationSettings.situationVariability;
+        document.getElementById('diffractionSelect').value = this.propagationSettings.diffractionMethod;
+        document.getElementById('kFactorSelect').value = this.propagationSettings.kFactor.toFixed(3);
+        document.getElementById('worstCaseRefraction').checked = this.worstCaseRefraction;
+        document.getElementById('interferenceAnalysis').checked = this.interferenceAnalysis;
+        document.getElementById('trafficRateInput').value = this.trafficRate;
+        document.getElementById('coverageRxHeightInput').value = this.coverageSettings.rxHeight;
+        document.getElementById('coverageRadiusInput').value = this.coverageSettings.radius;
+        document.getElementById('azimuthStepInput').value = this.coverageSettings.azimuthStep;
+        document.getElementById('coverageViewSelect').value = this.coverageSettings.view;
+        document.getElementById('repeaterHeightInput').value = this.repeaterSettings.repeaterHeight;
+        document.getElementById('receiverHeightInput').value = this.repeaterSettings.rxHeight;
+        document.getElementById('requiredMarginInput').value = this.repeaterSettings.requiredMargin;
+        document.getElementById('maxRepeatersInput').value = this.repeaterSettings.maxRepeaters;
+        document.getElementById('seasonSelect').value = this.clutterSettings.season;
+        document.getElementById('defaultClutterSelect').value = this.clutterSettings.defaultClass;
+        document.getElementById('clutterClassSelect').value = this.clutterSettings.drawClass;
+    }
+
+    /**
+     * Radio chain of a node: network defaults, then its hardware profile,
+     * then per-node overrides
+     */
+    getRadioSettings(transmitter) {
+        const { maxPower, ...chain } = hardwareProfiles.resolve(transmitter.hardwareProfile) || {};
+        return { ...this.radioSettings, ...chain, ...transmitter.radio };
+    }
+
+    /**
+     * Antenna height above ground (m)
+     */
+    getAntennaHeight(transmitter) {
+        return transmitter.antennaHeight ?? linkBudgetCalculator.defaultParams.txAntennaHeight;
+    }
+
+    /**
+     * Transmit power limited by the node's radio module
+     */
+    getTransmitPower(transmitter) {
+        const chain = hardwareProfiles.resolve(transmitter.hardwareProfile);
+        return chain ? Math.min(transmitter.power, chain.maxPower) : transmitter.power;
+    }
+
+    /**
+     * Link budget options for a tx → rx path. The transmitter sets the channel
+     * bandwidth, coding rate and transmit antenna gain; the receiver contributes
+     * its noise figure and receive antenna gain.
+     */
+    getLinkOptions(tx, rx) {
+        const txRadio = this.getRadioSettings(tx);
+        const rxRadio = this.getRadioSettings(rx);
+        const linkId = [tx.id, rx.id].sort().join('-');
+        
+        return {
+            ...this.propagationSettings,
+            environment: this.linkEnvironments.get(linkId) || this.propagationSettings.environment,
+            season: this.clutterSettings.season,
+            defaultClutter: this.clutterSettings.defaultClass,
+            bandwidth: txRadio.bandwidth,
+            codingRate: txRadio.codingRate,
+            noiseFigure: rxRadio.noiseFigure,
+            txAntennaGain: txRadio.antennaGain,
+            rxAntennaGain: rxRadio.antennaGain,
+            txCableLoss: txRadio.cableLoss,
+            rxCableLoss: rxRadio.cableLoss,
+            txConnectorLoss: txRadio.connectorLoss,
+            rxConnectorLoss: rxRadio.connectorLoss,
+            txAntenna: tx.antenna || null,
+            rxAntenna: rx.antenna || null,
+            txAntennaHeight: this.getAntennaHeight(tx),
+            rxAntennaHeight: this.getAntennaHeight(rx),
+            rxBandwidth: rxRadio.bandwidth,
+            payloadSize: this.radioSettings.payloadSize,
+            modemPreset: this.radioSettings.modemPreset
+        };
+    }
+
+    /**
+     * Start drawing a clutter polygon, or finish the one being drawn
+     */
+    toggleClutterDrawing() {
+        const button = document.getElementById('drawClutterButton');
+        
+        if (!this.clutterDraft) {
+            this.clutterDraft = {
+                points: [],
+                line: L.polyline([], {
+                    color: clutterModel.classes[this.clutterSettings.drawClass].color,
+                    dashArray: '4, 4'
+                }).addTo(this.map)
+            };
+            button.textContent = '✅ Finish';
+            button.classList.add('active');
+            return;
+        }
+        
+        const draft = this.clutterDraft;
+        this.map.removeLayer(draft.line);
+        this.clutterDraft = null;
+        button.textContent = '✏️ Draw';
+        button.classList.remove('active');
+        
+        if (draft.points.length < 3) return;
+        
+        const polygon = clutterModel.addPolygon(this.clutterSettings.drawClass, draft.points);
+        this.addClutterLayer(polygon);
+        this.updateAllLinks();
+        this.saveToStorage();
+    }
+
+    addClutterVertex(latlng) {
+        this.clutterDraft.points.push({ lat: latlng.lat, lng: latlng.lng });
+        this.clutterDraft.line.addLatLng(latlng);
+    }
+
+    addClutterLayer(polygon) {
+        const clutterClass = clutterModel.classes[polygon.classId];
+        const layer = L.polygon(polygon.points.map(p => [p.lat, p.lng]), {
+            color: clutterClass.color,
+            fillColor: clutterClass.color,
+            fillOpacity: 0.25,
+            weight: 1
+        }).addTo(this.map);
+        
+        layer.bindPopup(`<div class="clutter-popup"><strong>${clutterClass.name}</strong><br><small>Right-click to change or delete</small></div>`);
+        layer.on('contextmenu', () => {
+            this.showClutterMenu(polygon);
+        });
+        
+        this.clutterLayers.set(polygon.id, layer);
+    }
+
+    showClutterMenu(polygon) {
+        const classIds = Object.keys(clutterModel.classes);
+        const options = classIds.map((id, i) => `${i + 1}. ${clutterModel.classes[id].name}`).join('\n');
+        const choice = prompt(`Clutter polygon (${clutterModel.classes[polygon.classId].name}):\n0. Delete\n${options}\n\nEnter choice:`);
+        if (choice === null) return;
+        
+        if (choice === '0') {
+            clutterModel.removePolygon(polygon.id);
+        } else if (classIds[parseInt(choice, 10) - 1]) {
+            clutterModel.updatePolygon(polygon.id, { classId: classIds[parseInt(choice, 10) - 1] });
+        } else {
+            return;
+        }
+        
+        this.map.removeLayer(this.clutterLayers.get(polygon.id));
+        this.clutterLayers.delete(polygon.id);
+        if (clutterModel.polygons.includes(polygon)) {
+            this.addClutterLayer(polygon);
+        }
+        
+        this.updateAllLinks();
+        this.saveToStorage();
+    }
+
+    async importLandCover(file) {
+        try {
+            const summary = clutterModel.loadAsciiGrid(await file.text());
+            console.log(`Loaded land cover raster ${file.name} (${summary.ncols}×${summary.nrows})`);
+            
+            this.map.fitBounds([
+                [summary.bounds.south, summary.bounds.west],
+                [summary.bounds.north, summary.bounds.east]
+            ]);
+            this.updateAllLinks();
+        } catch (error) {
+            console.error('Land cover import failed:', error);
+            alert(`Could not load land cover raster: ${error.message}`);
+        }
+    }
+
+    clearClutter() {
+        if (!confirm('Remove all clutter polygons and the imported land cover?')) return;
+        
+        this.clutterLayers.forEach(layer => this.map.removeLayer(layer));
+        this.clutterLayers.clear();
+        clutterModel.clear();
+        
+        this.updateAllLinks();
+        this.saveToStorage();
+    }
+
+    /**
+     * Load SRTM .hgt tiles and GeoTIFF DEMs and switch to them as the
+     * elevation source. Files are not saved; load them again after a reload.
+     */
+    async importDem(files) {
+        const loaded = [];
+        for (const file of files) {
+            try {
+                const summary = await demLibrary.loadFile(file);
+                loaded.push(summary);
+                console.log(`Loaded DEM ${summary.name} (${summary.columns}×${summary.rows})`);
+            } catch (error) {
+                console.error('DEM import failed:', error);
+                alert(`Could not load DEM file: ${error.message}`);
+            }
+        }
+        if (loaded.length === 0) return;
+        
+        elevationService.setApi('manual');
+        document.getElementById('elevationSourceSelect').value = 'manual';
+        this.updateDemStatus();
+        this.updateDemOutlines();
+        
+        // Show the new data when no nodes are placed yet
+        if (this.transmitters.size === 0) {
+            const bounds = L.latLngBounds([]);
+            loaded.forEach(summary => {
+                bounds.extend([summary.bounds.south, summary.bounds.west]);
+                bounds.extend([summary.bounds.north, summary.bounds.east]);
+            });
+            this.map.fitBounds(bounds);
+        }
+        
+        this.updateAllLinks();
+        this.saveToStorage();
+    }
+
+    clearDem() {
+        if (demLibrary.tiles.length === 0) return;
+        if (!confirm('Remove all loaded DEM files?')) return;
+        
+        demLibrary.clear();
+        elevationService.clearCache();
+        this.updateDemStatus();
+        this.updateDemOutlines();
+        this.updateAllLinks();
+    }
+
+    /**
+     * List the loaded DEM files and how many points fell outside them
+     */
+    updateDemStatus() {
+        const status = document.getElementById('demStatus');
+        const tiles = demLibrary.tiles;
+        const local = elevationService.currentApi === 'manual';
+        
+        if (tiles.length === 0) {
+            status.textContent = local
+                ? 'No DEM files loaded: elevations need a network connection (Open-Meteo), otherwise terrain is assumed flat'
+                : 'No DEM files loaded';
+            return;
+        }
+        
+        let text = `${tiles.length} file${tiles.length === 1 ? '' : 's'}: ${tiles.map(tile => tile.name).join(', ')}`;
+        if (!local) {
+            text += ' (not in use)';
+        } else {
+            const gaps = elevationService.demGapCounts;
+            const total = gaps.online + gaps.interpolated + gaps.estimated;
+            if (total > 0) {
+                text += `. ${total} points outside DEM coverage: ${gaps.online} from Open-Meteo, ` +
+                    `${gaps.interpolated} interpolated offline, ${gaps.estimated} assumed flat`;
+            }
+        }
+        status.textContent = text;
+    }
+
+    /**
+     * Outline the loaded DEM files on the map
+     */
+    updateDemOutlines() {
+        const tiles = demLibrary.tiles;
+        if (this.demLayer) {
+            this.map.removeLayer(this.demLayer);
+        }
+        this.demLayer = L.layerGroup(tiles.map(tile => {
+            const bounds = demLibrary.getTileBounds(tile);
+            return L.rectangle([[bounds.south, bounds.west], [bounds.north, bounds.east]], {
+                color: '#6b7280',
+                weight: 1,
+                dashArray: '4, 4',
+                fill: false,
+                interactive: false
+            });
+        })).addTo(this.map);
     }
 
     switchMapLayer(layerType) {
@@ -122,7 +822,7 @@ class LoRaMeshPlanner {
         }
     }
 
-    addTransmitter(latlng) {
+    addTransmitter(latlng, properties = {}) {
         const id = 'tx_' + Date.now();
         const marker = L.marker(latlng, {
             draggable: true,
@@ -135,14 +835,37 @@ class LoRaMeshPlanner {
             marker: marker,
             latlng: latlng,
             power: this.currentPower,
-            name: `TX-${this.transmitters.size + 1}`
+            name: `TX-${this.transmitters.size + 1}`,
+            ...properties
         };
         
         this.transmitters.set(id, transmitterData);
+        spatialIndex.insert(id, latlng);
+        this.bindTransmitterEvents(transmitterData);
+        
+        // Update display and recalculate links
+        this.updateStats();
+        this.updateLinksForTransmitter(id);
+        this.saveToStorage();
+        
+        console.log(`Added transmitter ${id} at ${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)} with ${this.currentPower}W`);
+    }
+
+    /**
+     * Drag, popup and context menu handlers of a node's marker
+     */
+    bindTransmitterEvents(transmitterData) {
+        const { id, marker } = transmitterData;
         
-        // Bind marker events
+        marker.on('dragstart', () => {
+            // The old position's calculations are useless now: this cancels
+            // every job tagged with the node, including network-wide link jobs
+            computePool.cancel(id);
+            computePool.prioritize(id);
+        });
         marker.on('dragend', () => {
             transmitterData.latlng = marker.getLatLng();
+            spatialIndex.insert(id, transmitterData.latlng);
             this.updateLinksForTransmitter(id);
             this.saveToStorage();
         });
@@ -154,21 +877,15 @@ class LoRaMeshPlanner {
         marker.on('contextmenu', (e) => {
             this.showTransmitterMenu(e, transmitterData);
         });
-        
-        // Update display and recalculate links
-        this.updateStats();
-        this.updateLinksForTransmitter(id);
-        this.saveToStorage();
-        
-        console.log(`Added transmitter ${id} at ${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)} with ${this.currentPower}W`);
     }
 
-    createTransmitterIcon(power) {
+    createTransmitterIcon(power, nonCompliant = false) {
         const color = power >= 1.0 ? '#ef4444' : '#f59e0b'; // Red for 1W, Orange for 0.15W
         const size = power >= 1.0 ? 12 : 8;
+        const badge = nonCompliant ? '<span class="compliance-badge" title="Exceeds regulatory limits">!</span>' : '';
         
         return L.divIcon({
-            html: `<div style="background: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>`,
+            html: `<div style="background: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>${badge}`,
             className: 'transmitter-icon',
             iconSize: [size + 4, size + 4],
             iconAnchor: [size/2 + 2, size/2 + 2]
@@ -179,22 +896,56 @@ class LoRaMeshPlanner {
         return `
             <div class="transmitter-popup">
                 <h4>${transmitterData.name}</h4>
-                <p class="power-info">Power: ${transmitterData.power}W</p>
+                <p class="power-info">Power: ${transmitterData.power}W${this.getTransmitPower(transmitterData) < transmitterData.power ? ` (limited to ${this.getTransmitPower(transmitterData)}W by radio)` : ''}</p>
+                ${transmitterData.hardwareProfile ? `<p>Hardware: ${hardwareProfiles.describe(transmitterData.hardwareProfile)}</p>` : ''}
+                ${this.createRadioSummary(transmitterData)}
+                ${this.createAntennaSummary(transmitterData)}
+                ${this.createComplianceSummary(transmitterData)}
                 <p>Location: ${transmitterData.latlng.lat.toFixed(5)}, ${transmitterData.latlng.lng.toFixed(5)}</p>
                 <small>Right-click for options</small>
             </div>
         `;
     }
 
+    createRadioSummary(transmitterData) {
+        if (!transmitterData.radio || Object.keys(transmitterData.radio).length === 0) return '';
+        
+        const radio = this.getRadioSettings(transmitterData);
+        return `<p>Radio: ${radio.bandwidth / 1e3} kHz, CR 4/${radio.codingRate}, NF ${radio.noiseFigure} dB, ${radio.antennaGain} dBi</p>`;
+    }
+
+    createAntennaSummary(transmitterData) {
+        const antenna = transmitterData.antenna;
+        const pattern = antenna ? antennaLibrary.getPattern(antenna.patternId) : null;
+        const height = `${this.getAntennaHeight(transmitterData)} m AGL`;
+        if (!pattern) return `<p>Antenna: ${height}</p>`;
+        
+        return `<p>Antenna: ${pattern.name}, ${height}, az ${antenna.azimuth}°, tilt ${antenna.tilt}°</p>`;
+    }
+
+    createComplianceSummary(transmitterData) {
+        const result = this.compliance.get(transmitterData.id);
+        if (!result || result.compliant) return '';
+        
+        return `<div class="compliance-warning">⚠️ ${result.violations.map(violation => violation.message).join('<br>')}` +
+            `<br>Max legal power: ${this.formatPower(result.maxPowerWatts)}</div>`;
+    }
+
     showTransmitterMenu(e, transmitterData) {
+        computePool.prioritize(transmitterData.id);
+        
         // Simple implementation - in a full app, you'd want a proper context menu
         const options = [
             `Delete ${transmitterData.name}`,
             `Toggle Power (currently ${transmitterData.power}W)`,
-            'Rename'
+            'Rename',
+            'Radio Settings',
+            'Antenna',
+            'Hardware Profile',
+            'Simulate Message'
         ];
         
-        const choice = prompt('Options:\n1. Delete\n2. Toggle Power\n3. Rename\n\nEnter choice (1-3):');
+        const choice = prompt('Options:\n1. Delete\n2. Toggle Power\n3. Rename\n4. Radio Settings\n5. Antenna\n6. Hardware Profile\n7. Simulate Message\n\nEnter choice (1-7):');
         
         switch (choice) {
             case '1':
@@ -208,26 +959,204 @@ class LoRaMeshPlanner {
                 if (newName) {
                     transmitterData.name = newName;
                     transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
+                    this.updateFloodSourceOptions();
                     this.saveToStorage();
                 }
                 break;
+            case '4':
+                this.editTransmitterRadio(transmitterData);
+                break;
+            case '5':
+                this.editTransmitterAntenna(transmitterData);
+                break;
+            case '6':
+                this.editTransmitterHardware(transmitterData);
+                break;
+            case '7':
+                document.getElementById('floodSourceSelect').value = transmitterData.id;
+                this.runFloodSimulation(transmitterData.id);
+                break;
         }
     }
 
-    removeTransmitter(id) {
-        const transmitterData = this.transmitters.get(id);
-        if (!transmitterData) return;
+    /**
+     * Assign a hardware profile to a node, or define a new one
+     */
+    editTransmitterHardware(transmitterData) {
+        const profiles = Array.from(hardwareProfiles.profiles.values());
+        const newIndex = profiles.length + 1;
         
-        // Remove from map
+        const choice = prompt('Hardware profile:\n0. None (network defaults)\n' +
+            profiles.map((profile, i) => `${i + 1}. ${profile.name}`).join('\n') +
+            `\n${newIndex}. New profile...\n\nEnter choice (0-${newIndex}):`,
+            transmitterData.hardwareProfile ? profiles.findIndex(profile => profile.id === transmitterData.hardwareProfile) + 1 : 0);
+        if (choice === null) return;
+        
+        const index = parseInt(choice, 10);
+        if (index === 0) {
+            delete transmitterData.hardwareProfile;
+        } else if (index === newIndex) {
+            const profile = this.createHardwareProfile();
+            if (!profile) return;
+            transmitterData.hardwareProfile = profile.id;
+        } else if (profiles[index - 1]) {
+            transmitterData.hardwareProfile = profiles[index - 1].id;
+        } else {
+            return;
+        }
+        
+        transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
+        this.updateLinksForTransmitter(transmitterData.id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Define a hardware profile from the radio, antenna and cable catalogs
+     */
+    createHardwareProfile() {
+        const pick = (title, catalog) => {
+            const ids = Object.keys(catalog);
+            const choice = prompt(`${title}:\n` + ids.map((id, i) => `${i + 1}. ${catalog[id].name}`).join('\n') +
+                `\n\nEnter choice (1-${ids.length}):`);
+            return choice === null ? null : ids[parseInt(choice, 10) - 1] || null;
+        };
+        
+        const radio = pick('Radio module', hardwareProfiles.radios);
+        if (!radio) return null;
+        const antenna = pick('Antenna', hardwareProfiles.antennas);
+        if (!antenna) return null;
+        const cable = pick('Feedline', hardwareProfiles.cables);
+        if (!cable) return null;
+        
+        const cableLength = cable === 'none' ? 0 : parseFloat(prompt('Feedline length (m):', '10'));
+        if (isNaN(cableLength)) return null;
+        const connectors = parseInt(prompt('Number of connector pairs:', cable === 'none' ? '1' : '2'), 10);
+        if (isNaN(connectors)) return null;
+        
+        const defaultName = `${hardwareProfiles.radios[radio].name} + ${hardwareProfiles.antennas[antenna].name}` +
+            (cable === 'none' ? '' : ` + ${cableLength} m ${hardwareProfiles.cables[cable].name}`);
+        const name = prompt('Profile name:', defaultName);
+        if (!name) return null;
+        
+        return hardwareProfiles.addProfile({ name, radio, antenna, cable, cableLength, connectors });
+    }
+
+    /**
+     * Choose an antenna pattern and point it (azimuth, downtilt)
+     */
+    editTransmitterAntenna(transmitterData) {
+        const patterns = Array.from(antennaLibrary.patterns.values());
+        const current = transmitterData.antenna;
+        
+        const height = prompt('Antenna height above ground (m):', this.getAntennaHeight(transmitterData));
+        if (height === null) return;
+        if (!isNaN(parseFloat(height)) && parseFloat(height) > 0) {
+            transmitterData.antennaHeight = parseFloat(height);
+        }
+        
+        const choice = prompt('Antenna pattern:\n0. Omni (network antenna gain)\n' +
+            patterns.map((pattern, i) => `${i + 1}. ${pattern.name} (${pattern.gain.toFixed(1)} dBi)`).join('\n') +
+            `\n\nEnter choice (0-${patterns.length}):`,
+            current ? patterns.findIndex(pattern => pattern.id === current.patternId) + 1 : 0);
+        if (choice === null) return;
+        
+        const index = parseInt(choice, 10);
+        if (index === 0) {
+            delete transmitterData.antenna;
+        } else if (patterns[index - 1]) {
+            const azimuth = prompt('Azimuth (degrees true, 0-359):', current?.azimuth ?? 0);
+            if (azimuth === null) return;
+            const tilt = prompt('Downtilt (degrees, negative = uptilt):', current?.tilt ?? 0);
+            if (tilt === null) return;
+            
+            transmitterData.antenna = {
+                patternId: patterns[index - 1].id,
+                azimuth: ((parseFloat(azimuth) || 0) % 360 + 360) % 360,
+                tilt: Math.min(90, Math.max(-90, parseFloat(tilt) || 0))
+            };
+        } else {
+            return;
+        }
+        
+        transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
+        this.updateLinksForTransmitter(transmitterData.id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Import antenna pattern files into the library
+     */
+    async importAntennaPatterns(files) {
+        for (const file of files) {
+            try {
+                antennaLibrary.importPattern(await file.text(), file.name);
+            } catch (error) {
+                console.error('Antenna pattern import failed:', error);
+                alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        }
+        
+        this.saveToStorage();
+    }
+
+    editTransmitterRadio(transmitterData) {
+        // Blank answers fall back to the network-wide setting
+        const current = this.getRadioSettings(transmitterData);
+        const radio = {};
+        
+        const bandwidth = prompt('Bandwidth in kHz (62.5, 125, 250, 500) - blank for network default:', 
+            transmitterData.radio?.bandwidth ? current.bandwidth / 1e3 : '');
+        if (bandwidth === null) return;
+        if (bandwidth.trim() !== '' && !isNaN(parseFloat(bandwidth))) {
+            radio.bandwidth = parseFloat(bandwidth) * 1e3;
+        }
+        
+        const codingRate = prompt('Coding rate 4/x (5-8) - blank for network default:', 
+            transmitterData.radio?.codingRate ?? '');
+        if (codingRate === null) return;
+        if (codingRate.trim() !== '' && !isNaN(parseInt(codingRate, 10))) {
+            radio.codingRate = Math.min(8, Math.max(5, parseInt(codingRate, 10)));
+        }
+        
+        const noiseFigure = prompt('Receiver noise figure in dB - blank for network default:', 
+            transmitterData.radio?.noiseFigure ?? '');
+        if (noiseFigure === null) return;
+        if (noiseFigure.trim() !== '' && !isNaN(parseFloat(noiseFigure))) {
+            radio.noiseFigure = parseFloat(noiseFigure);
+        }
+        
+        const antennaGain = prompt('Antenna gain in dBi - blank for network default:', 
+            transmitterData.radio?.antennaGain ?? '');
+        if (antennaGain === null) return;
+        if (antennaGain.trim() !== '' && !isNaN(parseFloat(antennaGain))) {
+            radio.antennaGain = parseFloat(antennaGain);
+        }
+        
+        transmitterData.radio = radio;
+        transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
+        this.updateLinksForTransmitter(transmitterData.id);
+        this.saveToStorage();
+    }
+
+    removeTransmitter(id) {
+        const transmitterData = this.transmitters.get(id);
+        if (!transmitterData) return;
+        
+        // Remove from map
         this.map.removeLayer(transmitterData.marker);
         
-        // Remove associated links and coverage
-        this.removeLinkLines(id);
-        this.removeCoverageCircle(id);
+        // Remove associated links, link overrides and coverage
+        linkGraph.removeNode(id);
+        for (const linkId of this.linkEnvironments.keys()) {
+            if (linkId.includes(id)) this.linkEnvironments.delete(linkId);
+        }
+        this.removeCoverage(id);
         
         // Remove from storage
         this.transmitters.delete(id);
+        spatialIndex.remove(id);
         
+        this.updateInterference();
         this.updateStats();
         this.saveToStorage();
         
@@ -242,7 +1171,7 @@ class LoRaMeshPlanner {
         transmitterData.power = transmitterData.power >= 1.0 ? 0.15 : 1.0;
         
         // Update icon
-        transmitterData.marker.setIcon(this.createTransmitterIcon(transmitterData.power));
+        transmitterData.marker.setIcon(this.createTransmitterIcon(transmitterData.power, this.compliance.get(id)?.compliant === false));
         
         // Update popup
         transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
@@ -257,48 +1186,35 @@ class LoRaMeshPlanner {
         const transmitter = this.transmitters.get(transmitterId);
         if (!transmitter) return;
         
-        // Remove existing links for this transmitter
-        this.removeLinkLines(transmitterId);
+        // Only pairs whose inputs changed are recalculated; lines are
+        // redrawn through the link graph's change events
+        computePool.prioritize(transmitterId);
+        const version = (this.linkVersions.get(transmitterId) || 0) + 1;
+        this.linkVersions.set(transmitterId, version);
         
-        // Show loading indicator
-        this.showLoading(true);
-        
-        try {
-            // Calculate links to all other transmitters using advanced RF analysis
-            const linkPromises = [];
-            
-            for (const [otherId, otherTransmitter] of this.transmitters) {
-                if (otherId === transmitterId) continue;
-                
-                // Create link calculation promise
-                const linkPromise = this.calculateAdvancedLink(
-                    transmitter, 
-                    otherTransmitter, 
-                    transmitterId, 
-                    otherId
-                );
-                linkPromises.push(linkPromise);
-            }
-            
-            // Wait for all link calculations to complete
-            await Promise.all(linkPromises);
-            
-        } catch (error) {
-            console.error('Error calculating advanced links:', error);
-            
-            // Fallback to simple calculation
-            for (const [otherId, otherTransmitter] of this.transmitters) {
-                if (otherId === transmitterId) continue;
-                
-                const distance = this.calculateDistance(transmitter.latlng, otherTransmitter.latlng);
-                const linkQuality = this.estimateLinkQuality(distance, transmitter.power, otherTransmitter.power);
-                
-                this.drawLinkLine(transmitterId, otherId, linkQuality, null, true); // fallback flag
+        // Only nodes within range; links to the rest are dropped
+        const candidates = new Set(this.getLinkCandidates(transmitterId, this.getRangeTerms()));
+        const linkPromises = [];
+        for (const [otherId, otherTransmitter] of this.transmitters) {
+            if (otherId === transmitterId) continue;
+            if (candidates.has(otherId)) {
+                linkPromises.push(this.updateLink(transmitter, otherTransmitter, { group: transmitterId, priority: 1 }));
+            } else {
+                linkGraph.removePair(transmitterId, otherId);
             }
         }
+        await Promise.all(linkPromises);
         
-        this.showLoading(false);
+        // Superseded by a newer update for this node
+        if (this.linkVersions.get(transmitterId) !== version) return;
+        
+        this.updateInterference();
         this.updateStats();
+        
+        // The node's coverage depends on the same position and radio settings
+        if (this.showCoverage) {
+            this.showCoveragePrediction(transmitterId, transmitter);
+        }
     }
 
     calculateDistance(latlng1, latlng2) {
@@ -315,42 +1231,228 @@ class LoRaMeshPlanner {
         return R * c;
     }
 
+    /**
+     * Range terms of every node (see calculateRangeTerms)
+     *
+     * @returns {Object} {terms: Map id → {transmit, receive, height}, maxTransmit, maxReceive, maxHeight, kFactor}
+     */
+    getRangeTerms() {
+        const terms = new Map();
+        let maxTransmit = -Infinity;
+        let maxReceive = -Infinity;
+        let maxHeight = 0;
+        
+        this.transmitters.forEach((transmitter, id) => {
+            const term = linkBudgetCalculator.calculateRangeTerms(this.getTransmitPower(transmitter), this.getLinkOptions(transmitter, transmitter));
+            terms.set(id, term);
+            maxTransmit = Math.max(maxTransmit, term.transmit);
+            maxReceive = Math.max(maxReceive, term.receive);
+            maxHeight = Math.max(maxHeight, term.height);
+        });
+        
+        return { terms, maxTransmit, maxReceive, maxHeight, kFactor: this.propagationSettings.kFactor };
+    }
+
+    /**
+     * Nodes a node could link with in at least one direction under the
+     * lowest possible path loss: a spatial index query, then the exact bound
+     * for each pair
+     *
+     * @param {string} id - Node id
+     * @param {Object} rangeTerms - From getRangeTerms
+     * @returns {Array} Ids of the other nodes
+     */
+    getLinkCandidates(id, rangeTerms) {
+        const { terms, maxTransmit, maxReceive, maxHeight, kFactor } = rangeTerms;
+        const own = terms.get(id);
+        const budget = (other) => Math.max(own.transmit + other.receive, other.transmit + own.receive);
+        
+        const center = this.transmitters.get(id).latlng;
+        const radius = linkBudgetCalculator.calculateMaxRange(
+            budget({ transmit: maxTransmit, receive: maxReceive }), own.height, maxHeight, kFactor);
+        
+        return spatialIndex.queryRadius(center, radius).filter(otherId => {
+            if (otherId === id) return false;
+            const other = terms.get(otherId);
+            const distance = this.calculateDistance(center, this.transmitters.get(otherId).latlng);
+            return linkBudgetCalculator.calculateMinimumPathLoss(distance, own.height, other.height, kFactor) <= budget(other);
+        });
+    }
+
+    /**
+     * Bring one pair's link up to date in the link graph
+     *
+     * @param {Object} job - Compute pool options {group, priority}
+     * @returns {Promise<Object|undefined>} Link data (undefined if cancelled, superseded or failed)
+     */
+    updateLink(tx1, tx2, job = {}) {
+        // Tagged with both nodes, so dragging either one cancels the pair's jobs;
+        // the graph aborts the whole computation once newer inputs supersede it
+        const controller = new AbortController();
+        const pairJob = { ...job, group: [...new Set([job.group, tx1.id, tx2.id].filter(Boolean))], signal: controller.signal };
+        return linkGraph.update(tx1.id, tx2.id, this.getLinkInputs(tx1, tx2),
+            () => this.calculateAdvancedLink(tx1, tx2, pairJob),
+            () => controller.abort())
+            .catch(error => {
+                if (!error.cancelled) console.error('Link update failed:', error);
+            });
+    }
+
+    /**
+     * Everything a pair's link depends on: positions, transmit power and both
+     * directions' link options (heights, radio chain, antennas, propagation),
+     * plus the band plan, clutter, imported patterns and terrain data source
+     */
+    getLinkInputs(tx1, tx2) {
+        const [a, b] = tx1.id < tx2.id ? [tx1, tx2] : [tx2, tx1];
+        return {
+            positions: [[a.latlng.lat, a.latlng.lng], [b.latlng.lat, b.latlng.lng]],
+            power: [this.getTransmitPower(a), this.getTransmitPower(b)],
+            forward: this.getLinkOptions(a, b),
+            reverse: this.getLinkOptions(b, a),
+            worstCaseRefraction: this.worstCaseRefraction,
+            shared: getContextKey(),
+            terrain: elevationService.getSourceKey()
+        };
+    }
+
     /**
      * Calculate advanced RF link between two transmitters
-     * Uses comprehensive link budget analysis with terrain data
+     * Both directions are analyzed: each end transmits with its own power and
+     * antenna gain, and receives with its own antenna gain and noise figure
+     *
+     * @returns {Promise<Object>} Link data, or {fallback: true, provisional: true, quality}
+     *                            from the distance estimate if the analysis failed
      */
-    async calculateAdvancedLink(tx1, tx2, id1, id2) {
+    async calculateAdvancedLink(tx1, tx2, job = {}) {
         try {
-            // Perform comprehensive link budget calculation
-            const txPoint = { lat: tx1.latlng.lat, lng: tx1.latlng.lng, power: tx1.power };
-            const rxPoint = { lat: tx2.latlng.lat, lng: tx2.latlng.lng };
+            // Sequential so the reverse direction reuses the cached terrain profile
+            const forward = await this.calculateLinkDirection(tx1, tx2, job);
+            const reverse = await this.calculateLinkDirection(tx2, tx1, job);
             
-            const linkAnalysis = await linkBudgetCalculator.calculateLinkBudget(txPoint, rxPoint);
-            
-            // Store detailed link data
-            const linkId = [id1, id2].sort().join('-');
+            // Two-way traffic is bounded by the weaker direction
+            const limiting = forward.linkMargin <= reverse.linkMargin ? forward : reverse;
             const linkData = {
-                analysis: linkAnalysis,
-                quality: linkAnalysis.linkQuality,
-                distance: linkAnalysis.distance,
-                linkMargin: linkAnalysis.linkBudget.linkMargin,
-                spreadingFactor: linkAnalysis.optimalSpreadingFactor,
-                hasObstructions: linkAnalysis.terrainAnalysis.hasObstructions,
-                recommendations: linkAnalysis.recommendations,
-                timestamp: linkAnalysis.timestamp
+                analysis: limiting.analysis,
+                quality: limiting.quality,
+                distance: limiting.analysis.distance,
+                linkMargin: limiting.linkMargin,
+                spreadingFactor: limiting.spreadingFactor,
+                airtime: limiting.airtime,
+                hasObstructions: limiting.analysis.terrainAnalysis.hasObstructions,
+                worstCase: limiting.worstCase,
+                refractionSensitive: forward.refractionSensitive || reverse.refractionSensitive,
+                recommendations: limiting.analysis.recommendations,
+                timestamp: limiting.analysis.timestamp,
+                directions: { forward: forward, reverse: reverse },
+                limitingDirection: limiting === forward ? 'forward' : 'reverse',
+                demGaps: forward.demGaps,
+                oneWay: forward.isViable !== reverse.isViable,
+                // Terrain was estimated: computed again on the next update
+                provisional: forward.estimated || reverse.estimated
             };
             
-            // Draw the enhanced link line
-            this.drawEnhancedLinkLine(id1, id2, linkData);
+            return linkData;
             
         } catch (error) {
+            if (error.cancelled) throw error;
             console.error('Advanced link calculation failed:', error);
             
             // Fallback to simple calculation
             const distance = this.calculateDistance(tx1.latlng, tx2.latlng);
-            const quality = this.estimateLinkQuality(distance, tx1.power, tx2.power);
-            this.drawLinkLine(id1, id2, quality, null, true);
+            return {
+                fallback: true,
+                provisional: true,
+                quality: this.estimateLinkQuality(distance, this.getTransmitPower(tx1), this.getTransmitPower(tx2))
+            };
+        }
+    }
+
+    /**
+     * Map layer of the link graph: draw, replace and remove link lines
+     */
+    onLinkChange(change) {
+        if (change.type === 'clear') {
+            this.linkLines.forEach(linkData => this.map.removeLayer(linkData.line));
+            this.linkLines.clear();
+        } else if (change.type === 'remove') {
+            const linkData = this.linkLines.get(change.key);
+            if (linkData) {
+                this.map.removeLayer(linkData.line);
+                this.linkLines.delete(change.key);
+            }
+        } else if (change.linkData.fallback) {
+            this.drawLinkLine(change.id1, change.id2, change.linkData.quality);
+        } else {
+            this.drawEnhancedLinkLine(change.id1, change.id2, change.linkData);
+        }
+    }
+
+    /**
+     * Analyze one direction of a link (tx transmits, rx receives). The terrain
+     * profile is fetched here, where the elevation cache lives; the link budget
+     * runs in the compute pool.
+     *
+     * @param {Object} job - Compute pool options {group, priority, signal}
+     */
+    async calculateLinkDirection(tx, rx, job = {}) {
+        const txPoint = { lat: tx.latlng.lat, lng: tx.latlng.lng, power: this.getTransmitPower(tx) };
+        const rxPoint = { lat: rx.latlng.lat, lng: rx.latlng.lng };
+        
+        // A cancelled job also stops its elevation requests
+        const elevationProfile = await elevationService.getElevationProfile(
+            { lat: txPoint.lat, lng: txPoint.lng },
+            rxPoint,
+            50,
+            job.signal
+        );
+        const linkOptions = { ...this.getLinkOptions(tx, rx), elevationProfile: elevationProfile };
+        const analysis = await computePool.run('linkBudget', { tx: txPoint, rx: rxPoint, options: linkOptions }, job);
+        
+        // Re-run under sub-refractive conditions to find fragile links
+        let worstCase = null;
+        if (this.worstCaseRefraction) {
+            const worstAnalysis = await computePool.run('linkBudget', {
+                tx: txPoint,
+                rx: rxPoint,
+                options: { ...linkOptions, kFactor: rfUtils.worstCaseKFactor }
+            }, job);
+            worstCase = {
+                kFactor: rfUtils.worstCaseKFactor,
+                quality: worstAnalysis.linkQuality,
+                linkMargin: worstAnalysis.linkBudget.linkMargin,
+                isViable: worstAnalysis.linkBudget.isViable
+            };
         }
+        
+        return {
+            from: tx.id,
+            to: rx.id,
+            analysis: analysis,
+            quality: analysis.linkQuality,
+            linkMargin: analysis.linkBudget.linkMargin,
+            isViable: analysis.linkBudget.isViable,
+            spreadingFactor: analysis.optimalSpreadingFactor,
+            airtime: analysis.airtime,
+            worstCase: worstCase,
+            refractionSensitive: worstCase !== null && analysis.linkBudget.isViable && !worstCase.isViable,
+            demGaps: this.countDemGaps(elevationProfile),
+            estimated: elevationProfile.some(point => point.estimated)
+        };
+    }
+
+    /**
+     * Profile points without local DEM data, by how they were filled
+     *
+     * @returns {Object|null} {total, online, interpolated, estimated}, or null if fully covered
+     */
+    countDemGaps(profile) {
+        const gaps = profile.filter(point => point.demGap);
+        if (gaps.length === 0) return null;
+        
+        const counts = { total: profile.length, online: 0, interpolated: 0, estimated: 0 };
+        gaps.forEach(point => counts[point.demGap]++);
+        return counts;
     }
 
     estimateLinkQuality(distanceKm, power1, power2) {
@@ -391,22 +1493,432 @@ class LoRaMeshPlanner {
             lineOptions.dashArray = '10, 5';
         }
         
-        const line = L.polyline([tx1.latlng, tx2.latlng], lineOptions).addTo(this.map);
+        // Highlight links that only survive under standard refraction
+        if (linkData.refractionSensitive) {
+            lineOptions.color = '#7c3aed'; // Violet-600
+            lineOptions.dashArray = '2, 6';
+            lineOptions.weight = 4;
+        }
+        
+        // One-way links: colored by the working direction, arrow shows which way
+        let arrow = null;
+        if (linkData.oneWay) {
+            const working = linkData.directions.forward.isViable ? linkData.directions.forward : linkData.directions.reverse;
+            const from = this.transmitters.get(working.from);
+            const to = this.transmitters.get(working.to);
+            lineOptions.color = colors[working.quality] || colors.poor;
+            lineOptions.dashArray = '12, 8';
+            arrow = this.createLinkArrow(from.latlng, to.latlng, lineOptions.color);
+        }
+        
+        // Links that only fail when the other nodes transmit at the same time
+        if (linkData.interference?.fails) {
+            lineOptions.color = '#db2777'; // Pink-600
+            lineOptions.dashArray = '4, 4';
+        }
+        
+        // A concurrent recalculation may already have drawn this pair
+        const linkId = [id1, id2].sort().join('-');
+        if (this.linkLines.has(linkId)) {
+            this.map.removeLayer(this.linkLines.get(linkId).line);
+        }
+        
+        const polyline = L.polyline([tx1.latlng, tx2.latlng], lineOptions);
+        const line = L.featureGroup(arrow ? [polyline, arrow] : [polyline]);
+        if (!this.isLinkClustered(id1, id2)) line.addTo(this.map);
         
         // Create detailed popup with RF analysis
         const popup = this.createLinkPopup(tx1, tx2, linkData);
         line.bindPopup(popup);
+        line.on('popupopen', (e) => {
+            const element = e.popup.getElement();
+            const solverInfo = element.querySelector('[data-height-solver]');
+            if (solverInfo && !solverInfo.hasChildNodes()) {
+                solverInfo.innerHTML = this.createHeightSolverInfo(tx1, tx2, linkData);
+                e.popup.update();
+            }
+            element.querySelectorAll('[data-apply-heights]').forEach(button => {
+                button.addEventListener('click', () => this.applyAntennaHeights(button.dataset.applyHeights));
+            });
+            element.querySelector('[data-find-relay]')?.addEventListener('click', () => {
+                line.closePopup();
+                this.findRelaySites(id1, id2);
+            });
+        });
         
         // Store enhanced link data
-        const linkId = [id1, id2].sort().join('-');
+        line.on('contextmenu', () => {
+            this.showLinkMenu(linkId, tx1, tx2);
+        });
         this.linkLines.set(linkId, { 
             line, 
+            ids: [id1, id2],
             quality, 
             data: linkData,
             enhanced: true 
         });
         
-        console.log(`Enhanced link ${linkId}: ${quality} (${linkData.distance.toFixed(2)}km, ${linkData.linkMargin.toFixed(1)}dB margin)`);
+        console.log(`Enhanced link ${linkId}: ${quality}${linkData.oneWay ? ' (one-way)' : ''} (${linkData.distance.toFixed(2)}km, ${linkData.linkMargin.toFixed(1)}dB margin)`);
+    }
+
+    /**
+     * Arrow marker at the middle of a link pointing from → to
+     */
+    createLinkArrow(from, to, color) {
+        // Initial bearing; Web Mercator preserves angles locally
+        const bearing = antennaLibrary.calculateBearing(from, to);
+        
+        const midpoint = L.latLng((from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+        return L.marker(midpoint, {
+            icon: L.divIcon({
+                html: `<div style="color: ${color}; transform: rotate(${bearing - 90}deg);">➤</div>`,
+                className: 'link-arrow',
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            })
+        });
+    }
+
+    /**
+     * Per-link settings (environment class override)
+     */
+    showLinkMenu(linkId, tx1, tx2) {
+        const environments = ['urban', 'suburban', 'rural'];
+        const current = this.linkEnvironments.get(linkId) || `${this.propagationSettings.environment} (project default)`;
+        
+        const choice = prompt(`Environment for ${tx1.name} ↔ ${tx2.name} (currently ${current}):\n` +
+            '1. Urban\n2. Suburban\n3. Rural\n0. Use project default\n\nEnter choice (0-3):');
+        if (choice === null) return;
+        
+        if (choice === '0') {
+            this.linkEnvironments.delete(linkId);
+        } else if (environments[parseInt(choice, 10) - 1]) {
+            this.linkEnvironments.set(linkId, environments[parseInt(choice, 10) - 1]);
+        } else {
+            return;
+        }
+        
+        this.updateLinksForTransmitter(tx1.id);
+        this.saveToStorage();
+    }
+
+    /**
+     * Minimum antenna heights for Fresnel clearance: trade-off curve between
+     * the two ends with one-click actions to apply a solution. Solved when the
+     * link popup first opens, not for every link evaluation
+     */
+    createHeightSolverInfo(tx1, tx2, linkData) {
+        // Forward direction runs tx1 → tx2, so its TX/RX heights are tx1/tx2
+        if (linkData.heightSolution === undefined) {
+            const terrain = linkData.directions.forward.analysis.terrainAnalysis;
+            linkData.heightSolution = antennaHeightSolver.solve(terrain.profile, linkData.distance, {
+                txHeight: terrain.txHeight,
+                rxHeight: terrain.rxHeight,
+                kFactor: terrain.kFactor
+            });
+        }
+        const solution = linkData.heightSolution;
+        if (!solution) return '';
+        
+        const applyButton = (changes, label) => 
+            `<button class="btn-secondary" data-apply-heights="${changes.map(([tx, height]) => `${tx.id}:${height}`).join(',')}">${label}</button>`;
+        
+        const actions = [];
+        if (solution.raiseTx !== null) {
+            actions.push(applyButton([[tx1, solution.raiseTx]], `Raise ${tx1.name} to ${solution.raiseTx} m`));
+        }
+        if (solution.raiseRx !== null) {
+            actions.push(applyButton([[tx2, solution.raiseRx]], `Raise ${tx2.name} to ${solution.raiseRx} m`));
+        }
+        if (solution.balanced) {
+            actions.push(applyButton([[tx1, solution.balanced.txHeight], [tx2, solution.balanced.rxHeight]],
+                `Set both (${solution.balanced.txHeight} m / ${solution.balanced.rxHeight} m)`));
+        }
+        
+        return `
+            <details class="height-solver" open>
+                <summary>Antenna heights for ${Math.round(solution.requiredClearance * 100)}% Fresnel clearance</summary>
+                ${solution.curve.length > 0 ? this.createHeightCurve(tx1, tx2, solution) : `<small>No heights up to ${solution.maxHeight} m clear this path</small>`}
+                <div class="height-actions">${actions.join('')}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * SVG plot of the minimum RX height for each TX height
+     */
+    createHeightCurve(tx1, tx2, solution) {
+        const size = { width: 220, height: 120, pad: 24 };
+        const scale = (height) => height / solution.maxHeight;
+        const x = (height) => size.pad + scale(height) * (size.width - size.pad - 6);
+        const y = (height) => size.height - size.pad - scale(height) * (size.height - size.pad - 6);
+        
+        const points = solution.curve.map(point => `${x(point.txHeight).toFixed(1)},${y(point.rxHeight).toFixed(1)}`).join(' ');
+        const current = solution.current;
+        
+        return `
+            <svg class="height-curve" width="${size.width}" height="${size.height}" viewBox="0 0 ${size.width} ${size.height}">
+                <line x1="${x(0)}" y1="${y(0)}" x2="${x(solution.maxHeight)}" y2="${y(0)}" stroke="#9ca3af"/>
+                <line x1="${x(0)}" y1="${y(0)}" x2="${x(0)}" y2="${y(solution.maxHeight)}" stroke="#9ca3af"/>
+                <polyline points="${points}" fill="none" stroke="#2563eb" stroke-width="2"/>
+                <circle cx="${x(current.txHeight)}" cy="${y(current.rxHeight)}" r="3" fill="#dc2626"><title>Current: ${current.txHeight} m / ${current.rxHeight} m</title></circle>
+                <text x="${x(solution.maxHeight)}" y="${size.height - 6}" text-anchor="end">${tx1.name} height (m, max ${solution.maxHeight})</text>
+                <text x="4" y="12">${tx2.name} height (m)</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Apply antenna heights from the height solver ("id:height,id:height")
+     */
+    async applyAntennaHeights(spec) {
+        const changes = spec.split(',').map(entry => entry.split(':'));
+        
+        for (const [id, height] of changes) {
+            const transmitterData = this.transmitters.get(id);
+            if (!transmitterData) continue;
+            
+            transmitterData.antennaHeight = parseFloat(height);
+            transmitterData.marker.setPopupContent(this.createTransmitterPopup(transmitterData));
+            await this.updateLinksForTransmitter(id);
+        }
+        
+        this.saveToStorage();
+        console.log(`Applied antenna heights: ${spec}`);
+    }
+
+    /**
+     * Search the corridor of a failed link for relay sites and show the
+     * candidates as temporary markers
+     */
+    async findRelaySites(id1, id2) {
+        const tx1 = this.transmitters.get(id1);
+        const tx2 = this.transmitters.get(id2);
+        if (!tx1 || !tx2) return;
+        
+        this.clearRelayCandidates();
+        this.showLoading(true);
+        
+        try {
+            // A relay would be a new node with the current default power and settings
+            const node = (point) => point === tx1.latlng ? tx1 : point === tx2.latlng ? tx2 :
+                { id: 'relay_candidate', latlng: L.latLng(point.lat, point.lng), power: this.currentPower };
+            const evaluateHop = async (from, to) => {
+                const forward = await this.calculateLinkDirection(node(from), node(to));
+                const reverse = await this.calculateLinkDirection(node(to), node(from));
+                return {
+                    linkMargin: Math.min(forward.linkMargin, reverse.linkMargin),
+                    isViable: forward.isViable && reverse.isViable
+                };
+            };
+            
+            const candidates = await relayFinder.findRelays(tx1.latlng, tx2.latlng, evaluateHop);
+            this.showRelayCandidates(tx1, tx2, candidates);
+        } catch (error) {
+            console.error('Relay search failed:', error);
+            alert('Relay search failed: ' + error.message);
+        }
+        
+        this.showLoading(false);
+    }
+
+    showRelayCandidates(tx1, tx2, candidates) {
+        const viable = candidates.filter(candidate => candidate.isViable);
+        if (viable.length === 0) {
+            alert(`No relay site in the corridor closes both hops between ${tx1.name} and ${tx2.name}.`);
+            return;
+        }
+        
+        this.relayCandidates = L.layerGroup().addTo(this.map);
+        viable.forEach((candidate, i) => {
+            const marker = L.marker([candidate.lat, candidate.lng], {
+                icon: L.divIcon({
+                    html: `<div>R${i + 1}</div>`,
+                    className: 'relay-candidate-icon',
+                    iconSize: [24, 24],
+                    iconAnchor: [12, 12]
+                })
+            }).addTo(this.relayCandidates);
+            
+            marker.bindPopup(`
+                <div class="transmitter-popup">
+                    <h4>Relay site R${i + 1}</h4>
+                    <p>Elevation: ${candidate.elevation.toFixed(0)} m</p>
+                    <p>${tx1.name} hop: ${candidate.hops[0].linkMargin.toFixed(1)} dB margin</p>
+                    <p>${tx2.name} hop: ${candidate.hops[1].linkMargin.toFixed(1)} dB margin</p>
+                    <p>Worst hop: ${candidate.worstMargin.toFixed(1)} dB</p>
+                    <div class="height-actions">
+                        <button class="btn-secondary" data-promote-relay>➕ Add as transmitter</button>
+                        <button class="btn-secondary" data-clear-relays>Clear candidates</button>
+                    </div>
+                </div>
+            `);
+            marker.on('popupopen', (e) => {
+                const element = e.popup.getElement();
+                element.querySelector('[data-promote-relay]').addEventListener('click', () => {
+                    this.clearRelayCandidates();
+                    this.addTransmitter(L.latLng(candidate.lat, candidate.lng));
+                });
+                element.querySelector('[data-clear-relays]').addEventListener('click', () => this.clearRelayCandidates());
+            });
+        });
+        
+        console.log(`Found ${viable.length} relay sites between ${tx1.name} and ${tx2.name}`);
+    }
+
+    clearRelayCandidates() {
+        if (this.relayCandidates) {
+            this.map.removeLayer(this.relayCandidates);
+            this.relayCandidates = null;
+        }
+    }
+
+    /**
+     * Start drawing the repeater planning area, or finish the one being drawn
+     */
+    toggleAreaDrawing() {
+        const button = document.getElementById('drawAreaButton');
+        
+        if (!this.areaDraft) {
+            this.clearRepeaterPlan();
+            this.areaDraft = {
+                points: [],
+                line: L.polyline([], { color: '#0891b2', dashArray: '4, 4' }).addTo(this.map)
+            };
+            button.textContent = '✅ Finish Area';
+            button.classList.add('active');
+            return;
+        }
+        
+        const draft = this.areaDraft;
+        this.map.removeLayer(draft.line);
+        this.areaDraft = null;
+        button.textContent = '✏️ Draw Target Area';
+        button.classList.remove('active');
+        
+        if (draft.points.length < 3) return;
+        
+        this.targetArea = {
+            points: draft.points,
+            layer: L.polygon(draft.points.map(p => [p.lat, p.lng]), {
+                color: '#0891b2',
+                weight: 2,
+                fillOpacity: 0.05,
+                interactive: false
+            }).addTo(this.map)
+        };
+    }
+
+    /**
+     * Propose repeater sites covering the target area
+     */
+    async planRepeaters() {
+        if (!this.targetArea) {
+            alert('Draw a target area first.');
+            return;
+        }
+        
+        const settings = this.repeaterSettings;
+        const repeater = { id: 'repeater', power: this.currentPower, antennaHeight: settings.repeaterHeight };
+        const receiver = { id: 'receiver', power: this.currentPower, antennaHeight: settings.rxHeight };
+        
+        if (this.repeaterPlanLayer) {
+            this.map.removeLayer(this.repeaterPlanLayer);
+            this.repeaterPlanLayer = null;
+        }
+        this.showLoading(true);
+        
+        try {
+            const plan = await repeaterPlanner.plan(this.targetArea.points, {
+                power: this.getTransmitPower(repeater),
+                linkOptions: this.getLinkOptions(repeater, receiver),
+                repeaterHeight: settings.repeaterHeight,
+                rxHeight: settings.rxHeight,
+                requiredMargin: settings.requiredMargin,
+                maxRepeaters: settings.maxRepeaters
+            });
+            this.showRepeaterPlan(plan);
+        } catch (error) {
+            console.error('Repeater planning failed:', error);
+            alert('Repeater planning failed: ' + error.message);
+        }
+        
+        this.showLoading(false);
+    }
+
+    showRepeaterPlan(plan) {
+        const layer = L.layerGroup().addTo(this.map);
+        this.repeaterPlanLayer = layer;
+        
+        // Receiver test points
+        plan.demand.forEach(point => {
+            L.circleMarker([point.lat, point.lng], {
+                radius: 3,
+                weight: 0,
+                fillColor: point.coveredBy !== null ? '#10b981' : '#ef4444',
+                fillOpacity: 0.7,
+                interactive: false
+            }).addTo(layer);
+        });
+        
+        plan.backbone.forEach(link => {
+            const a = plan.sites[link.from];
+            const b = plan.sites[link.to];
+            L.polyline([[a.lat, a.lng], [b.lat, b.lng]], { color: '#0891b2', weight: 2, dashArray: '6, 6' })
+                .bindTooltip(`Backbone margin ${link.linkMargin.toFixed(1)} dB`)
+                .addTo(layer);
+        });
+        
+        plan.sites.forEach((site, i) => {
+            L.marker([site.lat, site.lng], {
+                icon: L.divIcon({
+                    html: `<div>P${i + 1}</div>`,
+                    className: 'relay-candidate-icon',
+                    iconSize: [24, 24],
+                    iconAnchor: [12, 12]
+                })
+            }).bindTooltip(`P${i + 1}: ${site.elevation.toFixed(0)} m, covers ${site.covered} points (${site.newlyCovered} new)`)
+                .addTo(layer);
+        });
+        
+        const results = document.getElementById('repeaterResults');
+        results.innerHTML = plan.sites.length === 0 ?
+            '<strong>No candidate site reaches the area with the required margin</strong>' : `
+            <strong>${plan.sites.length} repeater${plan.sites.length === 1 ? '' : 's'}: ${(plan.coverage * 100).toFixed(0)}% of the area covered</strong>
+            <div>${plan.demand.length} test points, ${plan.candidates} candidate sites, ${plan.backbone.length} backbone links</div>
+            <table>
+                <tr><th>Site</th><th>Elevation</th><th>New Points</th></tr>
+                ${plan.sites.map((site, i) => `<tr><td>P${i + 1}</td><td>${site.elevation.toFixed(0)} m</td><td>${site.newlyCovered}</td></tr>`).join('')}
+            </table>
+            <div class="height-actions">
+                <button class="btn-secondary" id="addRepeatersButton">➕ Add as transmitters</button>
+                <button class="btn-secondary" id="clearRepeatersButton">Clear</button>
+            </div>
+        `;
+        results.classList.remove('hidden');
+        
+        document.getElementById('addRepeatersButton')?.addEventListener('click', () => {
+            plan.sites.forEach((site, i) => this.addTransmitter(L.latLng(site.lat, site.lng), {
+                name: `Repeater-${i + 1}`,
+                antennaHeight: this.repeaterSettings.repeaterHeight
+            }));
+            this.clearRepeaterPlan();
+        });
+        document.getElementById('clearRepeatersButton')?.addEventListener('click', () => this.clearRepeaterPlan());
+        
+        console.log(`Repeater plan: ${plan.sites.length} sites, ${(plan.coverage * 100).toFixed(0)}% coverage`);
+    }
+
+    clearRepeaterPlan() {
+        if (this.repeaterPlanLayer) {
+            this.map.removeLayer(this.repeaterPlanLayer);
+            this.repeaterPlanLayer = null;
+        }
+        if (this.targetArea) {
+            this.map.removeLayer(this.targetArea.layer);
+            this.targetArea = null;
+        }
+        document.getElementById('repeaterResults').classList.add('hidden');
     }
 
     /**
@@ -426,8 +1938,107 @@ class LoRaMeshPlanner {
         if (linkData.hasObstructions) {
             obstacleInfo = `
                 <div class="obstacle-warning">
-                    ⚠️ Terrain obstructions detected<br>
-                    <small>Path may be blocked by hills/buildings</small>
+                    ⚠️ Terrain obstructions detected<br>
+                    <small>Path may be blocked by hills/buildings</small>
+                </div>
+            `;
+        }
+        
+        // Terrain where the local DEM files have no data
+        if (linkData.demGaps) {
+            const gaps = linkData.demGaps;
+            const missing = gaps.online + gaps.interpolated + gaps.estimated;
+            const filled = [
+                gaps.online ? `${gaps.online} from Open-Meteo` : '',
+                gaps.interpolated ? `${gaps.interpolated} interpolated offline` : '',
+                gaps.estimated ? `${gaps.estimated} assumed flat` : ''
+            ].filter(Boolean).join(', ');
+            obstacleInfo += `
+                <div class="obstacle-warning">
+                    🗺️ ${Math.round(missing / gaps.total * 100)}% of the path has no DEM coverage<br>
+                    <small>${filled}</small>
+                </div>
+            `;
+        } else if (linkData.provisional) {
+            obstacleInfo += `
+                <div class="obstacle-warning">
+                    🗺️ No elevation data - flat terrain assumed<br>
+                    <small>Recalculated on the next update, or when back online</small>
+                </div>
+            `;
+        }
+        
+        const pathLossBreakdown = `
+            <details class="path-loss-breakdown">
+                <summary>Path loss breakdown</summary>
+                <table>
+                    ${Object.entries(analysis.pathLoss.breakdown).map(([label, value]) => 
+                        `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+                </table>
+                ${analysis.modelComparison ? `
+                <table class="model-comparison">
+                    ${analysis.modelComparison.map(entry => 
+                        `<tr><td>${entry.model === analysis.propagationModel ? '▶ ' : ''}${entry.name}</td><td>${entry.total.toFixed(1)} dB</td></tr>`).join('')}
+                </table>` : ''}
+            </details>
+        `;
+        
+        const forward = linkData.directions.forward;
+        const reverse = linkData.directions.reverse;
+        const directionCell = (direction, value) => 
+            `<td class="${direction === linkData.directions[linkData.limitingDirection] ? 'limiting' : ''}">${value}</td>`;
+        const directionRow = (label, format) => 
+            `<tr><td>${label}</td>${directionCell(forward, format(forward))}${directionCell(reverse, format(reverse))}</tr>`;
+        
+        let oneWayInfo = '';
+        if (linkData.oneWay) {
+            const working = forward.isViable ? forward : reverse;
+            const from = working === forward ? tx1 : tx2;
+            const to = working === forward ? tx2 : tx1;
+            oneWayInfo = `
+                <div class="obstacle-warning">
+                    ➡️ One-way link: ${from.name} reaches ${to.name}, but ${to.name} cannot reply<br>
+                    <small>Return path margin ${(working === forward ? reverse : forward).linkMargin.toFixed(1)} dB</small>
+                </div>
+            `;
+        }
+        
+        const directionTable = `
+            <table class="link-directions">
+                <tr><th></th><th>${tx1.name} → ${tx2.name}</th><th>${tx2.name} → ${tx1.name}</th></tr>
+                ${directionRow('TX Gain', d => `${d.analysis.linkBudget.txAntennaGain.toFixed(1)} dBi`)}
+                ${directionRow('Feedline (TX/RX)', d => `${d.analysis.linkBudget.txFeedlineLoss.toFixed(1)} / ${d.analysis.linkBudget.rxFeedlineLoss.toFixed(1)} dB`)}
+                ${directionRow('EIRP', d => `${d.analysis.linkBudget.eirp.toFixed(1)} dBm`)}
+                ${directionRow('RX Gain', d => `${d.analysis.linkBudget.rxAntennaGain.toFixed(1)} dBi`)}
+                ${directionRow('Noise Floor', d => `${d.analysis.linkBudget.noiseFloor.toFixed(1)} dBm`)}
+                ${directionRow('RX Signal', d => `${d.analysis.linkBudget.rxSignalStrength.toFixed(1)} dBm`)}
+                ${directionRow('Link Margin', d => `${d.linkMargin.toFixed(1)} dB`)}
+                ${directionRow('Status', d => d.isViable ? '✅' : '❌')}
+            </table>
+        `;
+        
+        let interferenceInfo = '';
+        if (linkData.interference) {
+            const interference = linkData.interference;
+            const sinrRow = (label, result) => {
+                const estimated = result.interferers.filter(interferer => interferer.estimated).length;
+                return `<small>${label}: SINR ${result.sinr.toFixed(1)} dB, margin ${result.worstMargin.toFixed(1)} dB (${result.limitedBy}, ${result.interferers.length} interferers${estimated ? `, ${estimated} without terrain` : ''})</small>`;
+            };
+            interferenceInfo = `
+                <div class="${interference.fails ? 'obstacle-warning' : 'refraction-info'}">
+                    ${interference.fails ? '📶 Link fails under simultaneous transmission' : '📶 Link survives simultaneous transmission'}<br>
+                    ${sinrRow(`${tx1.name} → ${tx2.name}`, interference.forward)}<br>
+                    ${sinrRow(`${tx2.name} → ${tx1.name}`, interference.reverse)}
+                </div>
+            `;
+        }
+        
+        let refractionInfo = '';
+        if (linkData.worstCase) {
+            refractionInfo = `
+                <div class="${linkData.refractionSensitive ? 'obstacle-warning' : 'refraction-info'}">
+                    ${linkData.refractionSensitive ? '🌫️ Link fails under worst-case refraction' : '🌫️ Link survives worst-case refraction'}<br>
+                    <small>k=${linkData.worstCase.kFactor.toFixed(2)}: ${linkData.worstCase.linkMargin.toFixed(1)} dB margin (${linkData.worstCase.quality})</small>
                 </div>
             `;
         }
@@ -445,22 +2056,43 @@ class LoRaMeshPlanner {
         return `
             <div class="link-popup">
                 <h4>${qualityEmojis[quality]} RF Link Analysis</h4>
+                ${directionTable}
+                ${oneWayInfo}
+                <small class="limiting-direction">Details for the limiting direction (${linkData.limitingDirection === 'forward' ? `${tx1.name} → ${tx2.name}` : `${tx2.name} → ${tx1.name}`})</small>
                 <div class="link-stats">
                     <table>
                         <tr><td><strong>Distance:</strong></td><td>${linkData.distance.toFixed(2)} km</td></tr>
                         <tr><td><strong>Link Quality:</strong></td><td>${quality.toUpperCase()}</td></tr>
                         <tr><td><strong>Link Margin:</strong></td><td>${linkData.linkMargin.toFixed(1)} dB</td></tr>
                         <tr><td><strong>Path Loss:</strong></td><td>${analysis.pathLoss.total.toFixed(1)} dB</td></tr>
+                        <tr><td><strong>Model:</strong></td><td>${linkBudgetCalculator.propagationModels[analysis.propagationModel]}${analysis.fallback ? ' (no terrain)' : ''}</td></tr>
+                        <tr><td><strong>Environment:</strong></td><td>${analysis.environment}${this.linkEnvironments.has([tx1.id, tx2.id].sort().join('-')) ? ' (link override)' : ''}</td></tr>
                         <tr><td><strong>RX Signal:</strong></td><td>${analysis.linkBudget.rxSignalStrength.toFixed(1)} dBm</td></tr>
-                        <tr><td><strong>Spreading Factor:</strong></td><td>${linkData.spreadingFactor}</td></tr>
-                        <tr><td><strong>Reliability:</strong></td><td>${analysis.linkBudget.reliability.toFixed(1)}%</td></tr>
+                        <tr><td><strong>RSSI Margin:</strong></td><td>${analysis.linkBudget.rssiMargin.toFixed(1)} dB</td></tr>
+                        <tr><td><strong>SNR:</strong></td><td>${analysis.linkBudget.snr.toFixed(1)} dB</td></tr>
+                        <tr><td><strong>SNR Margin:</strong></td><td>${analysis.linkBudget.snrMargin.toFixed(1)} dB</td></tr>
+                        <tr><td><strong>Spreading Factor:</strong></td><td>${linkData.spreadingFactor}${analysis.modemPreset ? ` (${getModemPreset(analysis.modemPreset).name})` : ''}</td></tr>
+                        ${analysis.modemPreset ? `<tr><td><strong>Fastest Working Preset:</strong></td><td>${analysis.presetHint ? `${analysis.presetHint.name} (${analysis.presetHint.linkMargin.toFixed(1)} dB)` : 'None'}</td></tr>` : ''}
+                        <tr><td><strong>Bandwidth / CR:</strong></td><td>${analysis.linkBudget.bandwidth / 1e3} kHz, 4/${analysis.linkBudget.codingRate}</td></tr>
+                        <tr><td><strong>Time on Air:</strong></td><td>${linkData.airtime.timeOnAir.toFixed(1)} ms</td></tr>
+                        <tr><td><strong>Max Packets/Hour:</strong></td><td>${linkData.airtime.maxPacketsPerHour}</td></tr>
+                        <tr><td><strong>Effective Bitrate:</strong></td><td>${linkData.airtime.bitrate.toFixed(0)} bps</td></tr>
+                        <tr><td><strong>Availability:</strong></td><td>${analysis.linkBudget.availability.availability.toFixed(2)}% (σ ${analysis.linkBudget.availability.sigma} dB)</td></tr>
+                        <tr><td><strong>Packet Delivery:</strong></td><td>${analysis.linkBudget.availability.packetDeliveryRatio.toFixed(2)}%</td></tr>
                     </table>
                 </div>
+                ${pathLossBreakdown}
                 ${obstacleInfo}
+                ${linkData.directions.forward.analysis.terrainAnalysis?.hasObstructions ? '<div data-height-solver></div>' : ''}
+                ${linkData.quality === 'poor' || !linkData.directions.forward.isViable || !linkData.directions.reverse.isViable ? 
+                    '<div class="height-actions"><button class="btn-secondary" data-find-relay>🔍 Find relay site</button></div>' : ''}
+                ${refractionInfo}
+                ${interferenceInfo}
                 ${recommendations}
                 <div class="link-path">
                     <small><strong>Path:</strong> ${tx1.name} ↔ ${tx2.name}</small><br>
-                    <small><strong>Frequency:</strong> 915 MHz</small><br>
+                    <small><strong>k-factor:</strong> ${analysis.terrainAnalysis.kFactor ? analysis.terrainAnalysis.kFactor.toFixed(2) : '-'}</small><br>
+                    <small><strong>Frequency:</strong> ${this.formatFrequency(analysis.frequency)} (${analysis.region})</small><br>
                     <small><strong>Analysis:</strong> ${new Date(linkData.timestamp).toLocaleTimeString()}</small>
                 </div>
             </div>
@@ -482,35 +2114,149 @@ class LoRaMeshPlanner {
             color: colors[quality],
             weight: 3,
             opacity: 0.8
-        }).addTo(this.map);
+        });
+        if (!this.isLinkClustered(id1, id2)) line.addTo(this.map);
         
         // Store link with sorted IDs to avoid duplicates
         const linkId = [id1, id2].sort().join('-');
-        this.linkLines.set(linkId, { line, quality, enhanced: false });
+        if (this.linkLines.has(linkId)) {
+            this.map.removeLayer(this.linkLines.get(linkId).line);
+        }
+        this.linkLines.set(linkId, { line, ids: [id1, id2], quality, enhanced: false });
     }
 
-    removeLinkLines(transmitterId) {
-        // Remove all link lines associated with this transmitter
-        for (const [linkId, linkData] of this.linkLines) {
-            if (linkId.includes(transmitterId)) {
-                this.map.removeLayer(linkData.line);
-                this.linkLines.delete(linkId);
-            }
+    async updateAllLinks() {
+        const version = (this.linkVersions.get('network') || 0) + 1;
+        this.linkVersions.set('network', version);
+        
+        // Each pair in range once (both directions are analyzed
+        // per pair); pairs whose inputs did not change keep their result, and
+        // pairs of removed or now out-of-range nodes are dropped
+        const rangeTerms = this.getRangeTerms();
+        const pairs = [];
+        const keys = new Set();
+        this.transmitters.forEach((transmitter, id) => {
+            this.getLinkCandidates(id, rangeTerms).forEach(otherId => {
+                if (id < otherId) {
+                    pairs.push([transmitter, this.transmitters.get(otherId)]);
+                    keys.add(linkGraph.pairKey(id, otherId));
+                }
+            });
+        });
+        linkGraph.retain(keys);
+        
+        const linkPromises = pairs.map(([tx1, tx2]) => this.updateLink(tx1, tx2, { group: 'network' }));
+        await Promise.all(linkPromises);
+        if (this.linkVersions.get('network') !== version) return;
+        
+        this.updateInterference();
+        this.updateStats();
+        
+        // Network-wide settings change every node's coverage too
+        if (this.showCoverage) {
+            this.showAllCoverage();
         }
     }
 
-    updateAllLinks() {
-        // Clear all existing links
-        this.linkLines.forEach(linkData => {
-            this.map.removeLayer(linkData.line);
-        });
-        this.linkLines.clear();
+    /**
+     * Co-channel interference: every directed link against all other nodes
+     * transmitting at once. Results are attached to the link data and the
+     * affected lines are redrawn.
+     */
+    updateInterference() {
+        const enhancedLinks = Array.from(this.linkLines.values()).filter(link => link.enhanced);
         
-        // Recalculate all links
-        const transmitterIds = Array.from(this.transmitters.keys());
-        for (let i = 0; i < transmitterIds.length; i++) {
-            this.updateLinksForTransmitter(transmitterIds[i]);
+        if (!this.interferenceAnalysis) {
+            enhancedLinks.filter(link => link.data.interference).forEach(link => {
+                delete link.data.interference;
+                this.redrawLink(link.data);
+            });
+            return;
         }
+        
+        const directedLinks = [];
+        enhancedLinks.forEach(link => {
+            Object.values(link.data.directions).forEach(direction => {
+                const budget = direction.analysis.linkBudget;
+                directedLinks.push({
+                    from: direction.from,
+                    to: direction.to,
+                    rxSignal: budget.rxSignalStrength,
+                    spreadingFactor: budget.spreadingFactor,
+                    bandwidth: budget.bandwidth,
+                    noiseFloor: budget.noiseFloor,
+                    requiredSnr: budget.requiredSnr,
+                    isViable: direction.isViable
+                });
+            });
+        });
+        
+        const results = interferenceAnalyzer.analyze(directedLinks, this.getInterferenceEstimates(directedLinks));
+        let failing = 0;
+        enhancedLinks.forEach(link => {
+            const { forward, reverse } = link.data.directions;
+            const interference = {
+                forward: results.get(`${forward.from}>${forward.to}`),
+                reverse: results.get(`${reverse.from}>${reverse.to}`)
+            };
+            interference.fails = interference.forward.fails || interference.reverse.fails;
+            if (interference.fails) failing++;
+            
+            link.data.interference = interference;
+            this.redrawLink(link.data);
+        });
+        
+        console.log(`Interference analysis: ${failing} of ${enhancedLinks.length} links fail with all nodes transmitting`);
+    }
+
+    /**
+     * Power every node without a computed link (pruned by range, or still
+     * being computed) puts into each receiver, bounded by the lowest path loss
+     * any model could give the pair. Powers below the negligible level are dropped.
+     *
+     * @param {Array} directedLinks - Computed directed links
+     * @returns {Array} {from, to, rxSignal (dBm), bandwidth, spreadingFactor}
+     */
+    getInterferenceEstimates(directedLinks) {
+        const { terms, maxTransmit, maxHeight, kFactor } = this.getRangeTerms();
+        const linked = new Set(directedLinks.map(link => `${link.from}>${link.to}`));
+        const noiseFloors = new Map(directedLinks.map(link => [link.to, link.noiseFloor]));
+        const estimates = [];
+        
+        noiseFloors.forEach((noiseFloor, rxId) => {
+            const own = terms.get(rxId);
+            const center = this.transmitters.get(rxId).latlng;
+            const floor = noiseFloor - interferenceAnalyzer.negligibleLevel;
+            const radius = linkBudgetCalculator.calculateMaxRange(maxTransmit + own.rxGain - floor, maxHeight, own.height, kFactor);
+            
+            spatialIndex.queryRadius(center, radius).forEach(txId => {
+                if (txId === rxId || linked.has(`${txId}>${rxId}`)) return;
+                const other = terms.get(txId);
+                // Stacked nodes: no closer than 10 m
+                const distance = Math.max(0.01, this.calculateDistance(this.transmitters.get(txId).latlng, center));
+                const rxSignal = other.transmit + own.rxGain -
+                    linkBudgetCalculator.calculateMinimumPathLoss(distance, other.height, own.height, kFactor);
+                if (rxSignal < floor) return;
+                
+                estimates.push({
+                    from: txId,
+                    to: rxId,
+                    rxSignal: rxSignal,
+                    bandwidth: other.bandwidth,
+                    spreadingFactor: other.spreadingFactor
+                });
+            });
+        });
+        
+        return estimates;
+    }
+
+    /**
+     * Redraw an analyzed link from its stored data
+     */
+    redrawLink(linkData) {
+        const { from, to } = linkData.directions.forward;
+        this.drawEnhancedLinkLine(from, to, linkData);
     }
 
     toggleCoverage() {
@@ -523,59 +2269,297 @@ class LoRaMeshPlanner {
 
     showAllCoverage() {
         this.transmitters.forEach((transmitter, id) => {
-            this.showCoverageCircle(id, transmitter);
+            this.showCoveragePrediction(id, transmitter);
         });
     }
 
     hideAllCoverage() {
-        this.coverageCircles.forEach(circle => {
-            this.map.removeLayer(circle);
+        this.coverageLayers.forEach(layer => {
+            this.map.removeLayer(layer);
         });
-        this.coverageCircles.clear();
+        this.coverageLayers.clear();
+        this.coverageVersions.clear();
+        this.coveragePredictions.clear();
+        clearTimeout(this.networkCoverageTimer);
+        if (this.networkCoverageLayer) {
+            this.map.removeLayer(this.networkCoverageLayer);
+            this.networkCoverageLayer = null;
+        }
     }
 
-    showCoverageCircle(id, transmitter) {
-        // Simple circle for fast, reliable coverage
-        const radiusKm = transmitter.power >= 1.0 ? 15 : 8;
-        const radiusMeters = radiusKm * 1000;
+    /**
+     * Terrain-aware coverage: link margin to a mobile receiver along radial
+     * rays, drawn as one cell per ray and range step
+     */
+    async showCoveragePrediction(id, transmitter) {
+        const version = (this.coverageVersions.get(id) || 0) + 1;
+        this.coverageVersions.set(id, version);
         
-        const circle = L.circle(transmitter.latlng, {
-            color: '#ef4444',
-            fillColor: '#ef4444',
-            fillOpacity: this.coverageOpacity,
-            radius: radiusMeters,
-            weight: 1
-        }).addTo(this.map);
+        const settings = this.coverageSettings;
+        const receiver = { id: 'coverage_receiver', antennaHeight: settings.rxHeight };
+        const tx = { lat: transmitter.latlng.lat, lng: transmitter.latlng.lng, power: this.getTransmitPower(transmitter) };
+        const options = {
+            linkOptions: this.getLinkOptions(transmitter, receiver),
+            rxHeight: settings.rxHeight,
+            radius: settings.radius,
+            azimuthStep: settings.azimuthStep
+        };
+        computePool.cancel(id, 'coverage');
         
-        // Add simple popup
-        circle.bindPopup(`
+        let prediction;
+        try {
+            // Terrain on the main thread (shared elevation cache), link budgets in the pool
+            const elevations = await elevationService.getElevations(coveragePredictor.getRayLocations(tx, options));
+            prediction = await computePool.run('coverage', { tx: tx, elevations: elevations, options: options }, { group: id });
+        } catch (error) {
+            if (!error.cancelled) console.error('Coverage prediction failed:', error);
+            return;
+        }
+        
+        // Switched off, removed or recalculated while this one was running
+        if (!this.showCoverage || !this.transmitters.has(id) || this.coverageVersions.get(id) !== version) return;
+        
+        this.coveragePredictions.set(id, prediction);
+        if (this.coverageSettings.view === 'node') {
+            this.drawNodeCoverage(id, transmitter, prediction);
+        } else {
+            this.scheduleNetworkCoverage();
+        }
+    }
+
+    /**
+     * Per-node view: one cell per ray and range step, colored by margin
+     */
+    drawNodeCoverage(id, transmitter, prediction) {
+        const halfStep = prediction.azimuthStep / 2;
+        const stepMeters = prediction.rangeStep * 1000;
+        const cells = [];
+        
+        prediction.rays.forEach(ray => ray.cells.forEach((cell, i) => {
+            if (!cell.isViable) return;
+            
+            const inner = i * stepMeters;
+            const outer = (i + 1) * stepMeters;
+            const corners = [
+                this.destinationPoint(transmitter.latlng, ray.bearing - halfStep, inner),
+                this.destinationPoint(transmitter.latlng, ray.bearing - halfStep, outer),
+                this.destinationPoint(transmitter.latlng, ray.bearing + halfStep, outer),
+                this.destinationPoint(transmitter.latlng, ray.bearing + halfStep, inner)
+            ];
+            cells.push(L.polygon(corners, {
+                renderer: this.coverageRenderer,
+                stroke: false,
+                fillColor: this.getMarginColor(cell.linkMargin),
+                fillOpacity: this.coverageOpacity
+            }).bindTooltip(`${ray.bearing}°, ${cell.distance.toFixed(1)} km: ` +
+                `${cell.rxSignalStrength.toFixed(1)} dBm, margin ${cell.linkMargin.toFixed(1)} dB`));
+        }));
+        
+        const coverage = L.featureGroup(cells).addTo(this.map);
+        coverage.bindPopup(`
             <div class="coverage-popup">
-                <h4>📡 LoRa Coverage</h4>
-                <p><strong>Power:</strong> ${transmitter.power}W</p>
-                <p><strong>Radius:</strong> ${radiusKm} km (estimated)</p>
-                <p><small>Simple circular coverage model</small></p>
+                <h4>📡 ${transmitter.name} Coverage</h4>
+                <p><strong>Covered:</strong> ${(prediction.stats.coveredFraction * 100).toFixed(0)}% of ${prediction.radius} km radius</p>
+                <p><strong>Furthest viable:</strong> ${prediction.stats.maxRange.toFixed(1)} km</p>
+                <p><strong>Receiver:</strong> ${this.coverageSettings.rxHeight} m AGL</p>
+                <p><small>Link budget along ${prediction.rays.length} terrain rays, ${prediction.rangeStep.toFixed(1)} km cells.
+                Green: ≥15 dB margin, light green: 5-15 dB, amber: 0-5 dB</small></p>
             </div>
         `);
         
-        this.coverageCircles.set(id, circle);
+        const previous = this.coverageLayers.get(id);
+        if (previous) this.map.removeLayer(previous);
+        this.coverageLayers.set(id, coverage);
+    }
+
+    /**
+     * Redraw stored predictions after a view change
+     */
+    redrawCoverage() {
+        this.coverageLayers.forEach(layer => this.map.removeLayer(layer));
+        this.coverageLayers.clear();
+        if (this.networkCoverageLayer) {
+            this.map.removeLayer(this.networkCoverageLayer);
+            this.networkCoverageLayer = null;
+        }
+        
+        if (this.coverageSettings.view === 'node') {
+            this.coveragePredictions.forEach((prediction, id) => {
+                this.drawNodeCoverage(id, this.transmitters.get(id), prediction);
+            });
+        } else {
+            this.drawNetworkCoverage();
+        }
+        this.updateCoverageLegend();
+    }
+
+    /**
+     * Predictions arrive one node at a time; draw the combined grid once they settle
+     */
+    scheduleNetworkCoverage() {
+        clearTimeout(this.networkCoverageTimer);
+        this.networkCoverageTimer = setTimeout(() => this.drawNetworkCoverage(), 100);
+    }
+
+    /**
+     * Network views: best server, its margin, or redundancy per map cell
+     */
+    drawNetworkCoverage() {
+        if (this.networkCoverageLayer) {
+            this.map.removeLayer(this.networkCoverageLayer);
+            this.networkCoverageLayer = null;
+        }
+        
+        const grid = bestServerAnalyzer.buildGrid(this.coveragePredictions);
+        if (!grid || this.coverageSettings.view === 'node') return;
+        
+        const view = this.coverageSettings.view;
+        const cells = grid.cells.map(cell => L.rectangle(
+            [[cell.bounds.south, cell.bounds.west], [cell.bounds.north, cell.bounds.east]],
+            {
+                renderer: this.coverageRenderer,
+                stroke: false,
+                fillColor: view === 'bestServer' ? this.getNodeColor(cell.best.id) :
+                    view === 'bestMargin' ? this.getMarginColor(cell.best.linkMargin) :
+                    this.getRedundancyColor(cell.redundancy),
+                fillOpacity: this.coverageOpacity,
+                // Clicks inspect the point instead of placing a node
+                bubblingMouseEvents: false
+            }
+        ));
+        
+        this.networkCoverageLayer = L.featureGroup(cells).addTo(this.map);
+        this.networkCoverageLayer.on('click', (e) => {
+            L.popup()
+                .setLatLng(e.latlng)
+                .setContent(this.createCoverageInspectPopup(e.latlng))
+                .openOn(this.map);
+        });
+        
+        console.log(`Network coverage: ${grid.cells.length} cells of ${grid.cellSize.toFixed(2)} km`);
+    }
+
+    /**
+     * Every node that can hear a point, strongest first
+     */
+    createCoverageInspectPopup(latlng) {
+        const servers = bestServerAnalyzer.analyzePoint(this.coveragePredictions, latlng);
+        const rows = servers.map((server, i) => `
+            <tr>
+                <td><span class="legend-swatch" style="background: ${this.getNodeColor(server.id)}"></span>${this.transmitters.get(server.id)?.name || server.id}${i === 0 ? ' ★' : ''}</td>
+                <td>${server.rxSignalStrength.toFixed(1)} dBm</td>
+                <td>${server.linkMargin.toFixed(1)} dB</td>
+            </tr>`).join('');
+        
+        return `
+            <div class="coverage-popup">
+                <h4>📍 ${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}</h4>
+                <p><strong>Heard by:</strong> ${servers.length} node${servers.length === 1 ? '' : 's'}</p>
+                ${servers.length > 0 ? `
+                <table class="coverage-inspect">
+                    <tr><th>Node</th><th>RSSI</th><th>Margin</th></tr>
+                    ${rows}
+                </table>` : ''}
+            </div>
+        `;
+    }
+
+    getMarginColor(margin) {
+        if (margin >= 15) return '#059669';
+        if (margin >= 5) return '#10b981';
+        return '#f59e0b';
+    }
+
+    getRedundancyColor(count) {
+        if (count >= 3) return '#1d4ed8';
+        if (count === 2) return '#60a5fa';
+        return '#f59e0b';
+    }
+
+    getNodeColor(id) {
+        const palette = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d'];
+        const index = Array.from(this.transmitters.keys()).indexOf(id);
+        return palette[Math.max(0, index) % palette.length];
+    }
+
+    updateCoverageLegend() {
+        const legend = document.getElementById('coverageLegend');
+        const item = (color, label) =>
+            `<div class="legend-item"><span class="legend-swatch" style="background: ${color}"></span> ${label}</div>`;
+        
+        let items;
+        if (this.coverageSettings.view === 'bestServer') {
+            items = Array.from(this.transmitters.values()).map(tx => item(this.getNodeColor(tx.id), tx.name));
+        } else if (this.coverageSettings.view === 'redundancy') {
+            items = [
+                item(this.getRedundancyColor(1), '1 node'),
+                item(this.getRedundancyColor(2), '2 nodes'),
+                item(this.getRedundancyColor(3), '3 or more nodes')
+            ];
+        } else {
+            items = [
+                item(this.getMarginColor(15), 'Margin &ge;15 dB'),
+                item(this.getMarginColor(5), 'Margin 5-15 dB'),
+                item(this.getMarginColor(0), 'Margin 0-5 dB')
+            ];
+        }
+        
+        legend.innerHTML = items.join('') +
+            (this.coverageSettings.view === 'node' ? '' : '<div class="legend-item">Click the overlay to list the nodes heard there</div>');
+    }
+
+    /**
+     * Point at a distance and bearing from a start point (spherical Earth)
+     */
+    destinationPoint(latlng, bearing, distanceMeters) {
+        const R = 6371000;
+        const delta = distanceMeters / R;
+        const theta = bearing * Math.PI / 180;
+        const lat1 = latlng.lat * Math.PI / 180;
+        const lng1 = latlng.lng * Math.PI / 180;
+        
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+        const lng2 = lng1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+            Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+        
+        return L.latLng(lat2 * 180 / Math.PI, lng2 * 180 / Math.PI);
     }
     
 
-    removeCoverageCircle(id) {
-        const circle = this.coverageCircles.get(id);
-        if (circle) {
-            this.map.removeLayer(circle);
-            this.coverageCircles.delete(id);
+    removeCoverage(id) {
+        const layer = this.coverageLayers.get(id);
+        if (layer) {
+            this.map.removeLayer(layer);
+            this.coverageLayers.delete(id);
+        }
+        this.coverageVersions.delete(id);
+        if (this.coveragePredictions.delete(id) && this.coverageSettings.view !== 'node') {
+            this.scheduleNetworkCoverage();
         }
     }
 
     updateCoverageOpacity() {
-        this.coverageCircles.forEach(circle => {
-            circle.setStyle({ fillOpacity: this.coverageOpacity });
+        this.coverageLayers.forEach(layer => {
+            layer.setStyle({ fillOpacity: this.coverageOpacity });
         });
+        this.networkCoverageLayer?.setStyle({ fillOpacity: this.coverageOpacity });
     }
 
     
+    /**
+     * Background calculation progress (the map stays usable meanwhile)
+     */
+    showComputeProgress(progress) {
+        const status = document.getElementById('computeStatus');
+        if (progress.total === 0 || progress.fraction >= 1) {
+            status.classList.add('hidden');
+            return;
+        }
+        
+        status.textContent = `⏳ Calculating: ${progress.completed}/${progress.total} jobs (${Math.round(progress.fraction * 100)}%)`;
+        status.classList.remove('hidden');
+    }
+
     showLoading(show) {
         const overlay = document.getElementById('loadingOverlay');
         if (show) {
@@ -588,6 +2572,356 @@ class LoRaMeshPlanner {
     updateStats() {
         document.getElementById('txCount').textContent = this.transmitters.size;
         document.getElementById('linkCount').textContent = this.linkLines.size;
+        this.updateDemStatus();
+        this.updateAirtimeStats();
+        this.updateFloodSourceOptions();
+        this.updateCompliance();
+        this.updateCoverageLegend();
+        this.updateMarkerClusters();
+    }
+
+    /**
+     * Below clusterSettings.maxZoom, replace the markers sharing a screen cell
+     * with one count marker (click to zoom to them), and their links with
+     * merged lines (see updateLinkClusters)
+     */
+    updateMarkerClusters() {
+        if (!this.markerClusters) return;
+        this.markerClusters.clearLayers();
+        this.nodeClusters.clear();
+        
+        const zoom = this.map.getZoom();
+        const { maxZoom, minNodes, cellPixels } = this.clusterSettings;
+        const clustered = zoom <= maxZoom && this.transmitters.size >= minNodes;
+        
+        const cells = new Map();
+        this.transmitters.forEach(transmitter => {
+            if (!clustered) {
+                if (!this.map.hasLayer(transmitter.marker)) transmitter.marker.addTo(this.map);
+                return;
+            }
+            const point = this.map.project(transmitter.latlng, zoom);
+            const key = `${Math.floor(point.x / cellPixels)}:${Math.floor(point.y / cellPixels)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(transmitter);
+        });
+        
+        cells.forEach((members, key) => {
+            if (members.length === 1) {
+                if (!this.map.hasLayer(members[0].marker)) members[0].marker.addTo(this.map);
+                return;
+            }
+            
+            const bounds = L.latLngBounds(members.map(transmitter => transmitter.latlng));
+            members.forEach(transmitter => {
+                this.map.removeLayer(transmitter.marker);
+                this.nodeClusters.set(transmitter.id, { key: key, latlng: bounds.getCenter() });
+            });
+            
+            const size = members.length < 10 ? 26 : members.length < 100 ? 32 : 38;
+            const cluster = L.marker(bounds.getCenter(), {
+                icon: L.divIcon({
+                    html: `<div>${members.length}</div>`,
+                    className: 'marker-cluster',
+                    iconSize: [size, size]
+                }),
+                bubblingMouseEvents: false
+            });
+            cluster.on('click', () => this.map.fitBounds(bounds.pad(0.2), { maxZoom: maxZoom + 1 }));
+            this.markerClusters.addLayer(cluster);
+        });
+        
+        this.updateLinkClusters();
+    }
+
+    isLinkClustered(id1, id2) {
+        return this.nodeClusters.has(id1) || this.nodeClusters.has(id2);
+    }
+
+    /**
+     * Links inside one cluster are hidden; links leaving a cluster are drawn
+     * as one line per pair of ends (cluster or single node), in the best
+     * quality among them
+     */
+    updateLinkClusters() {
+        const colors = {
+            excellent: '#059669',
+            good: '#10b981',
+            marginal: '#f59e0b',
+            poor: '#ef4444'
+        };
+        const ranks = ['poor', 'marginal', 'good', 'excellent'];
+        
+        const merged = new Map();
+        this.linkLines.forEach(link => {
+            const [id1, id2] = link.ids;
+            if (!this.isLinkClustered(id1, id2)) {
+                if (!this.map.hasLayer(link.line)) link.line.addTo(this.map);
+                return;
+            }
+            this.map.removeLayer(link.line);
+            
+            const ends = link.ids.map(id => this.nodeClusters.get(id) || { key: id, latlng: this.transmitters.get(id).latlng });
+            if (ends[0].key === ends[1].key) return;
+            
+            const key = ends.map(end => end.key).sort().join('|');
+            const entry = merged.get(key) || { ends: ends, count: 0, quality: 'poor' };
+            entry.count++;
+            if (ranks.indexOf(link.quality) > ranks.indexOf(entry.quality)) entry.quality = link.quality;
+            merged.set(key, entry);
+        });
+        
+        merged.forEach(({ ends, count, quality }) => {
+            this.markerClusters.addLayer(L.polyline(ends.map(end => end.latlng), {
+                color: colors[quality] || colors.poor,
+                weight: Math.min(8, 2 + Math.log2(count)),
+                opacity: 0.7,
+                renderer: this.coverageRenderer
+            }).bindTooltip(`${count} link${count === 1 ? '' : 's'}`));
+        });
+    }
+
+    /**
+     * Check every node's conducted power, peak EIRP, duty cycle and dwell time
+     * against the band plan; flag offending markers and list legal power limits
+     */
+    updateCompliance() {
+        const plan = rfUtils.bandPlan;
+        
+        this.compliance.clear();
+        this.transmitters.forEach((tx, id) => {
+            const radio = this.getRadioSettings(tx);
+            const pattern = tx.antenna ? antennaLibrary.getPattern(tx.antenna.patternId) : null;
+            
+            const result = complianceChecker.checkNode({
+                power: this.getTransmitPower(tx),
+                antennaGain: pattern ? pattern.gain : radio.antennaGain,
+                cableLoss: radio.cableLoss,
+                connectorLoss: radio.connectorLoss,
+                timeOnAir: this.getNodeTimeOnAir(id),
+                packetsPerHour: this.trafficRate
+            }, plan);
+            this.compliance.set(id, result);
+            
+            const nonCompliant = !result.compliant;
+            if (tx.nonCompliant !== nonCompliant) {
+                tx.nonCompliant = nonCompliant;
+                tx.marker.setIcon(this.createTransmitterIcon(tx.power, nonCompliant));
+            }
+            tx.marker.setPopupContent(this.createTransmitterPopup(tx));
+        });
+        
+        this.showComplianceReport(plan);
+    }
+
+    /**
+     * Longest packet a node sends: its slowest working link direction
+     */
+    getNodeTimeOnAir(id) {
+        let timeOnAir = null;
+        this.linkLines.forEach(link => {
+            if (!link.enhanced) return;
+            Object.values(link.data.directions).forEach(direction => {
+                if (direction.from === id && direction.isViable && direction.airtime) {
+                    timeOnAir = Math.max(timeOnAir ?? 0, direction.airtime.timeOnAir);
+                }
+            });
+        });
+        return timeOnAir;
+    }
+
+    showComplianceReport(plan) {
+        const report = document.getElementById('complianceReport');
+        if (this.transmitters.size === 0) {
+            report.innerHTML = '';
+            return;
+        }
+        
+        const failing = Array.from(this.compliance.values()).filter(result => !result.compliant).length;
+        const rows = Array.from(this.compliance.entries()).map(([id, result]) => `
+            <tr class="${result.compliant ? '' : 'non-compliant'}">
+                <td>${this.transmitters.get(id).name}</td>
+                <td>${result.eirp.toFixed(1)}</td>
+                <td>${result.dutyCycle !== null ? `${(result.dutyCycle * 100).toFixed(2)}%` : '-'}</td>
+                <td>${this.formatPower(result.maxPowerWatts)}</td>
+            </tr>
+        `).join('');
+        
+        report.innerHTML = `
+            <strong>${failing === 0 ? '✅ All nodes compliant' : `⚠️ ${failing} of ${this.compliance.size} nodes exceed limits`} (${plan.name})</strong>
+            <table>
+                <tr><th>Node</th><th>EIRP (dBm)</th><th>Duty</th><th>Max Power</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    formatPower(watts) {
+        return watts >= 1 ? `${watts.toFixed(2)} W` : `${(watts * 1000).toFixed(0)} mW`;
+    }
+
+    updateAirtimeStats() {
+        // The slowest link bounds how much traffic the mesh can carry
+        let slowest = null;
+        this.linkLines.forEach(link => {
+            const airtime = link.data?.airtime;
+            if (airtime && (!slowest || airtime.timeOnAir > slowest.timeOnAir)) {
+                slowest = airtime;
+            }
+        });
+        
+        const airtimeStats = document.getElementById('airtimeStats');
+        if (!slowest) {
+            airtimeStats.classList.add('hidden');
+            return;
+        }
+        
+        airtimeStats.classList.remove('hidden');
+        document.getElementById('airtimeSF').textContent = slowest.spreadingFactor;
+        document.getElementById('airtimeToA').textContent = `${slowest.timeOnAir.toFixed(1)} ms`;
+        document.getElementById('airtimePackets').textContent = slowest.maxPacketsPerHour;
+        document.getElementById('airtimeBitrate').textContent = `${slowest.bitrate.toFixed(0)} bps`;
+    }
+
+    updateFloodSourceOptions() {
+        const select = document.getElementById('floodSourceSelect');
+        const selected = select.value;
+        
+        select.innerHTML = Array.from(this.transmitters.values())
+            .map(tx => `<option value="${tx.id}">${tx.name}</option>`)
+            .join('');
+        if (this.transmitters.has(selected)) select.value = selected;
+    }
+
+    /**
+     * Flood one message from a source over the working link directions,
+     * animate it on the map and report who was reached
+     */
+    runFloodSimulation(sourceId) {
+        const source = this.transmitters.get(sourceId);
+        if (!source) {
+            alert('Add transmitters and choose a source node first.');
+            return;
+        }
+        
+        const hopLimit = Math.min(7, Math.max(0, parseInt(document.getElementById('hopLimitInput').value, 10) || 0));
+        
+        // Directions broken by interference don't carry the message
+        const links = [];
+        this.linkLines.forEach(link => {
+            if (!link.enhanced) return;
+            Object.entries(link.data.directions).forEach(([key, direction]) => {
+                const budget = direction.analysis.linkBudget;
+                links.push({
+                    from: direction.from,
+                    to: direction.to,
+                    isViable: direction.isViable && !link.data.interference?.[key]?.fails,
+                    snr: budget.snr,
+                    timeOnAir: direction.airtime.timeOnAir,
+                    spreadingFactor: budget.spreadingFactor,
+                    bandwidth: budget.bandwidth
+                });
+            });
+        });
+        
+        const result = floodSimulator.simulate(links, sourceId, {
+            hopLimit: hopLimit,
+            nodes: Array.from(this.transmitters.keys())
+        });
+        
+        this.animateFlood(result);
+        this.showFloodResults(result);
+        
+        console.log(`Flood from ${source.name}: reached ${result.stats.reachedCount}/${result.stats.nodeCount} nodes, ` +
+            `${result.stats.transmissions} transmissions (${result.stats.redundantRebroadcasts} redundant)`);
+    }
+
+    /**
+     * Replay the simulation events over about six seconds
+     */
+    animateFlood(result) {
+        this.clearFloodSimulation();
+        this.floodLayer = L.layerGroup().addTo(this.map);
+        
+        const hopColors = ['#2563eb', '#059669', '#f59e0b', '#ea580c', '#dc2626', '#7c3aed', '#db2777', '#0891b2'];
+        const nodes = new Map(result.nodes.map(node => [node.id, node]));
+        const endTime = result.events.reduce((max, event) => Math.max(max, event.time + (event.duration || 0)), 1);
+        const scale = endTime / 6000;
+        const at = (time, action) => this.floodTimers.push(setTimeout(action, time / scale));
+        
+        const drawNode = (id, color, tooltip, options = {}) => {
+            const tx = this.transmitters.get(id);
+            if (!tx || !this.floodLayer) return;
+            L.circleMarker(tx.latlng, { radius: 10, color: color, weight: 3, fillOpacity: 0.3, ...options })
+                .bindTooltip(tooltip)
+                .addTo(this.floodLayer);
+        };
+        
+        drawNode(result.source, '#111827', `${this.transmitters.get(result.source).name}: source`);
+        
+        result.events.forEach(event => {
+            const name = this.transmitters.get(event.node)?.name || event.node;
+            
+            if (event.type === 'tx') {
+                at(event.time, () => {
+                    const sender = this.transmitters.get(event.node);
+                    if (!sender || !this.floodLayer) return;
+                    // Same color as the nodes this transmission reaches first-hand
+                    const hops = event.node === result.source ? 0 : nodes.get(event.node).hopsAway + 1;
+                    const color = hopColors[hops % hopColors.length];
+                    const lines = event.receivers
+                        .map(id => this.transmitters.get(id))
+                        .filter(Boolean)
+                        .map(receiver => L.polyline([sender.latlng, receiver.latlng], { color: color, weight: 4, opacity: 0.9 })
+                            .addTo(this.floodLayer));
+                    // Fade once the packet is off the air
+                    this.floodTimers.push(setTimeout(() => lines.forEach(line => line.setStyle({ opacity: 0.25, weight: 2 })), event.duration / scale));
+                });
+            } else if (event.type === 'rx') {
+                at(event.time, () => drawNode(event.node, hopColors[event.hopsAway % hopColors.length],
+                    `${name}: ${event.hopsAway} hop${event.hopsAway === 1 ? '' : 's'} away, ${event.time.toFixed(0)} ms`));
+            } else if (event.type === 'suppress') {
+                at(event.time, () => drawNode(event.node, '#6b7280', `${name}: rebroadcast suppressed (duplicate heard)`,
+                    { radius: 14, weight: 1, fillOpacity: 0, dashArray: '3, 3' }));
+            }
+        });
+        
+        at(endTime, () => result.nodes.filter(node => !node.reached).forEach(node =>
+            drawNode(node.id, '#dc2626', `${this.transmitters.get(node.id)?.name || node.id}: not reached`, { fillOpacity: 0, dashArray: '4, 4' })));
+    }
+
+    showFloodResults(result) {
+        const stats = result.stats;
+        const nameOf = (id) => this.transmitters.get(id)?.name || id;
+        
+        const rows = result.nodes
+            .filter(node => node.id !== result.source)
+            .sort((a, b) => (a.heardAt ?? Infinity) - (b.heardAt ?? Infinity))
+            .map(node => node.reached ?
+                `<tr><td>${nameOf(node.id)}</td><td>${node.hopsAway}</td><td>${node.heardAt.toFixed(0)} ms</td><td>${nameOf(node.via)}</td></tr>` :
+                `<tr class="unreached"><td>${nameOf(node.id)}</td><td colspan="3">not reached</td></tr>`)
+            .join('');
+        
+        const panel = document.getElementById('floodResults');
+        panel.innerHTML = `
+            <strong>Reached ${stats.reachedCount}/${stats.nodeCount} nodes (hop limit ${result.hopLimit})</strong>
+            <div>Delivered to all reached nodes in ${stats.completionTime.toFixed(0)} ms, max ${stats.maxHops} hop${stats.maxHops === 1 ? '' : 's'}</div>
+            <div>Transmissions: ${stats.transmissions} (${stats.rebroadcasts} rebroadcasts, ${stats.redundantRebroadcasts} redundant)</div>
+            <div>Suppressed rebroadcasts: ${stats.suppressedRebroadcasts}</div>
+            <div>Total airtime: ${stats.totalAirtime.toFixed(0)} ms</div>
+            ${rows ? `<table><tr><th>Node</th><th>Hops away</th><th>Heard</th><th>Via</th></tr>${rows}</table>` : ''}
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    clearFloodSimulation() {
+        this.floodTimers.forEach(timer => clearTimeout(timer));
+        this.floodTimers = [];
+        if (this.floodLayer) {
+            this.map.removeLayer(this.floodLayer);
+            this.floodLayer = null;
+        }
+        document.getElementById('floodResults').classList.add('hidden');
     }
 
     clearAll() {
@@ -598,19 +2932,18 @@ class LoRaMeshPlanner {
             this.map.removeLayer(transmitter.marker);
         });
         this.transmitters.clear();
+        spatialIndex.clear();
         
         // Remove all links
-        this.linkLines.forEach(linkData => {
-            this.map.removeLayer(linkData.line);
-        });
-        this.linkLines.clear();
+        linkGraph.clear();
+        this.linkEnvironments.clear();
         
         // Remove all coverage
-        this.coverageCircles.forEach(circle => {
-            this.map.removeLayer(circle);
-        });
-        this.coverageCircles.clear();
+        this.hideAllCoverage();
         
+        this.clearFloodSimulation();
+        this.clearRelayCandidates();
+        this.clearRepeaterPlan();
         this.updateStats();
         this.saveToStorage();
         
@@ -624,13 +2957,31 @@ class LoRaMeshPlanner {
                 name: tx.name,
                 lat: tx.latlng.lat,
                 lng: tx.latlng.lng,
-                power: tx.power
+                power: tx.power,
+                radio: tx.radio,
+                antenna: tx.antenna,
+                antennaHeight: tx.antennaHeight,
+                hardwareProfile: tx.hardwareProfile
             })),
             settings: {
                 currentPower: this.currentPower,
+                region: this.currentRegion,
+                radio: this.radioSettings,
+                propagation: this.propagationSettings,
+                linkEnvironments: Object.fromEntries(this.linkEnvironments),
+                clutter: this.clutterSettings,
+                worstCaseRefraction: this.worstCaseRefraction,
+                interferenceAnalysis: this.interferenceAnalysis,
+                trafficRate: this.trafficRate,
+                repeaterPlanning: this.repeaterSettings,
                 showCoverage: this.showCoverage,
-                coverageOpacity: this.coverageOpacity
-            }
+                coverageOpacity: this.coverageOpacity,
+                coverage: this.coverageSettings,
+                elevationSource: elevationService.currentApi
+            },
+            clutterPolygons: clutterModel.polygons,
+            antennaPatterns: antennaLibrary.getCustomPatterns(),
+            hardwareProfiles: hardwareProfiles.getCustomProfiles()
         };
         
         localStorage.setItem('loraMeshPlannerData', JSON.stringify(data));
@@ -646,13 +2997,45 @@ class LoRaMeshPlanner {
                 this.currentPower = data.settings.currentPower || 0.15;
                 this.showCoverage = data.settings.showCoverage || false;
                 this.coverageOpacity = data.settings.coverageOpacity || 0.3;
+                this.coverageSettings = { ...this.coverageSettings, ...data.settings.coverage };
+                this.setRegion(data.settings.region || 'US915');
+                this.radioSettings = { ...this.radioSettings, ...data.settings.radio };
+                this.propagationSettings = { ...this.propagationSettings, ...data.settings.propagation };
+                this.worstCaseRefraction = data.settings.worstCaseRefraction || false;
+                this.interferenceAnalysis = data.settings.interferenceAnalysis || false;
+                this.trafficRate = data.settings.trafficRate ?? this.trafficRate;
+                this.repeaterSettings = { ...this.repeaterSettings, ...data.settings.repeaterPlanning };
+                this.linkEnvironments = new Map(Object.entries(data.settings.linkEnvironments || {}));
+                this.clutterSettings = { ...this.clutterSettings, ...data.settings.clutter };
+                if (data.settings.elevationSource) {
+                    elevationService.setApi(data.settings.elevationSource);
+                }
+                this.updateRadioControls();
                 
                 document.getElementById('powerSelect').value = this.currentPower;
                 document.getElementById('showCoverage').checked = this.showCoverage;
+                document.getElementById('elevationSourceSelect').value = elevationService.currentApi;
+                this.updateDemStatus();
                 document.getElementById('transparencySlider').value = this.coverageOpacity * 100;
                 document.getElementById('transparencyValue').textContent = Math.round(this.coverageOpacity * 100) + '%';
             }
             
+            // Restore clutter polygons before links are calculated
+            if (data.clutterPolygons) {
+                data.clutterPolygons.forEach(saved => {
+                    const polygon = clutterModel.addPolygon(saved.classId, saved.points, saved.id);
+                    this.addClutterLayer(polygon);
+                });
+            }
+            
+            // Restore imported antenna patterns and hardware profiles before nodes reference them
+            if (data.antennaPatterns) {
+                antennaLibrary.loadCustomPatterns(data.antennaPatterns);
+            }
+            if (data.hardwareProfiles) {
+                hardwareProfiles.loadCustomProfiles(data.hardwareProfiles);
+            }
+            
             // Restore transmitters
             if (data.transmitters) {
                 data.transmitters.forEach(txData => {
@@ -667,31 +3050,20 @@ class LoRaMeshPlanner {
                         marker: marker,
                         latlng: latlng,
                         power: txData.power,
-                        name: txData.name
+                        name: txData.name,
+                        radio: txData.radio,
+                        antenna: txData.antenna,
+                        antennaHeight: txData.antennaHeight,
+                        hardwareProfile: txData.hardwareProfile
                     };
                     
                     this.transmitters.set(txData.id, transmitterData);
-                    
-                    // Bind events
-                    marker.on('dragend', () => {
-                        transmitterData.latlng = marker.getLatLng();
-                        this.updateLinksForTransmitter(txData.id);
-                        this.saveToStorage();
-                    });
-                    
-                    marker.bindPopup(this.createTransmitterPopup(transmitterData));
-                    marker.on('contextmenu', (e) => {
-                        this.showTransmitterMenu(e, transmitterData);
-                    });
+                    spatialIndex.insert(txData.id, latlng);
+                    this.bindTransmitterEvents(transmitterData);
                 });
                 
-                // Recalculate all links
+                // Recalculate all links (and coverage, if enabled)
                 this.updateAllLinks();
-                
-                // Show coverage if enabled
-                if (this.showCoverage) {
-                    this.showAllCoverage();
-                }
             }
             
             this.updateStats();
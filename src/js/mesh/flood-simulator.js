@@ -0,0 +1,184 @@
+/**
+ * Managed-Flood Message Propagation Simulator
+ * Meshtastic-style rebroadcast with hop limit, SNR-weighted rebroadcast delay
+ * and duplicate suppression, over the links computed by the planner
+ * Author: K7CFO
+ */
+
+export class FloodSimulator {
+    constructor() {
+        // Contention window (exponent of 2) mapped from received SNR: weak
+        // receivers (far away) rebroadcast first, strong ones wait longer
+        this.contentionWindow = {
+            minSnr: -20,   // dB
+            maxSnr: 10,    // dB
+            min: 2,
+            max: 7
+        };
+
+        // Slot time = 2.5 symbols (CAD) + radio turnaround and processing
+        this.slotOverhead = 7.6; // ms
+
+        this.defaultHopLimit = 3;
+    }
+
+    /**
+     * Simulate one message flooding from a source
+     *
+     * @param {Array} links - Directed links {from, to, isViable, snr (dB), timeOnAir (ms),
+     *                        spreadingFactor ('SF7'..'SF12'), bandwidth (Hz)}
+     * @param {string} sourceId - Originating node
+     * @param {Object} options - {hopLimit, nodes: array of all node ids}
+     * @returns {Object} {nodes, transmissions, events, stats}
+     */
+    simulate(links, sourceId, options = {}) {
+        const hopLimit = options.hopLimit ?? this.defaultHopLimit;
+        const nodeIds = options.nodes || [...new Set(links.flatMap(link => [link.from, link.to]))];
+
+        const outgoing = new Map(nodeIds.map(id => [id, []]));
+        links.forEach(link => {
+            if (link.isViable && outgoing.has(link.from)) outgoing.get(link.from).push(link);
+        });
+
+        // Per-node state: when and how the message was first heard
+        const nodes = new Map(nodeIds.map(id => [id, {
+            id: id,
+            reached: id === sourceId,
+            hopsAway: id === sourceId ? 0 : null,
+            heardAt: id === sourceId ? 0 : null,
+            via: null,
+            duplicates: 0,
+            pending: null,
+            suppressed: false
+        }]));
+
+        const queue = [];
+        const events = [];
+        const transmissions = [];
+        const schedule = (event) => {
+            queue.push(event);
+            queue.sort((a, b) => a.time - b.time);
+        };
+
+        schedule({ type: 'tx', time: 0, node: sourceId, hopLimit: hopLimit });
+
+        while (queue.length > 0) {
+            const event = queue.shift();
+            if (event.cancelled) continue;
+
+            if (event.type === 'tx') {
+                const sender = nodes.get(event.node);
+                sender.pending = null;
+
+                const receivers = outgoing.get(event.node) || [];
+                const duration = receivers.reduce((max, link) => Math.max(max, link.timeOnAir), 0);
+                const transmission = {
+                    node: event.node,
+                    time: event.time,
+                    duration: duration,
+                    hopLimit: event.hopLimit,
+                    receivers: receivers.map(link => link.to),
+                    newlyReached: 0
+                };
+                transmissions.push(transmission);
+                events.push({ type: 'tx', time: event.time, node: event.node, duration: duration, receivers: transmission.receivers });
+
+                receivers.forEach(link => schedule({
+                    type: 'rx',
+                    time: event.time + link.timeOnAir,
+                    node: link.to,
+                    from: event.node,
+                    hopLimit: event.hopLimit,
+                    link: link,
+                    transmission: transmission
+                }));
+            } else {
+                this.receive(event, nodes.get(event.node), hopLimit, schedule, events);
+            }
+        }
+
+        const nodeResults = Array.from(nodes.values()).map(({ pending, ...node }) => node);
+        const reached = nodeResults.filter(node => node.reached);
+
+        return {
+            source: sourceId,
+            hopLimit: hopLimit,
+            nodes: nodeResults,
+            transmissions: transmissions,
+            events: events,
+            stats: {
+                nodeCount: nodeResults.length,
+                reachedCount: reached.length,
+                maxHops: reached.reduce((max, node) => Math.max(max, node.hopsAway), 0),
+                completionTime: reached.reduce((max, node) => Math.max(max, node.heardAt), 0),
+                transmissions: transmissions.length,
+                rebroadcasts: transmissions.length - 1,
+                // Rebroadcasts that did not reach anyone new
+                redundantRebroadcasts: transmissions.slice(1).filter(tx => tx.newlyReached === 0).length,
+                suppressedRebroadcasts: nodeResults.filter(node => node.suppressed).length,
+                totalAirtime: transmissions.reduce((sum, tx) => sum + tx.duration, 0)
+            }
+        };
+    }
+
+    /**
+     * Handle a node receiving a copy of the message
+     */
+    receive(event, node, hopLimit, schedule, events) {
+        if (node.reached) {
+            // Duplicate: someone else already relayed it, so drop our pending rebroadcast
+            node.duplicates++;
+            if (node.pending) {
+                node.pending.cancelled = true;
+                node.pending = null;
+                node.suppressed = true;
+                events.push({ type: 'suppress', time: event.time, node: node.id, from: event.from });
+            }
+            return;
+        }
+
+        node.reached = true;
+        node.heardAt = event.time;
+        node.hopsAway = hopLimit - event.hopLimit;
+        node.via = event.from;
+        event.transmission.newlyReached++;
+        events.push({ type: 'rx', time: event.time, node: node.id, from: event.from, hopsAway: node.hopsAway });
+
+        // Rebroadcast while hops remain
+        if (event.hopLimit > 0) {
+            node.pending = {
+                type: 'tx',
+                time: event.time + this.getRebroadcastDelay(event.link),
+                node: node.id,
+                hopLimit: event.hopLimit - 1
+            };
+            schedule(node.pending);
+        }
+    }
+
+    /**
+     * Rebroadcast delay: mean of the contention window chosen from SNR
+     *
+     * @param {Object} link - Link the message arrived on
+     * @returns {number} Delay in ms
+     */
+    getRebroadcastDelay(link) {
+        const cw = this.contentionWindow;
+        const fraction = Math.min(1, Math.max(0, (link.snr - cw.minSnr) / (cw.maxSnr - cw.minSnr)));
+        const windowSize = Math.round(cw.min + fraction * (cw.max - cw.min));
+
+        return Math.pow(2, windowSize) / 2 * this.getSlotTime(link);
+    }
+
+    /**
+     * Contention slot time for the link's modulation
+     */
+    getSlotTime(link) {
+        const sf = parseInt(String(link.spreadingFactor).replace(/^SF/i, ''), 10);
+        const symbolTime = Math.pow(2, sf) / link.bandwidth * 1000; // ms
+        return 2.5 * symbolTime + this.slotOverhead;
+    }
+}
+
+// Create singleton instance
+export const floodSimulator = new FloodSimulator();
@@ -0,0 +1,167 @@
+/**
+ * Link Graph Store
+ * Link results keyed by node pair, with the inputs they were computed from.
+ * Only pairs whose inputs changed are recomputed, concurrent requests for the
+ * same pair and inputs share one computation, computations superseded by new
+ * inputs are cancelled, and subscribers are told about every change.
+ * Provisional results (estimates made without the data the inputs stand for,
+ * e.g. offline) are kept but computed again on the next update.
+ * Author: K7CFO
+ */
+
+export class LinkGraph {
+    constructor() {
+        // Pair key → {id1, id2, inputsKey, linkData, pending, pendingKey, cancelPending}
+        this.entries = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Key of an unordered node pair
+     */
+    pairKey(id1, id2) {
+        return [id1, id2].sort().join('-');
+    }
+
+    /**
+     * Get a pair's link, computing it only if its inputs changed
+     *
+     * @param {string} id1 - Node id
+     * @param {string} id2 - Node id
+     * @param {Object} inputs - Everything the result depends on (JSON-serializable)
+     * @param {Function} compute - async () → link data ({provisional: true} to compute again next time)
+     * @param {Function} cancel - Stops this computation's work once it is no longer wanted (optional)
+     * @returns {Promise<Object>} Link data for these inputs
+     */
+    update(id1, id2, inputs, compute, cancel = null) {
+        const key = this.pairKey(id1, id2);
+        const inputsKey = JSON.stringify(inputs);
+
+        let entry = this.entries.get(key);
+        if (!entry) {
+            const [first, second] = [id1, id2].sort();
+            entry = { id1: first, id2: second, inputsKey: null, linkData: null, pending: null, pendingKey: null, cancelPending: null };
+            this.entries.set(key, entry);
+        }
+
+        // Unchanged, or already being computed for the same inputs
+        if (entry.linkData && entry.inputsKey === inputsKey && !entry.pending) {
+            return Promise.resolve(entry.linkData);
+        }
+        if (entry.pending && entry.pendingKey === inputsKey) {
+            return entry.pending;
+        }
+
+        // New inputs supersede a computation still running for old ones
+        this.cancelPending(entry);
+        const pending = compute().then(linkData => {
+            if (entry.pending === pending && this.entries.get(key) === entry) {
+                entry.linkData = linkData;
+                entry.inputsKey = linkData.provisional ? null : inputsKey;
+                entry.pending = null;
+                entry.pendingKey = null;
+                entry.cancelPending = null;
+                this.emit({ type: 'update', key: key, id1: entry.id1, id2: entry.id2, linkData: linkData });
+            }
+            return linkData;
+        }, error => {
+            if (entry.pending === pending) {
+                entry.pending = null;
+                entry.pendingKey = null;
+                entry.cancelPending = null;
+            }
+            throw error;
+        });
+
+        entry.pending = pending;
+        entry.pendingKey = inputsKey;
+        entry.cancelPending = cancel;
+        return pending;
+    }
+
+    /**
+     * Stop an entry's running computation; its result will be dropped anyway
+     */
+    cancelPending(entry) {
+        const cancel = entry.cancelPending;
+        entry.pending = null;
+        entry.pendingKey = null;
+        entry.cancelPending = null;
+        if (cancel) cancel();
+    }
+
+    /**
+     * Current link data of a pair (null if not computed yet)
+     */
+    get(id1, id2) {
+        return this.entries.get(this.pairKey(id1, id2))?.linkData || null;
+    }
+
+    /**
+     * Drop every pair of a node
+     */
+    removeNode(id) {
+        for (const [key, entry] of this.entries) {
+            if (entry.id1 === id || entry.id2 === id) this.removeEntry(key, entry);
+        }
+    }
+
+    /**
+     * Drop one pair
+     */
+    removePair(id1, id2) {
+        const key = this.pairKey(id1, id2);
+        const entry = this.entries.get(key);
+        if (entry) this.removeEntry(key, entry);
+    }
+
+    /**
+     * Drop every pair not in a set, e.g. pairs of removed nodes or pairs now
+     * out of range
+     *
+     * @param {Set} keys - Pair keys (see pairKey) to keep
+     */
+    retain(keys) {
+        for (const [key, entry] of this.entries) {
+            if (!keys.has(key)) this.removeEntry(key, entry);
+        }
+    }
+
+    removeEntry(key, entry) {
+        this.entries.delete(key);
+        this.cancelPending(entry);
+        if (entry.linkData) {
+            this.emit({ type: 'remove', key: key, id1: entry.id1, id2: entry.id2 });
+        }
+    }
+
+    clear() {
+        this.entries.forEach(entry => this.cancelPending(entry));
+        this.entries.clear();
+        this.emit({ type: 'clear' });
+    }
+
+    /**
+     * Listen for changes: {type: 'update', key, id1, id2, linkData},
+     * {type: 'remove', key, id1, id2} or {type: 'clear'}
+     *
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Link graph listener failed:', error);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+export const linkGraph = new LinkGraph();
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LinkGraph } from './link-graph.js';
+
+/**
+ * A computation that resolves when told to
+ */
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+function track(graph) {
+    const changes = [];
+    graph.subscribe(change => changes.push(change));
+    return changes;
+}
+
+describe('LinkGraph', () => {
+    it('keys pairs independently of their order', () => {
+        const graph = new LinkGraph();
+        expect(graph.pairKey('b', 'a')).toBe(graph.pairKey('a', 'b'));
+    });
+
+    it('returns the stored result when the inputs are unchanged', async () => {
+        const graph = new LinkGraph();
+        const compute = vi.fn(async () => ({ quality: 'good' }));
+
+        const first = await graph.update('a', 'b', { distance: 1 }, compute);
+        const second = await graph.update('b', 'a', { distance: 1 }, compute);
+
+        expect(compute).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+        expect(graph.get('a', 'b')).toBe(first);
+    });
+
+    it('recomputes when the inputs change', async () => {
+        const graph = new LinkGraph();
+        const compute = vi.fn(async () => ({ quality: 'good' }));
+
+        await graph.update('a', 'b', { distance: 1 }, compute);
+        await graph.update('a', 'b', { distance: 2 }, compute);
+
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('computes provisional results again even when the inputs are unchanged', async () => {
+        const graph = new LinkGraph();
+        const compute = vi.fn()
+            .mockResolvedValueOnce({ fallback: true, provisional: true, quality: 'poor' })
+            .mockResolvedValueOnce({ quality: 'good' });
+
+        await expect(graph.update('a', 'b', { distance: 1 }, compute)).resolves.toMatchObject({ provisional: true });
+        expect(graph.get('a', 'b')).toMatchObject({ fallback: true });
+
+        await expect(graph.update('a', 'b', { distance: 1 }, compute)).resolves.toEqual({ quality: 'good' });
+        await graph.update('a', 'b', { distance: 1 }, compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('shares one pending computation between requests with the same inputs', async () => {
+        const graph = new LinkGraph();
+        const work = deferred();
+        const compute = vi.fn(() => work.promise);
+
+        const first = graph.update('a', 'b', { distance: 1 }, compute);
+        const second = graph.update('a', 'b', { distance: 1 }, compute);
+        expect(second).toBe(first);
+
+        work.resolve({ quality: 'good' });
+        await expect(second).resolves.toEqual({ quality: 'good' });
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    it('drops the result of a computation superseded by new inputs, and cancels it', async () => {
+        const graph = new LinkGraph();
+        const changes = track(graph);
+        const stale = deferred();
+        const fresh = deferred();
+        const cancelStale = vi.fn();
+
+        const first = graph.update('a', 'b', { distance: 1 }, () => stale.promise, cancelStale);
+        const second = graph.update('a', 'b', { distance: 2 }, () => fresh.promise);
+        expect(cancelStale).toHaveBeenCalledTimes(1);
+
+        fresh.resolve({ quality: 'good' });
+        await second;
+        stale.resolve({ quality: 'poor' });
+        await first;
+
+        expect(graph.get('a', 'b')).toEqual({ quality: 'good' });
+        expect(changes.filter(change => change.type === 'update')).toHaveLength(1);
+    });
+
+    it('computes again after a failed computation', async () => {
+        const graph = new LinkGraph();
+        const compute = vi.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('cancelled'), { cancelled: true }))
+            .mockResolvedValueOnce({ quality: 'good' });
+
+        await expect(graph.update('a', 'b', { distance: 1 }, compute)).rejects.toThrow('cancelled');
+        await expect(graph.update('a', 'b', { distance: 1 }, compute)).resolves.toEqual({ quality: 'good' });
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('emits update events with the pair and its data', async () => {
+        const graph = new LinkGraph();
+        const changes = track(graph);
+
+        await graph.update('b', 'a', { distance: 1 }, async () => ({ quality: 'good' }));
+
+        expect(changes).toEqual([
+            { type: 'update', key: graph.pairKey('a', 'b'), id1: 'a', id2: 'b', linkData: { quality: 'good' } }
+        ]);
+    });
+
+    it('emits remove only for pairs that have data', async () => {
+        const graph = new LinkGraph();
+        const changes = track(graph);
+        const pending = deferred();
+        const cancel = vi.fn();
+
+        await graph.update('a', 'b', { distance: 1 }, async () => ({ quality: 'good' }));
+        graph.update('a', 'c', { distance: 1 }, () => pending.promise, cancel);
+        graph.removeNode('a');
+
+        expect(changes.filter(change => change.type === 'remove')).toEqual([
+            { type: 'remove', key: graph.pairKey('a', 'b'), id1: 'a', id2: 'b' }
+        ]);
+        expect(cancel).toHaveBeenCalledTimes(1);
+
+        // The cancelled computation finishing later changes nothing
+        pending.resolve({ quality: 'good' });
+        await pending.promise;
+        expect(graph.get('a', 'c')).toBeNull();
+    });
+
+    it('removes single pairs and keeps only retained pairs', async () => {
+        const graph = new LinkGraph();
+        const changes = track(graph);
+        const compute = async () => ({ quality: 'good' });
+
+        await graph.update('a', 'b', {}, compute);
+        await graph.update('a', 'c', {}, compute);
+        await graph.update('b', 'c', {}, compute);
+
+        graph.removePair('c', 'a');
+        graph.retain(new Set([graph.pairKey('a', 'b')]));
+
+        expect(changes.filter(change => change.type === 'remove').map(change => change.key)).toEqual([
+            graph.pairKey('a', 'c'),
+            graph.pairKey('b', 'c')
+        ]);
+        expect(graph.get('a', 'b')).not.toBeNull();
+    });
+
+    it('cancels pending computations and emits clear when cleared', () => {
+        const graph = new LinkGraph();
+        const changes = track(graph);
+        const cancel = vi.fn();
+
+        graph.update('a', 'b', {}, () => deferred().promise, cancel);
+        graph.clear();
+
+        expect(cancel).toHaveBeenCalledTimes(1);
+        expect(changes).toEqual([{ type: 'clear' }]);
+    });
+
+    it('stops notifying after unsubscribe and survives failing listeners', async () => {
+        const graph = new LinkGraph();
+        const listener = vi.fn();
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        graph.subscribe(() => {
+            throw new Error('listener failed');
+        });
+        const unsubscribe = graph.subscribe(listener);
+        await graph.update('a', 'b', { distance: 1 }, async () => ({}));
+        unsubscribe();
+        await graph.update('a', 'b', { distance: 2 }, async () => ({}));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(error).toHaveBeenCalled();
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Relay Site Finder
+ * Searches a corridor around a failed link for high ground where a relay
+ * would close both hops
+ * Author: K7CFO
+ */
+
+import { elevationService } from '../rf/elevation-service.js';
+import { antennaLibrary } from '../rf/antennas.js';
+
+export class RelayFinder {
+    constructor() {
+        this.alongSteps = 15;        // Grid rows along the path
+        this.acrossSteps = 7;        // Grid columns across the path
+        this.corridorFraction = 0.3; // Corridor half-width as a fraction of path length
+        this.maxCorridorWidth = 5;   // km
+        this.endMargin = 0.1;        // Skip this fraction of the path at each end
+        this.maxCandidates = 8;      // Sites evaluated with full link budgets
+    }
+
+    /**
+     * Find relay sites between two points
+     *
+     * @param {Object} start - {lat, lng}
+     * @param {Object} end - {lat, lng}
+     * @param {Function} evaluateHop - async (from {lat, lng}, to {lat, lng}) → {linkMargin, isViable}
+     * @param {Object} options - Overrides for the grid settings above
+     * @returns {Promise<Array>} Candidates {lat, lng, elevation, hops: [first, second], worstMargin, isViable},
+     *                           best first
+     */
+    async findRelays(start, end, evaluateHop, options = {}) {
+        const settings = { ...this, ...options };
+        const grid = await this.sampleCorridor(start, end, settings);
+        const sites = this.selectSites(grid, settings);
+
+        // Sequential: each hop fetches its own elevation profile
+        const candidates = [];
+        for (const site of sites) {
+            const first = await evaluateHop(start, site);
+            const second = await evaluateHop(site, end);
+            candidates.push({
+                ...site,
+                hops: [first, second],
+                worstMargin: Math.min(first.linkMargin, second.linkMargin),
+                isViable: first.isViable && second.isViable
+            });
+        }
+
+        console.log(`Relay search: ${grid.points.length} grid points, ${candidates.filter(c => c.isViable).length}/${candidates.length} viable sites`);
+        return candidates.sort((a, b) =>
+            (b.isViable - a.isViable) || (b.worstMargin - a.worstMargin) || (b.elevation - a.elevation));
+    }
+
+    /**
+     * Elevation grid over a corridor centred on the path
+     *
+     * @returns {Promise<Object>} {points: [{lat, lng, elevation, row, column}], rows, columns}
+     */
+    async sampleCorridor(start, end, settings = this) {
+        const distance = elevationService.calculateDistance(start, end);
+        const bearing = antennaLibrary.calculateBearing(start, end);
+        const halfWidth = Math.min(settings.maxCorridorWidth, distance * settings.corridorFraction);
+
+        const locations = [];
+        for (let row = 0; row < settings.alongSteps; row++) {
+            const fraction = settings.endMargin + (1 - 2 * settings.endMargin) * row / (settings.alongSteps - 1);
+            const center = elevationService.calculateDestination(start, bearing, distance * fraction);
+
+            for (let column = 0; column < settings.acrossSteps; column++) {
+                const offset = -halfWidth + 2 * halfWidth * column / (settings.acrossSteps - 1);
+                const point = elevationService.calculateDestination(center, bearing + 90, offset);
+                locations.push({ ...point, row, column });
+            }
+        }
+
+        const elevations = await elevationService.getElevations(locations.map(({ lat, lng }) => ({ lat, lng })));
+        return {
+            points: locations.map((location, i) => ({ ...location, elevation: elevations[i].elevation })),
+            rows: settings.alongSteps,
+            columns: settings.acrossSteps
+        };
+    }
+
+    /**
+     * Pick candidate sites: local high points first, then the highest of the rest
+     */
+    selectSites(grid, settings = this) {
+        const at = (row, column) => grid.points[row * grid.columns + column];
+        const isPeak = (point) => [[-1, 0], [1, 0], [0, -1], [0, 1]].every(([dr, dc]) => {
+            const neighbour = point.row + dr >= 0 && point.row + dr < grid.rows &&
+                point.column + dc >= 0 && point.column + dc < grid.columns ? at(point.row + dr, point.column + dc) : null;
+            return !neighbour || neighbour.elevation <= point.elevation;
+        });
+
+        const byElevation = (a, b) => b.elevation - a.elevation;
+        const peaks = grid.points.filter(isPeak).sort(byElevation);
+        const rest = grid.points.filter(point => !peaks.includes(point)).sort(byElevation);
+
+        return [...peaks, ...rest]
+            .slice(0, settings.maxCandidates)
+            .map(({ lat, lng, elevation }) => ({ lat, lng, elevation }));
+    }
+}
+
+// Create singleton instance
+export const relayFinder = new RelayFinder();
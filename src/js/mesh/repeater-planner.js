@@ -0,0 +1,175 @@
+/**
+ * Repeater Placement Planner
+ * Greedy connected set cover: picks high ground repeater sites that cover a
+ * target area while every repeater can reach another one
+ * Author: K7CFO
+ */
+
+import { elevationService } from '../rf/elevation-service.js';
+import { linkBudgetCalculator } from '../rf/link-budget.js';
+import { clutterModel } from '../rf/clutter.js';
+import { relayFinder } from './relay-finder.js';
+
+export class RepeaterPlanner {
+    constructor() {
+        this.gridSteps = 15;      // Elevation grid is gridSteps × gridSteps over the area
+        this.demandSteps = 10;    // Receiver test points: demandSteps × demandSteps, inside the polygon
+        this.maxCandidates = 15;  // High points considered as repeater sites
+        this.profileSamples = 30; // Samples per path profile from the grid
+    }
+
+    /**
+     * Propose repeater sites for an area
+     *
+     * @param {Array} polygon - Target area [{lat, lng}]
+     * @param {Object} options - {power (W), linkOptions (link budget options for repeater → receiver),
+     *                           repeaterHeight, rxHeight (m AGL), requiredMargin (dB), maxRepeaters}
+     * @returns {Promise<Object>} {sites, demand, backbone, coverage, candidates}
+     */
+    async plan(polygon, options) {
+        const bounds = this.getBounds(polygon);
+        const grid = await elevationService.getElevationGrid(bounds, this.gridSteps, this.gridSteps);
+
+        const candidates = relayFinder.selectSites(grid, { maxCandidates: this.maxCandidates });
+        const demand = this.getDemandPoints(polygon, bounds);
+
+        // Which receiver points each candidate covers with the required margin
+        const coverage = [];
+        for (const site of candidates) {
+            const covered = new Set();
+            for (let i = 0; i < demand.length; i++) {
+                const analysis = await this.evaluate(grid, site, demand[i], options, {
+                    rxAntennaHeight: options.rxHeight,
+                    fadeMargin: options.requiredMargin
+                });
+                if (analysis.linkBudget.isViable) covered.add(i);
+            }
+            coverage.push(covered);
+        }
+
+        // Repeater-to-repeater links at mast height
+        const backboneLinks = new Map();
+        for (let a = 0; a < candidates.length; a++) {
+            for (let b = a + 1; b < candidates.length; b++) {
+                const analysis = await this.evaluate(grid, candidates[a], candidates[b], options, {
+                    rxAntennaHeight: options.repeaterHeight
+                });
+                if (analysis.linkBudget.isViable) {
+                    backboneLinks.set(`${a}-${b}`, analysis.linkBudget.linkMargin);
+                }
+            }
+        }
+
+        const selected = this.selectRepeaters(candidates, coverage, backboneLinks, options.maxRepeaters);
+        const covered = new Map();
+        selected.forEach((index, order) => coverage[index].forEach(point => {
+            if (!covered.has(point)) covered.set(point, order);
+        }));
+
+        return {
+            sites: selected.map((index, order) => ({
+                ...candidates[index],
+                covered: coverage[index].size,
+                newlyCovered: Array.from(covered.values()).filter(value => value === order).length
+            })),
+            demand: demand.map((point, i) => ({ ...point, coveredBy: covered.has(i) ? covered.get(i) : null })),
+            backbone: this.getBackbone(selected, backboneLinks),
+            coverage: demand.length > 0 ? covered.size / demand.length : 0,
+            candidates: candidates.length
+        };
+    }
+
+    /**
+     * Greedy connected set cover: start with the site covering most points,
+     * then add the connected site that covers most new points
+     *
+     * @returns {Array} Selected candidate indices in order of selection
+     */
+    selectRepeaters(candidates, coverage, backboneLinks, maxRepeaters) {
+        const linked = (a, b) => backboneLinks.has(a < b ? `${a}-${b}` : `${b}-${a}`);
+        const selected = [];
+        const covered = new Set();
+
+        while (selected.length < maxRepeaters) {
+            let best = null;
+            let bestGain = 0;
+
+            candidates.forEach((candidate, index) => {
+                if (selected.includes(index)) return;
+                if (selected.length > 0 && !selected.some(other => linked(index, other))) return;
+
+                let gain = 0;
+                coverage[index].forEach(point => { if (!covered.has(point)) gain++; });
+                if (gain > bestGain || (gain === bestGain && gain > 0 && candidate.elevation > candidates[best].elevation)) {
+                    best = index;
+                    bestGain = gain;
+                }
+            });
+
+            if (best === null) break;
+            selected.push(best);
+            coverage[best].forEach(point => covered.add(point));
+        }
+
+        return selected;
+    }
+
+    /**
+     * Links between selected repeaters, as indices into the selection
+     */
+    getBackbone(selected, backboneLinks) {
+        const links = [];
+        for (let a = 0; a < selected.length; a++) {
+            for (let b = a + 1; b < selected.length; b++) {
+                const [i, j] = [selected[a], selected[b]].sort((x, y) => x - y);
+                const margin = backboneLinks.get(`${i}-${j}`);
+                if (margin !== undefined) links.push({ from: a, to: b, linkMargin: margin });
+            }
+        }
+        return links;
+    }
+
+    /**
+     * Link budget from a repeater site to a point, with the profile taken from the grid
+     */
+    evaluate(grid, from, to, options, overrides) {
+        return linkBudgetCalculator.calculateLinkBudget(
+            { lat: from.lat, lng: from.lng, power: options.power },
+            { lat: to.lat, lng: to.lng },
+            {
+                ...options.linkOptions,
+                txAntennaHeight: options.repeaterHeight,
+                elevationProfile: elevationService.getGridProfile(grid, from, to, this.profileSamples),
+                ...overrides
+            }
+        );
+    }
+
+    /**
+     * Receiver test points on a regular grid inside the polygon
+     */
+    getDemandPoints(polygon, bounds) {
+        const points = [];
+        for (let row = 0; row < this.demandSteps; row++) {
+            for (let column = 0; column < this.demandSteps; column++) {
+                // Cell centres
+                const lat = bounds.south + (bounds.north - bounds.south) * (row + 0.5) / this.demandSteps;
+                const lng = bounds.west + (bounds.east - bounds.west) * (column + 0.5) / this.demandSteps;
+                if (clutterModel.pointInPolygon(lat, lng, polygon)) points.push({ lat, lng });
+            }
+        }
+        return points;
+    }
+
+    getBounds(polygon) {
+        return {
+            south: Math.min(...polygon.map(p => p.lat)),
+            north: Math.max(...polygon.map(p => p.lat)),
+            west: Math.min(...polygon.map(p => p.lng)),
+            east: Math.max(...polygon.map(p => p.lng))
+        };
+    }
+}
+
+// Create singleton instance
+export const repeaterPlanner = new RepeaterPlanner();
@@ -0,0 +1,96 @@
+/**
+ * Spatial Index
+ * Uniform lat/lng grid of node positions for radius queries, so link
+ * evaluation only looks at nodes that could be in range
+ * Author: K7CFO
+ */
+
+import { elevationService } from '../rf/elevation-service.js';
+
+export class SpatialIndex {
+    constructor(cellSize = 25) {
+        this.cellSize = cellSize;               // km
+        this.cellDegrees = cellSize / 111.32;   // Cell edge in degrees of latitude (and longitude)
+        this.cells = new Map();                 // "row:column" → Set of ids
+        this.points = new Map();                // id → {lat, lng, cell}
+    }
+
+    cellKey(lat, lng) {
+        return `${Math.floor(lat / this.cellDegrees)}:${Math.floor(lng / this.cellDegrees)}`;
+    }
+
+    /**
+     * Add or move a point
+     *
+     * @param {string} id - Node id
+     * @param {Object} point - {lat, lng}
+     */
+    insert(id, point) {
+        this.remove(id);
+
+        const cell = this.cellKey(point.lat, point.lng);
+        if (!this.cells.has(cell)) this.cells.set(cell, new Set());
+        this.cells.get(cell).add(id);
+        this.points.set(id, { lat: point.lat, lng: point.lng, cell: cell });
+    }
+
+    remove(id) {
+        const point = this.points.get(id);
+        if (!point) return;
+
+        const members = this.cells.get(point.cell);
+        members.delete(id);
+        if (members.size === 0) this.cells.delete(point.cell);
+        this.points.delete(id);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.points.clear();
+    }
+
+    /**
+     * Ids within a radius of a point
+     *
+     * @param {Object} center - {lat, lng}
+     * @param {number} radius - km
+     * @returns {Array} Ids, nearest first not guaranteed
+     */
+    queryRadius(center, radius) {
+        // Degrees of longitude shrink with latitude; near the poles scan every column
+        const dLat = radius / 111.32;
+        const cosLat = Math.cos(Math.min(89, Math.abs(center.lat) + dLat) * Math.PI / 180);
+        const dLng = Math.min(180, radius / (111.32 * cosLat));
+
+        const rowMin = Math.floor((center.lat - dLat) / this.cellDegrees);
+        const rowMax = Math.floor((center.lat + dLat) / this.cellDegrees);
+        const columnMin = Math.floor((center.lng - dLng) / this.cellDegrees);
+        const columnMax = Math.floor((center.lng + dLng) / this.cellDegrees);
+
+        const results = [];
+        const visit = (members) => members.forEach(id => {
+            const point = this.points.get(id);
+            if (elevationService.calculateDistance(center, point) <= radius) results.push(id);
+        });
+
+        // Scan the cells in the box, or the occupied cells if there are fewer
+        if ((rowMax - rowMin + 1) * (columnMax - columnMin + 1) > this.cells.size) {
+            this.cells.forEach((members, key) => {
+                const [row, column] = key.split(':').map(Number);
+                if (row >= rowMin && row <= rowMax && column >= columnMin && column <= columnMax) visit(members);
+            });
+        } else {
+            for (let row = rowMin; row <= rowMax; row++) {
+                for (let column = columnMin; column <= columnMax; column++) {
+                    const members = this.cells.get(`${row}:${column}`);
+                    if (members) visit(members);
+                }
+            }
+        }
+
+        return results;
+    }
+}
+
+// Create singleton instance
+export const spatialIndex = new SpatialIndex();
@@ -0,0 +1,275 @@
+/**
+ * Antenna Pattern Library
+ * Built-in and imported (MSI Planet / Radio Mobile .ant) radiation patterns,
+ * gain toward another node from its bearing and elevation angle
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+
+export class AntennaLibrary {
+    constructor() {
+        // Patterns: {id, name, gain (dBi), horizontal[360], vertical[360], custom}
+        // horizontal: attenuation (dB) clockwise from boresight
+        // vertical: attenuation (dB) by depression angle (0 = boresight, 90 = straight down,
+        // 180 = horizon behind, 270 = straight up)
+        this.patterns = new Map();
+        this.patternVersion = 0; // Bumped whenever imported patterns change, even under the same id
+
+        // Cap on the combined horizontal + vertical attenuation
+        this.maxAttenuation = 50; // dB
+
+        // Parametric built-ins (3GPP TR 36.814 parabolic model: A = min(12(φ/φ3dB)², Am))
+        [
+            { id: 'omni3', name: 'Omni 3 dBi (ground plane)', gain: 3, hBeamwidth: null, vBeamwidth: 70, frontToBack: 0, sideLobe: 15 },
+            { id: 'omni6', name: 'Omni 6 dBi (collinear)', gain: 6, hBeamwidth: null, vBeamwidth: 30, frontToBack: 0, sideLobe: 18 },
+            { id: 'omni9', name: 'Omni 9 dBi (collinear)', gain: 9, hBeamwidth: null, vBeamwidth: 14, frontToBack: 0, sideLobe: 20 },
+            { id: 'yagi11', name: 'Yagi 11 dBi', gain: 11, hBeamwidth: 45, vBeamwidth: 50, frontToBack: 18, sideLobe: 18 },
+            { id: 'patch9', name: 'Patch panel 9 dBi', gain: 9, hBeamwidth: 65, vBeamwidth: 60, frontToBack: 25, sideLobe: 20 },
+            { id: 'sector14', name: 'Sector 14 dBi (90°)', gain: 14, hBeamwidth: 90, vBeamwidth: 12, frontToBack: 25, sideLobe: 20 }
+        ].forEach(spec => this.patterns.set(spec.id, this.createParametricPattern(spec)));
+    }
+
+    /**
+     * Build a pattern from beamwidths and front-to-back ratio
+     *
+     * @param {Object} spec - {id, name, gain, hBeamwidth (null = omni), vBeamwidth, frontToBack, sideLobe}
+     * @returns {Object} Pattern
+     */
+    createParametricPattern(spec) {
+        const horizontal = [];
+        const vertical = [];
+
+        for (let angle = 0; angle < 360; angle++) {
+            const offAxis = Math.min(angle, 360 - angle);
+
+            horizontal.push(spec.hBeamwidth === null ? 0 :
+                Math.min(12 * Math.pow(offAxis / spec.hBeamwidth, 2), spec.frontToBack));
+
+            // Omni elevation cuts are symmetric front/back about the horizon
+            const fromHorizon = spec.hBeamwidth === null ? Math.min(offAxis, 180 - offAxis) : offAxis;
+            vertical.push(Math.min(12 * Math.pow(fromHorizon / spec.vBeamwidth, 2), spec.sideLobe));
+        }
+
+        return { id: spec.id, name: spec.name, gain: spec.gain, horizontal, vertical, custom: false };
+    }
+
+    /**
+     * Get a pattern by id
+     */
+    getPattern(id) {
+        return this.patterns.get(id) || null;
+    }
+
+    /**
+     * Gain of an antenna toward a target
+     *
+     * @param {Object} antenna - Node antenna {patternId, azimuth (°), tilt (° downtilt)}
+     * @param {number} bearing - Bearing from the antenna to the target (° true)
+     * @param {number} elevation - Elevation angle to the target (° above horizontal)
+     * @returns {number|null} Gain in dBi, null when the antenna has no pattern
+     */
+    getGain(antenna, bearing, elevation) {
+        const pattern = antenna?.patternId ? this.getPattern(antenna.patternId) : null;
+        if (!pattern) return null;
+
+        return pattern.gain - this.getAttenuation(pattern, bearing - (antenna.azimuth || 0), -elevation - (antenna.tilt || 0));
+    }
+
+    /**
+     * Pattern attenuation off boresight
+     * Horizontal and vertical cuts are summed; the vertical cut is referenced to
+     * its own horizon value so the front-to-back ratio is not counted twice
+     *
+     * @param {Object} pattern - Pattern
+     * @param {number} azimuthOffset - Degrees clockwise from boresight
+     * @param {number} depression - Degrees below boresight
+     * @returns {number} Attenuation in dB (≥ 0)
+     */
+    getAttenuation(pattern, azimuthOffset, depression) {
+        const azimuth = ((azimuthOffset % 360) + 360) % 360;
+        const behind = azimuth > 90 && azimuth < 270;
+
+        // Behind the antenna the same depression maps to the back half of the vertical cut
+        const verticalAngle = behind ? 180 - depression : depression;
+        const horizonReference = behind ? 180 : 0;
+        const vertical = this.interpolate(pattern.vertical, verticalAngle) - this.interpolate(pattern.vertical, horizonReference);
+
+        const attenuation = this.interpolate(pattern.horizontal, azimuth) + Math.max(0, vertical);
+        return Math.min(this.maxAttenuation, Math.max(0, attenuation));
+    }
+
+    /**
+     * Linear interpolation in a 360-entry cut
+     */
+    interpolate(cut, angle) {
+        const a = ((angle % 360) + 360) % 360;
+        const i = Math.floor(a);
+        const fraction = a - i;
+        return cut[i] * (1 - fraction) + cut[(i + 1) % 360] * fraction;
+    }
+
+    /**
+     * Import a pattern file
+     * MSI Planet format (NAME/GAIN headers, HORIZONTAL 360 and VERTICAL 360 blocks)
+     * or Radio Mobile .ant (720 gain values in dBi: horizontal then vertical)
+     *
+     * @param {string} text - File contents
+     * @param {string} fileName - Used for the id and as a fallback name
+     * @returns {Object} Stored pattern
+     */
+    importPattern(text, fileName = 'antenna.ant') {
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const pattern = /^\s*HORIZONTAL\s+\d+/mi.test(text) ?
+            this.parsePlanet(text, baseName) :
+            this.parseRadioMobile(text, baseName);
+
+        pattern.id = `custom_${baseName.replace(/[^\w-]/g, '_')}`;
+        pattern.custom = true;
+        this.patterns.set(pattern.id, pattern);
+        this.patternVersion++;
+
+        console.log(`Imported antenna pattern ${pattern.name} (${pattern.gain.toFixed(1)} dBi)`);
+        return pattern;
+    }
+
+    /**
+     * Parse an MSI Planet pattern file
+     */
+    parsePlanet(text, fallbackName) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const pattern = { name: fallbackName, gain: 0, horizontal: null, vertical: null };
+
+        for (let i = 0; i < lines.length; i++) {
+            const [keyword, ...rest] = lines[i].split(/\s+/);
+
+            switch (keyword.toUpperCase()) {
+                case 'NAME':
+                    pattern.name = rest.join(' ') || fallbackName;
+                    break;
+                case 'GAIN': {
+                    // Gain may be given in dBd (add 2.15 for dBi)
+                    const gain = parseFloat(rest[0]);
+                    const unit = (rest[1] || 'dBi').toLowerCase();
+                    pattern.gain = unit === 'dbd' ? gain + 2.15 : gain;
+                    break;
+                }
+                case 'HORIZONTAL':
+                case 'VERTICAL': {
+                    const count = parseInt(rest[0], 10);
+                    const values = lines.slice(i + 1, i + 1 + count).map(line => line.split(/\s+/).map(Number));
+                    pattern[keyword.toLowerCase()] = this.resampleCut(values);
+                    i += count;
+                    break;
+                }
+            }
+        }
+
+        if (!pattern.horizontal || !pattern.vertical || isNaN(pattern.gain)) {
+            throw new Error('Invalid Planet antenna file (needs GAIN, HORIZONTAL and VERTICAL)');
+        }
+
+        return pattern;
+    }
+
+    /**
+     * Parse a Radio Mobile .ant file (one gain value per line, dBi)
+     */
+    parseRadioMobile(text, name) {
+        const values = text.trim().split(/\s+/).map(Number);
+        if (values.length < 720 || values.slice(0, 720).some(isNaN)) {
+            throw new Error('Invalid .ant file (expected 720 gain values)');
+        }
+
+        const gain = Math.max(...values.slice(0, 720));
+        const toAttenuation = (cut) => cut.map(value => gain - value);
+
+        return {
+            name: name,
+            gain: gain,
+            horizontal: toAttenuation(values.slice(0, 360)),
+            vertical: toAttenuation(values.slice(360, 720))
+        };
+    }
+
+    /**
+     * Resample [angle, attenuation] pairs onto whole degrees
+     */
+    resampleCut(pairs) {
+        const points = pairs
+            .filter(pair => pair.length >= 2 && !isNaN(pair[0]) && !isNaN(pair[1]))
+            .map(([angle, attenuation]) => [((angle % 360) + 360) % 360, attenuation])
+            .sort((a, b) => a[0] - b[0]);
+        if (points.length === 0) throw new Error('Empty pattern cut');
+
+        const cut = [];
+        for (let angle = 0; angle < 360; angle++) {
+            // Neighbours with wrap-around
+            let next = points.findIndex(point => point[0] >= angle);
+            if (next === -1) next = 0;
+            const prev = (next - 1 + points.length) % points.length;
+            const [a0, v0] = points[prev];
+            const [a1, v1] = points[next];
+            const span = ((a1 - a0) + 360) % 360;
+            const offset = ((angle - a0) + 360) % 360;
+            cut.push(span === 0 ? v1 : v0 + (v1 - v0) * offset / span);
+        }
+
+        return cut;
+    }
+
+    /**
+     * Imported patterns for persistence
+     */
+    getCustomPatterns() {
+        return Array.from(this.patterns.values()).filter(pattern => pattern.custom);
+    }
+
+    /**
+     * Restore persisted patterns
+     */
+    loadCustomPatterns(patterns = []) {
+        patterns.forEach(pattern => this.patterns.set(pattern.id, { ...pattern, custom: true }));
+        this.patternVersion++;
+    }
+
+    /**
+     * Initial bearing from one point to another
+     *
+     * @param {Object} from - {lat, lng}
+     * @param {Object} to - {lat, lng}
+     * @returns {number} Bearing in degrees (0-360, clockwise from north)
+     */
+    calculateBearing(from, to) {
+        const lat1 = from.lat * Math.PI / 180;
+        const lat2 = to.lat * Math.PI / 180;
+        const dLng = (to.lng - from.lng) * Math.PI / 180;
+        const bearing = Math.atan2(
+            Math.sin(dLng) * Math.cos(lat2),
+            Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+        ) * 180 / Math.PI;
+
+        return (bearing + 360) % 360;
+    }
+
+    /**
+     * Elevation angle from one antenna to another over a curved (effective) Earth
+     *
+     * @param {number} fromHeight - Antenna height above sea level (meters)
+     * @param {number} toHeight - Antenna height above sea level (meters)
+     * @param {number} distance - Distance in km
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {number} Elevation angle in degrees (positive = upward)
+     */
+    calculateElevationAngle(fromHeight, toHeight, distance, kFactor = rfUtils.kFactor) {
+        const distanceMeters = distance * 1000;
+        if (distanceMeters <= 0) return 0;
+
+        const angle = Math.atan2(toHeight - fromHeight, distanceMeters) -
+            distanceMeters / (2 * rfUtils.getEffectiveEarthRadius(kFactor));
+        return angle * 180 / Math.PI;
+    }
+}
+
+// Create singleton instance
+export const antennaLibrary = new AntennaLibrary();
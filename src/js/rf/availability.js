@@ -0,0 +1,233 @@
+/**
+ * Statistical Link Availability
+ * Log-normal shadowing with optional Rayleigh/Rician fast fading,
+ * availability and packet delivery ratio from the mean received margin
+ * Author: K7CFO
+ */
+
+export class AvailabilityModel {
+    constructor() {
+        // Log-normal shadowing standard deviation per environment (dB)
+        this.shadowingSigma = {
+            urban: 8,
+            suburban: 6,
+            rural: 4
+        };
+
+        // Fast fading models
+        this.fadingModels = {
+            none: 'None (shadowing only)',
+            rayleigh: 'Rayleigh (no line of sight)',
+            rician: 'Rician (line of sight + scatter)'
+        };
+
+        // Integration resolution
+        this.shadowingSteps = 121;  // Samples over ±6σ
+        this.fadingSteps = 200;     // Simpson intervals for the Rician CDF
+
+        // Required margins depend only on the statistics, not the link
+        this.requiredMarginCache = new Map();
+    }
+
+    /**
+     * Calculate availability and packet delivery ratio for a link
+     *
+     * @param {number} margin - Mean received power above sensitivity (dB)
+     * @param {Object} options - {environment, sigma, fading, ricianK (dB), retries}
+     * @returns {Object} {availability, packetDeliveryRatio, sigma, fading, ricianK, retries} (percentages 0-100)
+     */
+    calculate(margin, options = {}) {
+        const sigma = options.sigma ?? this.getShadowingSigma(options.environment);
+        const fading = this.fadingModels[options.fading] ? options.fading : 'none';
+        const ricianK = options.ricianK ?? 6;
+        const retries = options.retries ?? 0;
+
+        return {
+            availability: this.calculateCoverageProbability(margin, sigma) * 100,
+            packetDeliveryRatio: this.calculateDeliveryProbability(margin, sigma, fading, ricianK, retries) * 100,
+            sigma: sigma,
+            fading: fading,
+            ricianK: ricianK,
+            retries: retries
+        };
+    }
+
+    /**
+     * Shadowing standard deviation for an environment class
+     *
+     * @param {string} environment - 'urban', 'suburban', 'rural'
+     * @returns {number} Sigma in dB
+     */
+    getShadowingSigma(environment) {
+        return this.shadowingSigma[environment] ?? this.shadowingSigma.suburban;
+    }
+
+    /**
+     * Probability that the local mean power exceeds sensitivity
+     * P = Φ(margin / σ)
+     *
+     * @param {number} margin - Mean margin (dB)
+     * @param {number} sigma - Shadowing standard deviation (dB)
+     * @returns {number} Probability (0-1)
+     */
+    calculateCoverageProbability(margin, sigma) {
+        if (sigma <= 0) return margin >= 0 ? 1 : 0;
+        return this.normalCdf(margin / sigma);
+    }
+
+    /**
+     * Probability that a packet is delivered: fast fading is independent per
+     * attempt, shadowing is common to all attempts of a link
+     * PDR = E_x[1 - F(margin + σx)^(retries + 1)]
+     *
+     * @param {number} margin - Mean margin (dB)
+     * @param {number} sigma - Shadowing standard deviation (dB)
+     * @param {string} fading - 'none', 'rayleigh' or 'rician'
+     * @param {number} ricianK - Rician K-factor (dB)
+     * @param {number} retries - Retransmissions per packet
+     * @returns {number} Probability (0-1)
+     */
+    calculateDeliveryProbability(margin, sigma, fading, ricianK, retries) {
+        // Without fast fading every attempt sees the same shadowed power
+        if (fading === 'none') return this.calculateCoverageProbability(margin, sigma);
+
+        const attempts = retries + 1;
+        const success = (localMargin) => 1 - Math.pow(this.fadingOutage(localMargin, fading, ricianK), attempts);
+
+        if (sigma <= 0) return success(margin);
+
+        // Average over the shadowing distribution (trapezoid over ±6σ)
+        const steps = this.shadowingSteps;
+        const dx = 12 / (steps - 1);
+        let total = 0;
+        for (let i = 0; i < steps; i++) {
+            const x = -6 + i * dx;
+            const weight = (i === 0 || i === steps - 1 ? 0.5 : 1) * this.normalPdf(x) * dx;
+            total += weight * success(margin + sigma * x);
+        }
+
+        return Math.min(1, Math.max(0, total));
+    }
+
+    /**
+     * Probability that fast fading drops the signal below sensitivity
+     *
+     * @param {number} margin - Local mean margin (dB)
+     * @param {string} fading - 'none', 'rayleigh' or 'rician'
+     * @param {number} ricianK - Rician K-factor (dB)
+     * @returns {number} Outage probability (0-1)
+     */
+    fadingOutage(margin, fading, ricianK) {
+        // Threshold relative to the local mean power
+        const threshold = Math.pow(10, -margin / 10);
+
+        switch (fading) {
+            case 'rayleigh':
+                return 1 - Math.exp(-threshold);
+            case 'rician':
+                return this.ricianCdf(threshold, Math.pow(10, ricianK / 10));
+            default:
+                return margin >= 0 ? 0 : 1;
+        }
+    }
+
+    /**
+     * CDF of normalized (unit mean) Rician power
+     * f(p) = (K+1) e^-K e^-(K+1)p I0(2√(K(K+1)p))
+     *
+     * @param {number} threshold - Power relative to the mean
+     * @param {number} k - Linear K-factor
+     * @returns {number} Probability (0-1)
+     */
+    ricianCdf(threshold, k) {
+        // The density is negligible beyond ~20× the mean power
+        const upper = Math.min(threshold, 20);
+        const n = this.fadingSteps;
+        const h = upper / n;
+
+        const pdf = (p) => {
+            const z = 2 * Math.sqrt(k * (k + 1) * p);
+            return (k + 1) * Math.exp(-k - (k + 1) * p + z) * this.besselI0Scaled(z);
+        };
+
+        // Simpson's rule
+        let sum = pdf(0) + pdf(upper);
+        for (let i = 1; i < n; i++) {
+            sum += (i % 2 === 0 ? 2 : 4) * pdf(i * h);
+        }
+
+        return Math.min(1, Math.max(0, sum * h / 3));
+    }
+
+    /**
+     * Exponentially scaled modified Bessel function e^-x × I0(x)
+     * (Abramowitz & Stegun 9.8.1, 9.8.2)
+     */
+    besselI0Scaled(x) {
+        const ax = Math.abs(x);
+
+        if (ax < 3.75) {
+            const t = Math.pow(x / 3.75, 2);
+            const i0 = 1 + t * (3.5156229 + t * (3.0899424 + t * (1.2067492 +
+                t * (0.2659732 + t * (0.0360768 + t * 0.0045813)))));
+            return i0 * Math.exp(-ax);
+        }
+
+        const t = 3.75 / ax;
+        return (0.39894228 + t * (0.01328592 + t * (0.00225319 + t * (-0.00157565 +
+            t * (0.00916281 + t * (-0.02057706 + t * (0.02635537 + t * (-0.01647633 +
+            t * 0.00392377)))))))) / Math.sqrt(ax);
+    }
+
+    /**
+     * Mean margin needed to reach a target packet delivery ratio
+     *
+     * @param {number} target - Target delivery ratio (percent)
+     * @param {Object} options - Same options as calculate()
+     * @returns {number} Required margin in dB
+     */
+    calculateRequiredMargin(target, options = {}) {
+        const key = JSON.stringify([target, options.environment, options.sigma, options.fading, options.ricianK, options.retries]);
+        if (this.requiredMarginCache.has(key)) return this.requiredMarginCache.get(key);
+
+        const goal = target / 100;
+        let low = -40;
+        let high = 80;
+
+        // Bisection: delivery ratio increases monotonically with margin
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculate(mid, options).packetDeliveryRatio / 100 < goal) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        this.requiredMarginCache.set(key, high);
+        return high;
+    }
+
+    /**
+     * Standard normal probability density
+     */
+    normalPdf(x) {
+        return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    }
+
+    /**
+     * Standard normal cumulative distribution Φ(x)
+     * (Abramowitz & Stegun 7.1.26 erf approximation)
+     */
+    normalCdf(x) {
+        const z = Math.abs(x) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * z);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t +
+            0.254829592) * t * Math.exp(-z * z);
+
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
+
+// Create singleton instance
+export const availabilityModel = new AvailabilityModel();
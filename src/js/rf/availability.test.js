@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { availabilityModel } from './availability.js';
+
+/**
+ * Rayleigh outage at a margin (dB): P(power < threshold) = 1 - e^-threshold
+ */
+function rayleighOutage(margin) {
+    return 1 - Math.exp(-Math.pow(10, -margin / 10));
+}
+
+describe('AvailabilityModel', () => {
+    it('matches tabulated values of the normal CDF', () => {
+        expect(availabilityModel.normalCdf(0)).toBeCloseTo(0.5, 6);
+        expect(availabilityModel.normalCdf(1)).toBeCloseTo(0.8413447, 6);
+        expect(availabilityModel.normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+        expect(availabilityModel.normalCdf(-2.326348)).toBeCloseTo(0.01, 6);
+    });
+
+    it('gives availability as Φ(margin / σ)', () => {
+        expect(availabilityModel.calculate(6, { sigma: 6 }).availability).toBeCloseTo(84.13447, 3);
+        expect(availabilityModel.calculate(-1, { sigma: 0 }).availability).toBe(0);
+    });
+
+    it('matches the Rayleigh closed form, with and without retries', () => {
+        const options = { sigma: 0, fading: 'rayleigh' };
+        const outage = rayleighOutage(10);
+
+        expect(availabilityModel.calculate(10, options).packetDeliveryRatio).toBeCloseTo((1 - outage) * 100, 6);
+        expect(availabilityModel.calculate(10, { ...options, retries: 2 }).packetDeliveryRatio)
+            .toBeCloseTo((1 - Math.pow(outage, 3)) * 100, 6);
+    });
+
+    it('reduces Rician fading to Rayleigh at K = 0', () => {
+        [0.1, 1, 3].forEach(threshold => {
+            expect(availabilityModel.ricianCdf(threshold, 0)).toBeCloseTo(1 - Math.exp(-threshold), 4);
+        });
+    });
+
+    it('fades less with a stronger line-of-sight component', () => {
+        // K in dB: -30 dB is practically Rayleigh
+        const outage = (ricianK) => availabilityModel.fadingOutage(10, 'rician', ricianK);
+        expect(outage(-30)).toBeCloseTo(rayleighOutage(10), 3);
+        expect(outage(6)).toBeLessThan(outage(0));
+        expect(outage(0)).toBeLessThan(outage(-30));
+        expect(outage(20)).toBeLessThan(1e-6);
+    });
+
+    it('ignores retries without fast fading', () => {
+        const once = availabilityModel.calculate(5, { sigma: 6 });
+        const retried = availabilityModel.calculate(5, { sigma: 6, retries: 3 });
+        expect(retried.packetDeliveryRatio).toBe(once.packetDeliveryRatio);
+        expect(once.packetDeliveryRatio).toBe(once.availability);
+    });
+
+    it('bisects the margin for a target delivery ratio', () => {
+        // Shadowing only: σ Φ⁻¹(0.99)
+        expect(availabilityModel.calculateRequiredMargin(99, { sigma: 6 })).toBeCloseTo(6 * 2.326348, 2);
+        // Rayleigh only: 1 - e^-threshold = 1%
+        expect(availabilityModel.calculateRequiredMargin(99, { sigma: 0, fading: 'rayleigh' }))
+            .toBeCloseTo(-10 * Math.log10(-Math.log(0.99)), 2);
+        // Fading and shadowing both cost margin
+        expect(availabilityModel.calculateRequiredMargin(99, { sigma: 6, fading: 'rayleigh' }))
+            .toBeGreaterThan(availabilityModel.calculateRequiredMargin(99, { sigma: 6 }));
+    });
+});
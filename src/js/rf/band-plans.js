@@ -0,0 +1,93 @@
+/**
+ * Regional LoRa Band Plans
+ * Center frequencies, channel widths and regulatory limits per region
+ * Author: K7CFO
+ */
+
+/**
+ * Region definitions. Power limits are in dBm, frequencies and channel
+ * widths in Hz. dutyCycle is the maximum fraction of time a node may
+ * transmit (null when the region has no duty-cycle rule); dwellTime is the
+ * maximum single-transmission length in milliseconds (null when unlimited).
+ * highGainThresholdDbi is the antenna gain above which the conducted power
+ * limit drops dB for dB (null when the region only limits EIRP).
+ */
+export const BAND_PLANS = {
+    US915: {
+        id: 'US915',
+        name: 'US 915 MHz (FCC Part 15)',
+        minFrequency: 902e6,
+        maxFrequency: 928e6,
+        frequency: 915e6,
+        channelWidths: [125e3, 250e3, 500e3],
+        maxConductedPowerDbm: 30,
+        maxEirpDbm: 36,
+        highGainThresholdDbi: 6, // 15.247(b)(4)
+        dutyCycle: null,
+        dwellTime: 400
+    },
+    EU868: {
+        id: 'EU868',
+        name: 'EU 868 MHz (ETSI EN 300 220)',
+        minFrequency: 863e6,
+        maxFrequency: 870e6,
+        frequency: 868.1e6,
+        channelWidths: [125e3, 250e3],
+        maxConductedPowerDbm: 14,
+        maxEirpDbm: 16.15, // 14 dBm ERP
+        highGainThresholdDbi: null,
+        dutyCycle: 0.01,
+        dwellTime: null
+    },
+    AU915: {
+        id: 'AU915',
+        name: 'AU 915 MHz (ACMA LIPD)',
+        minFrequency: 915e6,
+        maxFrequency: 928e6,
+        frequency: 923e6,
+        channelWidths: [125e3, 250e3, 500e3],
+        maxConductedPowerDbm: 30,
+        maxEirpDbm: 30,
+        highGainThresholdDbi: null,
+        dutyCycle: null,
+        dwellTime: null
+    },
+    AS923: {
+        id: 'AS923',
+        name: 'AS 923 MHz',
+        minFrequency: 920e6,
+        maxFrequency: 925e6,
+        frequency: 923.2e6,
+        channelWidths: [125e3, 250e3],
+        maxConductedPowerDbm: 16,
+        maxEirpDbm: 16,
+        highGainThresholdDbi: null,
+        dutyCycle: 0.01,
+        dwellTime: 400
+    },
+    EU433: {
+        id: 'EU433',
+        name: 'EU/Asia 433 MHz',
+        minFrequency: 433.05e6,
+        maxFrequency: 434.79e6,
+        frequency: 433.175e6,
+        channelWidths: [125e3, 250e3],
+        maxConductedPowerDbm: 10,
+        maxEirpDbm: 12.15, // 10 dBm ERP
+        highGainThresholdDbi: null,
+        dutyCycle: 0.1,
+        dwellTime: null
+    }
+};
+
+export const DEFAULT_BAND_PLAN = 'US915';
+
+/**
+ * Look up a band plan by region id
+ *
+ * @param {string} regionId - Region identifier (e.g. 'EU868')
+ * @returns {Object} Band plan definition (default plan if unknown)
+ */
+export function getBandPlan(regionId) {
+    return BAND_PLANS[regionId] || BAND_PLANS[DEFAULT_BAND_PLAN];
+}
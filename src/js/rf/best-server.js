@@ -0,0 +1,106 @@
+/**
+ * Best-Server and Redundancy Analysis
+ * Combines per-node coverage predictions on a regular map grid: strongest
+ * node per cell and how many nodes reach it
+ * Author: K7CFO
+ */
+
+import { elevationService } from './elevation-service.js';
+import { antennaLibrary } from './antennas.js';
+
+export class BestServerAnalyzer {
+    constructor() {
+        this.cellSize = 0.5;    // km
+        this.maxCells = 20000;  // Cell size grows for large networks
+    }
+
+    /**
+     * Prediction cell of one node covering a point
+     *
+     * @param {Object} prediction - Result of coveragePredictor.predict
+     * @param {Object} point - {lat, lng}
+     * @returns {Object|null} {rxSignalStrength, linkMargin, isViable, ...}, null outside the prediction
+     */
+    sample(prediction, point) {
+        const distance = elevationService.calculateDistance(prediction.center, point);
+        if (distance > prediction.radius) return null;
+
+        const bearing = antennaLibrary.calculateBearing(prediction.center, point);
+        const ray = prediction.rays[Math.round(bearing / prediction.azimuthStep) % prediction.rays.length];
+        const step = Math.max(0, Math.ceil(distance / prediction.rangeStep) - 1);
+
+        return ray.cells[Math.min(step, ray.cells.length - 1)];
+    }
+
+    /**
+     * Every node that can hear a point, strongest first
+     *
+     * @param {Map} predictions - Node id → prediction
+     * @param {Object} point - {lat, lng}
+     * @returns {Array} [{id, rxSignalStrength, linkMargin}]
+     */
+    analyzePoint(predictions, point) {
+        const servers = [];
+        predictions.forEach((prediction, id) => {
+            const cell = this.sample(prediction, point);
+            if (cell && cell.isViable) {
+                servers.push({ id: id, rxSignalStrength: cell.rxSignalStrength, linkMargin: cell.linkMargin });
+            }
+        });
+
+        return servers.sort((a, b) => b.rxSignalStrength - a.rxSignalStrength);
+    }
+
+    /**
+     * Best server and redundancy over the area of all predictions
+     *
+     * @param {Map} predictions - Node id → prediction
+     * @returns {Object|null} {cellSize, rows, columns, cells: [{bounds, best, redundancy}]};
+     *                        only cells heard by at least one node are listed
+     */
+    buildGrid(predictions) {
+        if (predictions.size === 0) return null;
+
+        // Bounding box of every prediction radius
+        const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+        predictions.forEach(prediction => {
+            const { lat, lng } = prediction.center;
+            const dLat = prediction.radius / 111.32;
+            const dLng = prediction.radius / (111.32 * Math.cos(lat * Math.PI / 180));
+            bounds.south = Math.min(bounds.south, lat - dLat);
+            bounds.north = Math.max(bounds.north, lat + dLat);
+            bounds.west = Math.min(bounds.west, lng - dLng);
+            bounds.east = Math.max(bounds.east, lng + dLng);
+        });
+
+        const midLat = (bounds.south + bounds.north) / 2;
+        const heightKm = (bounds.north - bounds.south) * 111.32;
+        const widthKm = (bounds.east - bounds.west) * 111.32 * Math.cos(midLat * Math.PI / 180);
+        const cellSize = Math.max(this.cellSize, Math.sqrt(heightKm * widthKm / this.maxCells));
+        const rows = Math.ceil(heightKm / cellSize);
+        const columns = Math.ceil(widthKm / cellSize);
+        const cellLat = (bounds.north - bounds.south) / rows;
+        const cellLng = (bounds.east - bounds.west) / columns;
+
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const south = bounds.south + row * cellLat;
+                const west = bounds.west + column * cellLng;
+                const servers = this.analyzePoint(predictions, { lat: south + cellLat / 2, lng: west + cellLng / 2 });
+                if (servers.length === 0) continue;
+
+                cells.push({
+                    bounds: { south: south, west: west, north: south + cellLat, east: west + cellLng },
+                    best: servers[0],
+                    redundancy: servers.length
+                });
+            }
+        }
+
+        return { cellSize: cellSize, rows: rows, columns: columns, cells: cells };
+    }
+}
+
+// Create singleton instance
+export const bestServerAnalyzer = new BestServerAnalyzer();
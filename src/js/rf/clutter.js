@@ -0,0 +1,314 @@
+/**
+ * Clutter and Vegetation Loss Along a Path
+ * Clutter classes from drawn polygons or an imported land-cover raster,
+ * vegetation attenuation per ITU-R P.833
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+import { diffractionCalculator } from './diffraction.js';
+
+export class ClutterModel {
+    constructor() {
+        // Clutter classes: height (m) the clutter rises above ground, specific
+        // attenuation γ (dB/m) and maximum attenuation Am (dB) of the
+        // P.833 saturating model. Vegetation γ and Am are frequency dependent.
+        this.classes = {
+            forest: { name: 'Forest', color: '#15803d', height: 15, vegetation: true },
+            urban: { name: 'Urban', color: '#6b7280', height: 15, specificAttenuation: 0.1, maxAttenuation: 25 },
+            suburban: { name: 'Suburban', color: '#d97706', height: 8, specificAttenuation: 0.05, maxAttenuation: 12 },
+            water: { name: 'Water', color: '#2563eb', height: 0, specificAttenuation: 0, maxAttenuation: 0 },
+            open: { name: 'Open', color: '#a3e635', height: 0, specificAttenuation: 0, maxAttenuation: 0 }
+        };
+
+        this.defaultClass = 'open';
+
+        // Out-of-leaf deciduous vegetation attenuates less than in-leaf
+        this.leafOffFactor = 0.8;
+
+        // ESA WorldCover legend → clutter class
+        this.rasterLegend = {
+            10: 'forest',   // Tree cover
+            20: 'open',     // Shrubland
+            30: 'open',     // Grassland
+            40: 'open',     // Cropland
+            50: 'urban',    // Built-up
+            60: 'open',     // Bare / sparse vegetation
+            70: 'open',     // Snow and ice
+            80: 'water',    // Permanent water bodies
+            90: 'open',     // Herbaceous wetland
+            95: 'forest',   // Mangroves
+            100: 'open'     // Moss and lichen
+        };
+
+        // Manually drawn polygons: {id, classId, points: [{lat, lng}]}
+        this.polygons = [];
+        this.polygonVersion = 0; // Bumped on every polygon change, so edits reach the workers
+
+        // Imported land-cover raster (ESRI ASCII grid)
+        this.raster = null;
+        this.rasterVersion = 0; // Bumped on every import or clear, so same-size rasters differ
+    }
+
+    /**
+     * Vegetation specific attenuation γ (fit to ITU-R P.833 Figure 1, in leaf)
+     *
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Specific attenuation in dB/m
+     */
+    getVegetationSpecificAttenuation(frequency = rfUtils.frequency) {
+        return 0.25 * Math.pow(frequency / 1e9, 0.7);
+    }
+
+    /**
+     * Vegetation maximum attenuation Am = A1 × f^α (ITU-R P.833)
+     *
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Maximum attenuation in dB
+     */
+    getVegetationMaxAttenuation(frequency = rfUtils.frequency) {
+        return 0.18 * Math.pow(frequency / 1e6, 0.752);
+    }
+
+    /**
+     * Attenuation through a depth of clutter, Aev = Am × (1 - exp(-d × γ / Am))
+     *
+     * @param {string} classId - Clutter class
+     * @param {number} depth - Depth of clutter crossed (meters)
+     * @param {string} season - 'leafOn' or 'leafOff'
+     * @returns {number} Attenuation in dB
+     */
+    calculateClutterAttenuation(classId, depth, season = 'leafOn') {
+        const clutterClass = this.classes[classId];
+        if (!clutterClass || depth <= 0) return 0;
+
+        let gamma = clutterClass.specificAttenuation;
+        let maxAttenuation = clutterClass.maxAttenuation;
+        if (clutterClass.vegetation) {
+            gamma = this.getVegetationSpecificAttenuation();
+            maxAttenuation = this.getVegetationMaxAttenuation();
+            if (season === 'leafOff') gamma *= this.leafOffFactor;
+        }
+        if (gamma <= 0 || maxAttenuation <= 0) return 0;
+
+        return maxAttenuation * (1 - Math.exp(-depth * gamma / maxAttenuation));
+    }
+
+    /**
+     * Calculate clutter crossed by a path and the resulting loss
+     * Only segments where the direct ray passes below the clutter height attenuate
+     *
+     * @param {Array} profile - Elevation profile with {distance, lat, lng, elevation} points
+     * @param {number} txHeight - TX antenna height (meters)
+     * @param {number} rxHeight - RX antenna height (meters)
+     * @param {Object} options - {season, defaultClass, kFactor}
+     * @returns {Object} {total, classes: {classId: {crossed, inClutter, loss}}}
+     */
+    calculatePathClutter(profile, txHeight, rxHeight, options = {}) {
+        const season = options.season || 'leafOn';
+        const defaultClass = options.defaultClass || this.defaultClass;
+        const result = { total: 0, season: season, classes: {} };
+        if (!profile || profile.length < 2) return result;
+
+        const path = diffractionCalculator.buildPath(profile, txHeight, rxHeight, options.kFactor);
+        const last = path.length - 1;
+        const totalDistance = path[last].distance;
+
+        // Height of the direct ray above ground at each sample
+        const rayClearance = path.map((point, i) => {
+            const ground = i === 0 ? point.height - txHeight : i === last ? point.height - rxHeight : point.height;
+            const ray = path[0].height + (path[last].height - path[0].height) * point.distance / totalDistance;
+            return ray - ground;
+        });
+
+        for (let i = 0; i < last; i++) {
+            const a = profile[i];
+            const b = profile[i + 1];
+            const classId = this.getClassAt((a.lat + b.lat) / 2, (a.lng + b.lng) / 2, defaultClass);
+            const segmentMeters = (b.distance - a.distance) * 1000;
+            const clearance = (rayClearance[i] + rayClearance[i + 1]) / 2;
+
+            const entry = result.classes[classId] || (result.classes[classId] = { crossed: 0, inClutter: 0, loss: 0 });
+            entry.crossed += segmentMeters;
+            const clutterHeight = this.classes[classId].height;
+            if (clutterHeight > 0 && clearance < clutterHeight) {
+                entry.inClutter += segmentMeters;
+            }
+        }
+
+        Object.entries(result.classes).forEach(([classId, entry]) => {
+            entry.loss = this.calculateClutterAttenuation(classId, entry.inClutter, season);
+            result.total += entry.loss;
+        });
+
+        return result;
+    }
+
+    /**
+     * Clutter class at a location (drawn polygons take precedence over the raster)
+     *
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {string} defaultClass - Class used when nothing is assigned
+     * @returns {string} Clutter class id
+     */
+    getClassAt(lat, lng, defaultClass = this.defaultClass) {
+        // Most recently drawn polygon wins
+        for (let i = this.polygons.length - 1; i >= 0; i--) {
+            if (this.pointInPolygon(lat, lng, this.polygons[i].points)) {
+                return this.polygons[i].classId;
+            }
+        }
+
+        return this.getRasterClass(lat, lng) || defaultClass;
+    }
+
+    /**
+     * Ray-casting point-in-polygon test
+     */
+    pointInPolygon(lat, lng, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.lat > lat) !== (b.lat > lat) &&
+                lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Add a clutter polygon
+     *
+     * @param {string} classId - Clutter class
+     * @param {Array} points - Array of {lat, lng}
+     * @returns {Object} Stored polygon
+     */
+    addPolygon(classId, points, id = `clutter_${Date.now()}`) {
+        if (!this.classes[classId]) {
+            throw new Error(`Unknown clutter class: ${classId}`);
+        }
+
+        const polygon = { id: id, classId: classId, points: points.map(p => ({ lat: p.lat, lng: p.lng })) };
+        this.polygons.push(polygon);
+        this.polygonVersion++;
+        return polygon;
+    }
+
+    /**
+     * Change a clutter polygon's class or outline
+     *
+     * @param {string} id - Polygon id
+     * @param {Object} changes - {classId, points} (either optional)
+     * @returns {Object|null} Updated polygon, null if there is none with this id
+     */
+    updatePolygon(id, changes) {
+        const polygon = this.polygons.find(existing => existing.id === id);
+        if (!polygon) return null;
+        if (changes.classId !== undefined && !this.classes[changes.classId]) {
+            throw new Error(`Unknown clutter class: ${changes.classId}`);
+        }
+
+        if (changes.classId !== undefined) polygon.classId = changes.classId;
+        if (changes.points) polygon.points = changes.points.map(p => ({ lat: p.lat, lng: p.lng }));
+        this.polygonVersion++;
+        return polygon;
+    }
+
+    /**
+     * Remove a clutter polygon
+     */
+    removePolygon(id) {
+        this.polygons = this.polygons.filter(polygon => polygon.id !== id);
+        this.polygonVersion++;
+    }
+
+    /**
+     * Remove all polygons and the imported raster
+     */
+    clear() {
+        this.polygons = [];
+        this.raster = null;
+        this.polygonVersion++;
+        this.rasterVersion++;
+    }
+
+    /**
+     * Load a land-cover raster in ESRI ASCII grid format (e.g. ESA WorldCover
+     * exported from QGIS, geographic coordinates)
+     *
+     * @param {string} text - File contents
+     * @returns {Object} Raster summary {ncols, nrows, bounds}
+     */
+    loadAsciiGrid(text) {
+        const lines = text.split(/\r?\n/);
+        const header = {};
+        let lineIndex = 0;
+
+        // Header lines are "key value" pairs
+        while (lineIndex < lines.length) {
+            const match = lines[lineIndex].trim().match(/^([a-zA-Z_]+)\s+(-?[\d.eE+-]+)$/);
+            if (!match) break;
+            header[match[1].toLowerCase()] = parseFloat(match[2]);
+            lineIndex++;
+        }
+
+        if (!header.ncols || !header.nrows || !header.cellsize) {
+            throw new Error('Invalid ASCII grid header');
+        }
+
+        // Cell-center origins are converted to corner origins
+        const xll = header.xllcorner ?? header.xllcenter - header.cellsize / 2;
+        const yll = header.yllcorner ?? header.yllcenter - header.cellsize / 2;
+        const values = lines.slice(lineIndex).join(' ').trim().split(/\s+/).map(Number);
+        if (values.length < header.ncols * header.nrows) {
+            throw new Error('ASCII grid has fewer cells than its header declares');
+        }
+
+        this.rasterVersion++;
+        this.raster = {
+            ncols: header.ncols,
+            nrows: header.nrows,
+            xll: xll,
+            yll: yll,
+            cellsize: header.cellsize,
+            nodata: header.nodata_value,
+            data: values
+        };
+
+        return {
+            ncols: header.ncols,
+            nrows: header.nrows,
+            bounds: {
+                south: yll,
+                west: xll,
+                north: yll + header.nrows * header.cellsize,
+                east: xll + header.ncols * header.cellsize
+            }
+        };
+    }
+
+    /**
+     * Clutter class from the imported raster
+     *
+     * @returns {string|null} Clutter class id or null outside the raster
+     */
+    getRasterClass(lat, lng) {
+        const raster = this.raster;
+        if (!raster) return null;
+
+        const col = Math.floor((lng - raster.xll) / raster.cellsize);
+        const row = raster.nrows - 1 - Math.floor((lat - raster.yll) / raster.cellsize);
+        if (col < 0 || col >= raster.ncols || row < 0 || row >= raster.nrows) return null;
+
+        const value = raster.data[row * raster.ncols + col];
+        if (value === raster.nodata) return null;
+
+        return this.rasterLegend[value] || null;
+    }
+}
+
+// Create singleton instance
+export const clutterModel = new ClutterModel();
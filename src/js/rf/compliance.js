@@ -0,0 +1,116 @@
+/**
+ * Regulatory Compliance Checker
+ * Conducted power, EIRP, duty cycle and dwell time of a node against the
+ * limits of the active band plan
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+
+export class ComplianceChecker {
+    constructor() {
+        // Rounding slack so a radio set exactly at the limit passes
+        this.tolerance = 0.05; // dB
+    }
+
+    /**
+     * Check one node against the band plan
+     *
+     * @param {Object} node - {power (W), antennaGain (peak dBi), cableLoss (dB), connectorLoss (dB),
+     *                        timeOnAir (ms, null if unknown), packetsPerHour}
+     * @param {Object} bandPlan - Band plan (default: active plan)
+     * @returns {Object} {conductedPower, eirp, dutyCycle, maxPower, maxPowerWatts, violations, compliant}
+     */
+    checkNode(node, bandPlan = rfUtils.bandPlan) {
+        const conductedPower = rfUtils.wattsToDbm(node.power);
+        const losses = (node.cableLoss || 0) + (node.connectorLoss || 0);
+        const eirp = conductedPower + node.antennaGain - losses;
+        const conductedLimit = this.getConductedLimit(node.antennaGain, bandPlan);
+        const violations = [];
+
+        if (conductedPower > conductedLimit + this.tolerance) {
+            violations.push({
+                rule: 'conducted',
+                value: conductedPower,
+                limit: conductedLimit,
+                message: `Conducted power ${conductedPower.toFixed(1)} dBm exceeds ${conductedLimit.toFixed(1)} dBm` +
+                    (conductedLimit < bandPlan.maxConductedPowerDbm ? ` (reduced for ${node.antennaGain} dBi antenna)` : '')
+            });
+        }
+
+        if (eirp > bandPlan.maxEirpDbm + this.tolerance) {
+            violations.push({
+                rule: 'eirp',
+                value: eirp,
+                limit: bandPlan.maxEirpDbm,
+                message: `EIRP ${eirp.toFixed(1)} dBm exceeds ${bandPlan.maxEirpDbm} dBm`
+            });
+        }
+
+        // Airtime rules need the node's packet length
+        let dutyCycle = null;
+        if (node.timeOnAir) {
+            dutyCycle = node.timeOnAir * (node.packetsPerHour || 0) / 3600000;
+
+            if (bandPlan.dutyCycle !== null && dutyCycle > bandPlan.dutyCycle) {
+                violations.push({
+                    rule: 'dutyCycle',
+                    value: dutyCycle,
+                    limit: bandPlan.dutyCycle,
+                    message: `Duty cycle ${(dutyCycle * 100).toFixed(2)}% exceeds ${bandPlan.dutyCycle * 100}% ` +
+                        `(max ${Math.floor(bandPlan.dutyCycle * 3600000 / node.timeOnAir)} packets/hour)`
+                });
+            }
+
+            if (bandPlan.dwellTime !== null && node.timeOnAir > bandPlan.dwellTime) {
+                violations.push({
+                    rule: 'dwellTime',
+                    value: node.timeOnAir,
+                    limit: bandPlan.dwellTime,
+                    message: `Packet time on air ${node.timeOnAir.toFixed(0)} ms exceeds ${bandPlan.dwellTime} ms dwell time`
+                });
+            }
+        }
+
+        const maxPower = this.getMaxPower(node.antennaGain, losses, bandPlan);
+
+        return {
+            region: bandPlan.id,
+            conductedPower: conductedPower,
+            eirp: eirp,
+            dutyCycle: dutyCycle,
+            maxPower: maxPower,
+            maxPowerWatts: rfUtils.dbmToWatts(maxPower),
+            violations: violations,
+            compliant: violations.length === 0
+        };
+    }
+
+    /**
+     * Conducted power limit, reduced dB for dB above the band plan's
+     * high-gain antenna threshold (FCC 15.247(b)(4))
+     */
+    getConductedLimit(antennaGain, bandPlan = rfUtils.bandPlan) {
+        const threshold = bandPlan.highGainThresholdDbi ?? null;
+        const reduction = threshold !== null ? Math.max(0, antennaGain - threshold) : 0;
+        return bandPlan.maxConductedPowerDbm - reduction;
+    }
+
+    /**
+     * Highest legal transmit power for an antenna and feedline
+     *
+     * @param {number} antennaGain - Peak antenna gain (dBi)
+     * @param {number} losses - Cable and connector loss (dB)
+     * @param {Object} bandPlan - Band plan (default: active plan)
+     * @returns {number} Power in dBm
+     */
+    getMaxPower(antennaGain, losses, bandPlan = rfUtils.bandPlan) {
+        return Math.min(
+            this.getConductedLimit(antennaGain, bandPlan),
+            bandPlan.maxEirpDbm - antennaGain + losses
+        );
+    }
+}
+
+// Create singleton instance
+export const complianceChecker = new ComplianceChecker();
@@ -0,0 +1,144 @@
+/**
+ * Radial Coverage Prediction
+ * Casts rays from a node at fixed azimuth steps and computes the received
+ * signal at a mobile receiver at regular distances along each ray
+ * Author: K7CFO
+ */
+
+import { elevationService } from './elevation-service.js';
+import { linkBudgetCalculator } from './link-budget.js';
+
+export class CoveragePredictor {
+    constructor() {
+        this.azimuthStep = 10;   // degrees between rays
+        this.radius = 20;        // km
+        this.rangeSteps = 20;    // Receiver positions per ray
+        this.samplesPerStep = 2; // Terrain samples between receiver positions
+        this.rxHeight = 1.5;     // m AGL (handheld)
+    }
+
+    /**
+     * Predict coverage around a transmitter
+     *
+     * @param {Object} tx - {lat, lng, power (W)}
+     * @param {Object} options - {linkOptions (link budget options for tx → mobile receiver),
+     *                           rxHeight, radius, azimuthStep, rangeSteps}
+     * @returns {Promise<Object>} {center, radius, azimuthStep, rangeStep, rays: [{bearing, cells}], stats}
+     */
+    async predict(tx, options = {}) {
+        const elevations = await elevationService.getElevations(this.getRayLocations(tx, options));
+        return this.predictFromElevations(tx, elevations, options);
+    }
+
+    /**
+     * Terrain sample locations: the centre, then each ray outwards
+     *
+     * @returns {Array} [{lat, lng}]
+     */
+    getRayLocations(tx, options = {}) {
+        const settings = { ...this, ...options };
+        const center = { lat: tx.lat, lng: tx.lng };
+        const samples = settings.rangeSteps * settings.samplesPerStep;
+        const sampleSpacing = settings.radius / samples;
+
+        const locations = [center];
+        this.getBearings(settings).forEach(bearing => {
+            for (let i = 1; i <= samples; i++) {
+                locations.push(elevationService.calculateDestination(center, bearing, i * sampleSpacing));
+            }
+        });
+        return locations;
+    }
+
+    getBearings(settings = this) {
+        const bearings = [];
+        for (let bearing = 0; bearing < 360; bearing += settings.azimuthStep) bearings.push(bearing);
+        return bearings;
+    }
+
+    /**
+     * Signal levels along every ray, from elevations already fetched for
+     * getRayLocations (runs in a compute worker). Cells only need received
+     * power against sensitivity, so the full link budget is not run.
+     *
+     * @param {Object} tx - {lat, lng, power (W)}
+     * @param {Array} elevations - {lat, lng, elevation} in getRayLocations order
+     * @param {Object} options - As for predict
+     * @param {Function} onProgress - Called with the fraction of rays done
+     * @returns {Promise<Object>} As for predict
+     */
+    async predictFromElevations(tx, elevations, options = {}, onProgress = null) {
+        const settings = { ...this, ...options };
+        const center = { lat: tx.lat, lng: tx.lng };
+        const samples = settings.rangeSteps * settings.samplesPerStep;
+        const bearings = this.getBearings(settings);
+
+        const rays = [];
+        for (let r = 0; r < bearings.length; r++) {
+            const terrain = [elevations[0], ...elevations.slice(1 + r * samples, 1 + (r + 1) * samples)];
+            const cells = [];
+
+            for (let step = 1; step <= settings.rangeSteps; step++) {
+                const end = terrain[step * settings.samplesPerStep];
+                const signal = linkBudgetCalculator.calculateSignalLevel(
+                    { ...center, power: tx.power },
+                    { lat: end.lat, lng: end.lng },
+                    {
+                        ...settings.linkOptions,
+                        rxAntennaHeight: settings.rxHeight,
+                        elevationProfile: elevationService.formatElevationProfile(
+                            terrain.slice(0, step * settings.samplesPerStep + 1), center, end)
+                    }
+                );
+
+                cells.push({
+                    lat: end.lat,
+                    lng: end.lng,
+                    distance: step * settings.radius / settings.rangeSteps,
+                    rxSignalStrength: signal.rxSignalStrength,
+                    linkMargin: signal.linkMargin,
+                    isViable: signal.isViable
+                });
+            }
+
+            rays.push({ bearing: bearings[r], cells: cells });
+            if (onProgress) onProgress((r + 1) / bearings.length);
+        }
+
+        return {
+            center: center,
+            radius: settings.radius,
+            azimuthStep: settings.azimuthStep,
+            rangeStep: settings.radius / settings.rangeSteps,
+            rays: rays,
+            stats: this.getStats(rays)
+        };
+    }
+
+    /**
+     * Covered fraction (by area) and the furthest viable cell
+     */
+    getStats(rays) {
+        let coveredArea = 0;
+        let totalArea = 0;
+        let maxRange = 0;
+
+        rays.forEach(ray => ray.cells.forEach((cell, i) => {
+            // Annular sector area grows with the outer radius squared
+            const area = Math.pow(i + 1, 2) - Math.pow(i, 2);
+            totalArea += area;
+            if (cell.isViable) {
+                coveredArea += area;
+                maxRange = Math.max(maxRange, cell.distance);
+            }
+        }));
+
+        return {
+            coveredFraction: totalArea > 0 ? coveredArea / totalArea : 0,
+            maxRange: maxRange
+        };
+    }
+}
+
+// Create singleton instance
+export const coveragePredictor = new CoveragePredictor();
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { coveragePredictor } from './coverage.js';
+import { linkBudgetCalculator } from './link-budget.js';
+import { elevationService } from './elevation-service.js';
+
+const tx = { lat: 45, lng: -122, power: 0.15 };
+const options = { linkOptions: { propagationModel: 'terrain' }, radius: 5, rangeSteps: 5, azimuthStep: 90 };
+
+/**
+ * Elevations for getRayLocations: a ridge 2 km out on every ray
+ */
+function ridgeElevations() {
+    const spacing = options.radius / (options.rangeSteps * coveragePredictor.samplesPerStep);
+    return coveragePredictor.getRayLocations(tx, options).map((location, i) => {
+        const distance = i === 0 ? 0 : (((i - 1) % 10) + 1) * spacing;
+        return { ...location, elevation: Math.abs(distance - 2) < 0.01 ? 180 : 100 };
+    });
+}
+
+describe('CoveragePredictor', () => {
+    afterEach(() => vi.restoreAllMocks());
+
+    it('matches the full link budget in every cell', async () => {
+        const elevations = ridgeElevations();
+        const prediction = await coveragePredictor.predictFromElevations(tx, elevations, options);
+
+        const samples = options.rangeSteps * coveragePredictor.samplesPerStep;
+        const terrain = [elevations[0], ...elevations.slice(1, 1 + samples)];
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+        for (let step = 1; step <= options.rangeSteps; step++) {
+            const end = terrain[step * coveragePredictor.samplesPerStep];
+            const full = await linkBudgetCalculator.calculateLinkBudget(tx, end, {
+                ...options.linkOptions,
+                rxAntennaHeight: coveragePredictor.rxHeight,
+                elevationProfile: elevationService.formatElevationProfile(
+                    terrain.slice(0, step * coveragePredictor.samplesPerStep + 1), tx, end)
+            });
+            const cell = prediction.rays[0].cells[step - 1];
+
+            expect(cell.rxSignalStrength).toBeCloseTo(full.linkBudget.rxSignalStrength, 6);
+            expect(cell.linkMargin).toBeCloseTo(full.linkBudget.linkMargin, 6);
+            expect(cell.isViable).toBe(full.linkBudget.isViable);
+        }
+        log.mockRestore();
+    });
+
+    it('skips the full link budget and its logging', async () => {
+        const full = vi.spyOn(linkBudgetCalculator, 'calculateLinkBudget');
+        const compare = vi.spyOn(linkBudgetCalculator, 'compareModels');
+        const log = vi.spyOn(console, 'log');
+
+        const prediction = await coveragePredictor.predictFromElevations(tx, ridgeElevations(), options);
+
+        expect(prediction.rays).toHaveLength(4);
+        expect(prediction.rays[0].cells).toHaveLength(options.rangeSteps);
+        expect(full).not.toHaveBeenCalled();
+        expect(compare).not.toHaveBeenCalled();
+        expect(log).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,458 @@
+/**
+ * Local Digital Elevation Models
+ * Reads SRTM .hgt tiles and geographic GeoTIFF DEMs supplied by the user and
+ * samples them bilinearly, for planning without an internet connection
+ * Author: K7CFO
+ */
+
+// GeoTIFF sample types by "SampleFormat:BitsPerSample"
+const SAMPLE_TYPES = {
+    '1:8': [Uint8Array, 'getUint8'],
+    '2:8': [Int8Array, 'getInt8'],
+    '1:16': [Uint16Array, 'getUint16'],
+    '2:16': [Int16Array, 'getInt16'],
+    '1:32': [Uint32Array, 'getUint32'],
+    '2:32': [Int32Array, 'getInt32'],
+    '3:32': [Float32Array, 'getFloat32'],
+    '3:64': [Float64Array, 'getFloat64']
+};
+
+// Bytes per TIFF field type
+const FIELD_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const SRTM_VOID = -32768;
+
+export class DemLibrary {
+    constructor() {
+        // Sample grids: {name, north, west, dLat, dLng, rows, columns, data, nodata, load}
+        // Row 0 is the northernmost row; samples sit on the grid points
+        this.tiles = [];
+        this.lastTile = null; // Consecutive lookups usually hit the same tile
+        this.loadCount = 0;   // Tells apart files re-imported under the same name
+    }
+
+    /**
+     * Load a DEM file chosen by the user
+     *
+     * @param {File} file - .hgt or .tif/.tiff
+     * @returns {Promise<Object>} {name, rows, columns, bounds: {south, west, north, east}}
+     */
+    async loadFile(file) {
+        const buffer = await file.arrayBuffer();
+
+        let tile;
+        if (/\.hgt$/i.test(file.name)) {
+            tile = this.parseHgt(file.name, buffer);
+        } else if (/\.tiff?$/i.test(file.name)) {
+            tile = await this.parseGeoTiff(file.name, buffer);
+        } else {
+            throw new Error(`${file.name}: expected an SRTM .hgt or GeoTIFF file`);
+        }
+
+        this.addTile(tile);
+        return {
+            name: tile.name,
+            rows: tile.rows,
+            columns: tile.columns,
+            bounds: this.getTileBounds(tile)
+        };
+    }
+
+    /**
+     * Add a tile, replacing any tile loaded from a file of the same name
+     */
+    addTile(tile) {
+        tile.load = ++this.loadCount;
+        this.tiles = this.tiles.filter(existing => existing.name !== tile.name);
+        this.tiles.push(tile);
+        this.lastTile = null;
+    }
+
+    clear() {
+        this.tiles = [];
+        this.lastTile = null;
+    }
+
+    /**
+     * Identifies the loaded tiles, so results computed from them can be told
+     * apart; a file loaded again gets a new key even under the same name
+     */
+    getKey() {
+        return this.tiles.map(tile => `${tile.name}#${tile.load}`).join(',');
+    }
+
+    getTileBounds(tile) {
+        return {
+            south: tile.north - (tile.rows - 1) * tile.dLat,
+            west: tile.west,
+            north: tile.north,
+            east: tile.west + (tile.columns - 1) * tile.dLng
+        };
+    }
+
+    /**
+     * Parse an SRTM .hgt tile: big-endian 16-bit samples on a square grid
+     * (1201 for 3", 3601 for 1"), named after its south-west corner
+     *
+     * @param {string} name - File name, e.g. N37W122.hgt
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} Tile
+     */
+    parseHgt(name, buffer) {
+        const match = name.match(/([NS])(\d{1,2})([EW])(\d{1,3})/i);
+        if (!match) {
+            throw new Error(`${name}: .hgt file names must give the tile corner, e.g. N37W122.hgt`);
+        }
+
+        const size = Math.sqrt(buffer.byteLength / 2);
+        if (!Number.isInteger(size) || size < 2) {
+            throw new Error(`${name}: not a square grid of 16-bit samples`);
+        }
+
+        const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+        const view = new DataView(buffer);
+        const data = new Int16Array(size * size);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = view.getInt16(i * 2, false);
+        }
+
+        return {
+            name: name,
+            north: south + 1,
+            west: west,
+            dLat: 1 / (size - 1),
+            dLng: 1 / (size - 1),
+            rows: size,
+            columns: size,
+            data: data,
+            nodata: SRTM_VOID
+        };
+    }
+
+    /**
+     * Parse a single-band GeoTIFF in geographic (lat/lng) coordinates.
+     * Strips or tiles, uncompressed, LZW or Deflate, with or without
+     * horizontal differencing.
+     *
+     * @param {string} name - File name
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Promise<Object>} Tile
+     */
+    async parseGeoTiff(name, buffer) {
+        const view = new DataView(buffer);
+        const order = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+        if (order !== 'II' && order !== 'MM') {
+            throw new Error(`${name}: not a TIFF file`);
+        }
+        const little = order === 'II';
+        if (view.getUint16(2, little) !== 42) {
+            throw new Error(`${name}: BigTIFF files are not supported`);
+        }
+
+        const tags = this.readIfd(view, view.getUint32(4, little), little);
+        const first = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+
+        const width = first(256);
+        const height = first(257);
+        const bits = first(258, 1);
+        const compression = first(259, 1);
+        const predictor = first(317, 1);
+        const sampleFormat = first(339, 1);
+
+        if (first(277, 1) !== 1) {
+            throw new Error(`${name}: only single-band DEMs are supported`);
+        }
+        const sampleType = SAMPLE_TYPES[`${sampleFormat}:${bits}`];
+        if (!sampleType) {
+            throw new Error(`${name}: unsupported sample type (${bits}-bit, format ${sampleFormat})`);
+        }
+        if (![1, 5, 8, 32946].includes(compression)) {
+            throw new Error(`${name}: unsupported compression (${compression}); use uncompressed, LZW or Deflate`);
+        }
+        if (predictor !== 1 && predictor !== 2) {
+            throw new Error(`${name}: unsupported predictor (${predictor})`);
+        }
+
+        // Georeferencing: pixel scale and one tie point, lat/lng only
+        const geoKeys = this.readGeoKeys(tags[34735]);
+        if (geoKeys[1024] === 1) {
+            throw new Error(`${name}: projected GeoTIFFs are not supported; reproject to EPSG:4326`);
+        }
+        const scale = tags[33550];
+        const tiepoint = tags[33922];
+        if (!scale || !tiepoint) {
+            throw new Error(`${name}: missing GeoTIFF pixel scale or tie point`);
+        }
+
+        // Grid point of pixel (0, 0): its center, unless the raster is PixelIsPoint
+        const pixelIsPoint = geoKeys[1025] === 2;
+        const west = tiepoint[3] - tiepoint[0] * scale[0] + (pixelIsPoint ? 0 : scale[0] / 2);
+        const north = tiepoint[4] + tiepoint[1] * scale[1] - (pixelIsPoint ? 0 : scale[1] / 2);
+
+        const [TypedArray, getter] = sampleType;
+        const bytesPerSample = bits / 8;
+        const data = new TypedArray(width * height);
+
+        // Strips are chunks as wide as the image
+        const tiled = tags[322] !== undefined;
+        const chunkWidth = tiled ? first(322) : width;
+        const chunkHeight = tiled ? first(323) : first(278, height);
+        const offsets = tiled ? tags[324] : tags[273];
+        const byteCounts = tiled ? tags[325] : tags[279];
+        const chunksAcross = Math.ceil(width / chunkWidth);
+
+        for (let index = 0; index < offsets.length; index++) {
+            const top = Math.floor(index / chunksAcross) * chunkHeight;
+            const left = (index % chunksAcross) * chunkWidth;
+            if (top >= height) break;
+
+            // Tiles are always full size; the last strip may be short
+            const rows = tiled ? chunkHeight : Math.min(chunkHeight, height - top);
+            const size = chunkWidth * rows * bytesPerSample;
+            const bytes = await this.decompress(new Uint8Array(buffer, offsets[index], byteCounts[index]), compression, size);
+
+            const chunkView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const chunk = new TypedArray(chunkWidth * rows);
+            const available = Math.min(chunk.length, Math.floor(bytes.byteLength / bytesPerSample));
+            for (let i = 0; i < available; i++) {
+                chunk[i] = chunkView[getter](i * bytesPerSample, little);
+            }
+
+            // Horizontal differencing: each sample is stored as the change from its left neighbor
+            if (predictor === 2) {
+                for (let row = 0; row < rows; row++) {
+                    for (let column = 1; column < chunkWidth; column++) {
+                        chunk[row * chunkWidth + column] += chunk[row * chunkWidth + column - 1];
+                    }
+                }
+            }
+
+            for (let row = 0; row < rows && top + row < height; row++) {
+                const columns = Math.min(chunkWidth, width - left);
+                data.set(chunk.subarray(row * chunkWidth, row * chunkWidth + columns), (top + row) * width + left);
+            }
+        }
+
+        const nodata = tags[42113] ? parseFloat(tags[42113]) : null;
+
+        return {
+            name: name,
+            north: north,
+            west: west,
+            dLat: scale[1],
+            dLng: scale[0],
+            rows: height,
+            columns: width,
+            data: data,
+            nodata: Number.isNaN(nodata) ? null : nodata
+        };
+    }
+
+    /**
+     * Read the first image file directory
+     *
+     * @returns {Object} Tag number → array of values (ASCII tags: string)
+     */
+    readIfd(view, offset, little) {
+        const tags = {};
+        const count = view.getUint16(offset, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+            const size = FIELD_SIZES[type];
+            if (!size) continue;
+
+            // Values of up to 4 bytes are stored in the entry itself
+            const start = size * length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+            const values = [];
+            for (let j = 0; j < length; j++) {
+                const at = start + j * size;
+                switch (type) {
+                    case 3: values.push(view.getUint16(at, little)); break;
+                    case 4: values.push(view.getUint32(at, little)); break;
+                    case 8: values.push(view.getInt16(at, little)); break;
+                    case 9: values.push(view.getInt32(at, little)); break;
+                    case 11: values.push(view.getFloat32(at, little)); break;
+                    case 12: values.push(view.getFloat64(at, little)); break;
+                    case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+                    case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+                    case 6: values.push(view.getInt8(at)); break;
+                    default: values.push(view.getUint8(at));
+                }
+            }
+
+            tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+        }
+
+        return tags;
+    }
+
+    /**
+     * GeoKeyDirectory values stored in the directory itself
+     *
+     * @returns {Object} Key id → value
+     */
+    readGeoKeys(directory) {
+        const keys = {};
+        if (!directory) return keys;
+
+        for (let i = 0; i < directory[3]; i++) {
+            const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+            if (location === 0) keys[id] = value;
+        }
+        return keys;
+    }
+
+    /**
+     * Decompress one strip or tile
+     *
+     * @param {Uint8Array} bytes - Compressed data
+     * @param {number} compression - TIFF compression code
+     * @param {number} size - Expected decompressed size in bytes
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    async decompress(bytes, compression, size) {
+        if (compression === 1) return bytes;
+        if (compression === 5) return this.decodeLzw(bytes, size);
+
+        // Deflate (zlib stream)
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * TIFF LZW: MSB-first codes of 9 to 12 bits, with the code width growing
+     * one code early
+     */
+    decodeLzw(input, size) {
+        const output = new Uint8Array(size);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const firstByte = new Uint8Array(4096);
+        const length = new Uint16Array(4096);
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            firstByte[i] = i;
+            length[i] = 1;
+        }
+
+        const totalBits = input.length * 8;
+        let next = 258;
+        let codeLength = 9;
+        let bitPosition = 0;
+        let out = 0;
+        let previous = -1;
+
+        while (bitPosition + codeLength <= totalBits) {
+            const byte = bitPosition >> 3;
+            const word = (input[byte] << 16) | ((input[byte + 1] || 0) << 8) | (input[byte + 2] || 0);
+            const code = (word >> (24 - (bitPosition & 7) - codeLength)) & ((1 << codeLength) - 1);
+            bitPosition += codeLength;
+
+            if (code === 257) break;
+            if (code === 256) {
+                next = 258;
+                codeLength = 9;
+                previous = -1;
+                continue;
+            }
+            if (previous === -1) {
+                if (out < size) output[out] = code;
+                out++;
+                previous = code;
+                continue;
+            }
+            if (code > next) {
+                throw new Error('Corrupt LZW data');
+            }
+
+            // A code not yet in the table is the previous string plus its own first byte
+            const known = code < next;
+            const source = known ? code : previous;
+            let entry = source;
+            for (let i = length[source] - 1; i >= 0; i--) {
+                if (out + i < size) output[out + i] = suffix[entry];
+                entry = prefix[entry];
+            }
+            out += length[source];
+            if (!known) {
+                if (out < size) output[out] = firstByte[previous];
+                out++;
+            }
+
+            if (next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = firstByte[source];
+                firstByte[next] = firstByte[previous];
+                length[next] = length[previous] + 1;
+                next++;
+            }
+            previous = code;
+
+            if (next + 1 >= (1 << codeLength) && codeLength < 12) codeLength++;
+        }
+
+        return output;
+    }
+
+    /**
+     * Elevation at a point, bilinear between the four surrounding samples.
+     * Void samples are left out of the weighting.
+     *
+     * @returns {number|null} Meters, or null where no loaded tile has data
+     */
+    getElevation(lat, lng) {
+        if (this.lastTile) {
+            const elevation = this.sampleTile(this.lastTile, lat, lng);
+            if (elevation !== null) return elevation;
+        }
+
+        for (const tile of this.tiles) {
+            if (tile === this.lastTile) continue;
+            const elevation = this.sampleTile(tile, lat, lng);
+            if (elevation !== null) {
+                this.lastTile = tile;
+                return elevation;
+            }
+        }
+        return null;
+    }
+
+    sampleTile(tile, lat, lng) {
+        const y = (tile.north - lat) / tile.dLat;
+        const x = (lng - tile.west) / tile.dLng;
+        const epsilon = 1e-6;
+        if (y < -epsilon || x < -epsilon || y > tile.rows - 1 + epsilon || x > tile.columns - 1 + epsilon) {
+            return null;
+        }
+
+        const row = Math.max(0, Math.min(tile.rows - 2, Math.floor(y)));
+        const column = Math.max(0, Math.min(tile.columns - 2, Math.floor(x)));
+        const fy = Math.max(0, Math.min(1, y - row));
+        const fx = Math.max(0, Math.min(1, x - column));
+
+        let sum = 0;
+        let weights = 0;
+        const add = (r, c, weight) => {
+            const value = tile.data[r * tile.columns + c];
+            if (weight === 0 || value === tile.nodata || Number.isNaN(value)) return;
+            sum += value * weight;
+            weights += weight;
+        };
+        add(row, column, (1 - fx) * (1 - fy));
+        add(row, column + 1, fx * (1 - fy));
+        add(row + 1, column, (1 - fx) * fy);
+        add(row + 1, column + 1, fx * fy);
+
+        return weights > 0 ? sum / weights : null;
+    }
+}
+
+// Create singleton instance
+export const demLibrary = new DemLibrary();
@@ -0,0 +1,257 @@
+import { describe, it, expect } from 'vitest';
+import { DemLibrary } from './dem.js';
+
+/**
+ * SRTM .hgt contents: big-endian int16, row 0 northernmost
+ */
+function buildHgt(rows) {
+    const view = new DataView(new ArrayBuffer(rows.length * rows.length * 2));
+    rows.flat().forEach((value, i) => view.setInt16(i * 2, value, false));
+    return view.buffer;
+}
+
+/**
+ * Pack [code, width] pairs MSB-first, as TIFF LZW does
+ */
+function packCodes(codes) {
+    const bytes = [];
+    let accumulator = 0;
+    let bits = 0;
+    codes.forEach(([code, width]) => {
+        accumulator = (accumulator << width) | code;
+        bits += width;
+        while (bits >= 8) {
+            bytes.push((accumulator >> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+        accumulator &= (1 << bits) - 1;
+    });
+    if (bits > 0) bytes.push((accumulator << (8 - bits)) & 0xff);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Little-endian, single-strip, uncompressed int16 GeoTIFF
+ */
+function buildGeoTiff({ width, height, samples, predictor = 1, pixelIsPoint = false, nodata = null, modelType = 2 }) {
+    const SHORT = 3, LONG = 4, DOUBLE = 12, ASCII = 2;
+    const entries = [
+        [256, SHORT, [width]],
+        [257, SHORT, [height]],
+        [258, SHORT, [16]],
+        [259, SHORT, [1]],
+        [273, LONG, [0]],          // Strip offset, patched below
+        [277, SHORT, [1]],
+        [278, SHORT, [height]],
+        [279, LONG, [width * height * 2]],
+        [317, SHORT, [predictor]],
+        [339, SHORT, [2]],
+        [33550, DOUBLE, [0.1, 0.1, 0]],
+        [33922, DOUBLE, [0, 0, 0, 10, 50, 0]],
+        [34735, SHORT, [1, 1, 0, 2, 1024, 0, 1, modelType, 1025, 0, 1, pixelIsPoint ? 2 : 1]]
+    ];
+    if (nodata !== null) entries.push([42113, ASCII, `${nodata}\0`]);
+
+    const sizes = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8, [ASCII]: 1 };
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const external = entries.filter(([, type, values]) => values.length * sizes[type] > 4);
+    const externalSize = external.reduce((sum, [, type, values]) => sum + values.length * sizes[type], 0);
+    const dataOffset = 8 + ifdSize + externalSize;
+
+    const view = new DataView(new ArrayBuffer(dataOffset + samples.length * 2));
+    view.setUint8(0, 0x49);
+    view.setUint8(1, 0x49);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, entries.length, true);
+
+    let next = 8 + ifdSize;
+    entries.forEach(([tag, type, values], i) => {
+        if (tag === 273) values = [dataOffset];
+        const entry = 10 + i * 12;
+        const size = values.length * sizes[type];
+        const start = size > 4 ? next : entry + 8;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, values.length, true);
+        if (size > 4) {
+            view.setUint32(entry + 8, next, true);
+            next += size;
+        }
+        for (let j = 0; j < values.length; j++) {
+            const at = start + j * sizes[type];
+            if (type === SHORT) view.setUint16(at, values[j], true);
+            else if (type === LONG) view.setUint32(at, values[j], true);
+            else if (type === DOUBLE) view.setFloat64(at, values[j], true);
+            else view.setUint8(at, values.charCodeAt(j));
+        }
+    });
+    samples.forEach((value, i) => view.setInt16(dataOffset + i * 2, value, true));
+
+    return view.buffer;
+}
+
+const file = (name, buffer) => ({ name: name, arrayBuffer: async () => buffer });
+
+describe('DemLibrary .hgt tiles', () => {
+    it('reads samples back at their grid points', async () => {
+        const dem = new DemLibrary();
+        const summary = await dem.loadFile(file('N45W122.hgt', buildHgt([
+            [100, 200, 300],
+            [400, 500, 600],
+            [700, 800, 900]
+        ])));
+
+        expect(summary.bounds).toEqual({ south: 45, west: -122, north: 46, east: -121 });
+        expect(dem.getElevation(46, -122)).toBe(100);
+        expect(dem.getElevation(45, -121)).toBe(900);
+        expect(dem.getElevation(45.5, -121.5)).toBeCloseTo(500);
+    });
+
+    it('interpolates bilinearly between samples', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([
+            [100, 200, 300],
+            [400, 500, 600],
+            [700, 800, 900]
+        ])));
+
+        expect(dem.getElevation(45.75, -121.75)).toBeCloseTo(300);
+        expect(dem.getElevation(45.5, -121.25)).toBeCloseTo(550);
+    });
+
+    it('places southern and eastern tiles by their file name', async () => {
+        const dem = new DemLibrary();
+        const summary = await dem.loadFile(file('S12E034.hgt', buildHgt([[1, 2], [3, 4]])));
+        expect(summary.bounds).toEqual({ south: -12, west: 34, north: -11, east: 35 });
+    });
+
+    it('returns null outside every tile', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([[1, 2], [3, 4]])));
+        expect(dem.getElevation(44.5, -121.5)).toBeNull();
+    });
+});
+
+describe('DemLibrary void samples', () => {
+    const VOID = -32768;
+
+    it('leaves voids out of the bilinear weighting', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([
+            [100, VOID],
+            [300, 500]
+        ])));
+
+        // Center of the cell: the three valid corners, equally weighted
+        expect(dem.getElevation(45.5, -121.5)).toBeCloseTo(300);
+        // Next to the void, the nearer valid samples dominate
+        expect(dem.getElevation(45.9, -121.9)).toBeCloseTo((100 * 0.81 + 300 * 0.09 + 500 * 0.01) / 0.91);
+    });
+
+    it('has no elevation where every surrounding sample is void', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([
+            [VOID, VOID],
+            [VOID, VOID]
+        ])));
+        expect(dem.getElevation(45.5, -121.5)).toBeNull();
+    });
+
+    it('uses the GeoTIFF nodata value', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('dem.tif', buildGeoTiff({
+            width: 2,
+            height: 2,
+            samples: [-9999, 200, 400, 600],
+            nodata: -9999,
+            pixelIsPoint: true
+        })));
+        expect(dem.getElevation(49.95, 10.05)).toBeCloseTo(400);
+    });
+});
+
+describe('DemLibrary LZW', () => {
+    it('decodes literals and a code defined by the code itself', () => {
+        const dem = new DemLibrary();
+        // Clear, 'A', then 258 before it is in the table: 'A' + 'A'
+        const stream = packCodes([[256, 9], [65, 9], [258, 9], [257, 9]]);
+        expect(Array.from(dem.decodeLzw(stream, 3))).toEqual([65, 65, 65]);
+    });
+
+    it('switches to 10-bit codes one code early', () => {
+        const dem = new DemLibrary();
+        // 254 literals fill the table up to code 510; the next code is 10 bits wide
+        const literals = Array.from({ length: 254 }, (_, i) => [i, 9]);
+        const stream = packCodes([[256, 9], ...literals, [258, 10], [257, 10]]);
+
+        const expected = [...Array.from({ length: 254 }, (_, i) => i), 0, 1];
+        expect(Array.from(dem.decodeLzw(stream, expected.length))).toEqual(expected);
+    });
+
+    it('goes back to 9-bit codes after a clear code', () => {
+        const dem = new DemLibrary();
+        const literals = Array.from({ length: 254 }, (_, i) => [i, 9]);
+        const stream = packCodes([[256, 9], ...literals, [256, 10], [7, 9], [257, 9]]);
+
+        const output = dem.decodeLzw(stream, 255);
+        expect(output[253]).toBe(253);
+        expect(output[254]).toBe(7);
+    });
+});
+
+describe('DemLibrary GeoTIFF', () => {
+    it('undoes horizontal differencing (predictor 2)', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('dem.tif', buildGeoTiff({
+            width: 3,
+            height: 2,
+            samples: [100, 10, -20, 500, -1, 2],
+            predictor: 2,
+            pixelIsPoint: true
+        })));
+
+        const tile = dem.tiles[0];
+        expect(Array.from(tile.data)).toEqual([100, 110, 90, 500, 499, 501]);
+    });
+
+    it('puts the grid origin at the first pixel center for PixelIsArea', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('area.tif', buildGeoTiff({ width: 2, height: 2, samples: [1, 2, 3, 4] })));
+
+        const tile = dem.tiles[0];
+        expect(tile.west).toBeCloseTo(10.05);
+        expect(tile.north).toBeCloseTo(49.95);
+        expect(dem.getElevation(49.95, 10.05)).toBeCloseTo(1);
+    });
+
+    it('puts the grid origin at the tie point for PixelIsPoint', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('point.tif', buildGeoTiff({ width: 2, height: 2, samples: [1, 2, 3, 4], pixelIsPoint: true })));
+
+        const tile = dem.tiles[0];
+        expect(tile.west).toBeCloseTo(10);
+        expect(tile.north).toBeCloseTo(50);
+        expect(dem.getElevation(50, 10)).toBeCloseTo(1);
+        expect(dem.getElevation(49.9, 10.1)).toBeCloseTo(4);
+    });
+
+    it('rejects projected GeoTIFFs', async () => {
+        const dem = new DemLibrary();
+        const buffer = buildGeoTiff({ width: 2, height: 2, samples: [1, 2, 3, 4], modelType: 1 });
+        await expect(dem.loadFile(file('utm.tif', buffer))).rejects.toThrow(/projected/);
+    });
+});
+
+describe('DemLibrary keys', () => {
+    it('changes when a file is loaded again under the same name', async () => {
+        const dem = new DemLibrary();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([[1, 2], [3, 4]])));
+        const key = dem.getKey();
+        await dem.loadFile(file('N45W122.hgt', buildHgt([[5, 6], [7, 8]])));
+
+        expect(dem.tiles).toHaveLength(1);
+        expect(dem.getKey()).not.toBe(key);
+        expect(dem.getElevation(46, -122)).toBe(5);
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * Multiple Knife-Edge Diffraction for Terrain Paths
+ * Deygout, Epstein-Peterson and Bullington constructions over an elevation profile
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+
+export class DiffractionCalculator {
+    constructor() {
+        // Available diffraction methods
+        this.methods = {
+            single: 'Single knife-edge (worst obstruction)',
+            deygout: 'Deygout (principal edge + sub-edges)',
+            epsteinPeterson: 'Epstein-Peterson (successive edges)',
+            bullington: 'Bullington (equivalent single edge)'
+        };
+
+        this.defaultMethod = 'deygout';
+        this.maxDeygoutDepth = 1; // principal edge plus one sub-edge per side (ITU-R P.526)
+    }
+
+    /**
+     * Calculate diffraction loss along a terrain profile
+     *
+     * @param {Array} profile - Elevation profile with {distance (km), elevation (m)} points
+     * @param {number} txHeight - Transmitter antenna height (meters)
+     * @param {number} rxHeight - Receiver antenna height (meters)
+     * @param {string} method - Diffraction method key
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {Object} {method, total, edges: [{distance, height, v, loss}]}
+     */
+    calculate(profile, txHeight, rxHeight, method = this.defaultMethod, kFactor = rfUtils.kFactor) {
+        const result = { method: method, total: 0, edges: [] };
+        if (!profile || profile.length < 3) return result;
+
+        const path = this.buildPath(profile, txHeight, rxHeight, kFactor);
+
+        switch (method) {
+            case 'single':
+                result.edges = this.singleEdge(path);
+                break;
+            case 'epsteinPeterson':
+                result.edges = this.epsteinPeterson(path);
+                break;
+            case 'bullington':
+                result.edges = this.bullington(path);
+                break;
+            default:
+                result.method = 'deygout';
+                result.edges = this.deygout(path, 0, path.length - 1, 0);
+                break;
+        }
+
+        // Report edges in path order
+        result.edges.sort((a, b) => a.distance - b.distance);
+        result.total = result.edges.reduce((sum, edge) => sum + edge.loss, 0);
+
+        return result;
+    }
+
+    /**
+     * Convert an elevation profile to effective terrain heights
+     * (terrain plus Earth bulge, antennas added at the endpoints)
+     *
+     * @param {Array} profile - Elevation profile
+     * @param {number} txHeight - TX antenna height (meters)
+     * @param {number} rxHeight - RX antenna height (meters)
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {Array} Array of {distance (km), height (m)}
+     */
+    buildPath(profile, txHeight, rxHeight, kFactor = rfUtils.kFactor) {
+        const totalDistance = profile[profile.length - 1].distance;
+        const lastIndex = profile.length - 1;
+
+        return profile.map((point, i) => {
+            const bulge = rfUtils.calculateEarthCurvature(totalDistance, point.distance / totalDistance, kFactor);
+            let height = point.elevation + bulge;
+            if (i === 0) height += txHeight;
+            if (i === lastIndex) height += rxHeight;
+
+            return { distance: point.distance, height: height };
+        });
+    }
+
+    /**
+     * Find the intermediate point with the highest diffraction parameter
+     * relative to the line between path[start] and path[end]
+     *
+     * @param {Array} path - Effective terrain path
+     * @param {number} start - Start index
+     * @param {number} end - End index
+     * @returns {Object|null} {index, height, v} or null if no intermediate points
+     */
+    findPrincipalEdge(path, start, end) {
+        let best = null;
+
+        for (let i = start + 1; i < end; i++) {
+            const edge = this.edgeParameters(path, start, i, end);
+            if (!best || edge.v > best.v) {
+                best = { index: i, ...edge };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Height above the start-end line and diffraction parameter for one point
+     *
+     * @param {Array} path - Effective terrain path
+     * @param {number} start - Start index
+     * @param {number} index - Obstacle index
+     * @param {number} end - End index
+     * @returns {Object} {height, d1, d2, v}
+     */
+    edgeParameters(path, start, index, end) {
+        const a = path[start];
+        const b = path[end];
+        const p = path[index];
+
+        const d1 = p.distance - a.distance;
+        const d2 = b.distance - p.distance;
+        const lineHeight = a.height + (b.height - a.height) * d1 / (d1 + d2);
+        const height = p.height - lineHeight;
+
+        return {
+            height: height,
+            d1: d1,
+            d2: d2,
+            v: rfUtils.calculateDiffractionParameter(height, d1, d2)
+        };
+    }
+
+    /**
+     * Format an edge for the path-loss breakdown
+     */
+    createEdge(path, index, height, v) {
+        return {
+            distance: path[index].distance,
+            height: height,
+            v: v,
+            loss: rfUtils.calculateDiffractionLoss(v)
+        };
+    }
+
+    /**
+     * Single knife edge at the point with the highest diffraction parameter
+     */
+    singleEdge(path) {
+        const edge = this.findPrincipalEdge(path, 0, path.length - 1);
+        if (!edge || edge.v <= -0.78) return [];
+
+        return [this.createEdge(path, edge.index, edge.height, edge.v)];
+    }
+
+    /**
+     * Deygout method: the principal edge between the endpoints is diffracted
+     * first, then the sub-paths on either side are searched recursively
+     *
+     * @param {Array} path - Effective terrain path
+     * @param {number} start - Start index
+     * @param {number} end - End index
+     * @param {number} depth - Recursion depth
+     * @returns {Array} Diffracting edges
+     */
+    deygout(path, start, end, depth) {
+        if (end - start < 2) return [];
+
+        const edge = this.findPrincipalEdge(path, start, end);
+        if (!edge || edge.v <= -0.78) return [];
+
+        const edges = [this.createEdge(path, edge.index, edge.height, edge.v)];
+
+        if (depth < this.maxDeygoutDepth) {
+            edges.push(...this.deygout(path, start, edge.index, depth + 1));
+            edges.push(...this.deygout(path, edge.index, end, depth + 1));
+        }
+
+        return edges;
+    }
+
+    /**
+     * Epstein-Peterson method: edges are the vertices of the "stretched string"
+     * from TX to RX, each diffracted relative to its neighbouring edges
+     *
+     * @param {Array} path - Effective terrain path
+     * @returns {Array} Diffracting edges
+     */
+    epsteinPeterson(path) {
+        const hull = this.findHorizonChain(path);
+
+        // Clear path: fall back to the single most significant sub-path obstacle
+        if (hull.length === 2) return this.singleEdge(path);
+
+        const edges = [];
+        for (let i = 1; i < hull.length - 1; i++) {
+            const edge = this.edgeParameters(path, hull[i - 1], hull[i], hull[i + 1]);
+            if (edge.v > -0.78) {
+                edges.push(this.createEdge(path, hull[i], edge.height, edge.v));
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Find the upper convex hull of the path between the endpoints
+     *
+     * @param {Array} path - Effective terrain path
+     * @returns {Array} Indices of hull vertices from TX to RX
+     */
+    findHorizonChain(path) {
+        const last = path.length - 1;
+        const chain = [0];
+        let current = 0;
+
+        while (current < last) {
+            // Steepest elevation angle from the current vertex
+            let next = last;
+            let maxSlope = this.slope(path, current, last);
+
+            for (let i = current + 1; i < last; i++) {
+                const slope = this.slope(path, current, i);
+                if (slope > maxSlope) {
+                    maxSlope = slope;
+                    next = i;
+                }
+            }
+
+            chain.push(next);
+            current = next;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Slope (m/km) between two path points
+     */
+    slope(path, from, to) {
+        return (path[to].height - path[from].height) / (path[to].distance - path[from].distance);
+    }
+
+    /**
+     * Bullington method: the TX and RX horizon rays are intersected to form
+     * a single equivalent knife edge (ITU-R P.526 Bullington construction)
+     *
+     * @param {Array} path - Effective terrain path
+     * @returns {Array} Equivalent edge (empty if negligible)
+     */
+    bullington(path) {
+        const last = path.length - 1;
+        const totalDistance = path[last].distance;
+        const directSlope = this.slope(path, 0, last);
+
+        let txHorizonSlope = -Infinity;
+        let rxHorizonSlope = -Infinity;
+        for (let i = 1; i < last; i++) {
+            txHorizonSlope = Math.max(txHorizonSlope, this.slope(path, 0, i));
+            rxHorizonSlope = Math.max(rxHorizonSlope, (path[i].height - path[last].height) / (totalDistance - path[i].distance));
+        }
+
+        // Line-of-sight path: use the most significant obstacle below the ray
+        if (txHorizonSlope < directSlope) return this.singleEdge(path);
+
+        // Intersection of the two horizon rays
+        const db = (path[last].height - path[0].height + rxHorizonSlope * totalDistance) /
+                   (txHorizonSlope + rxHorizonSlope);
+        const edgeHeight = path[0].height + txHorizonSlope * db;
+        const lineHeight = path[0].height + directSlope * db;
+        const height = edgeHeight - lineHeight;
+        const v = rfUtils.calculateDiffractionParameter(height, db, totalDistance - db);
+
+        if (v <= -0.78) return [];
+
+        return [{
+            distance: db,
+            height: height,
+            v: v,
+            loss: rfUtils.calculateDiffractionLoss(v)
+        }];
+    }
+}
+
+// Create singleton instance
+export const diffractionCalculator = new DiffractionCalculator();
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { diffractionCalculator } from './diffraction.js';
+import { rfUtils } from './rf-utils.js';
+
+// No Earth bulge, so the edge geometry is exact
+const flatEarth = 1e9;
+
+/**
+ * Flat 10 km profile at 1 km spacing with edges {km: height}
+ */
+function edgeProfile(edges) {
+    return Array.from({ length: 11 }, (_, i) => ({ distance: i, elevation: edges[i] || 0 }));
+}
+
+/**
+ * Exact knife-edge loss from the Fresnel integrals (ITU-R P.526 eq. 26-27),
+ * C and S by Simpson's rule
+ */
+function fresnelKnifeEdgeLoss(nu) {
+    const n = 2000;
+    const h = nu / n;
+    let c = 0;
+    let s = 0;
+    for (let i = 0; i <= n; i++) {
+        const t = i * h;
+        const weight = i === 0 || i === n ? 1 : (i % 2 ? 4 : 2);
+        c += weight * Math.cos(Math.PI * t * t / 2);
+        s += weight * Math.sin(Math.PI * t * t / 2);
+    }
+    c *= h / 3;
+    s *= h / 3;
+    return -20 * Math.log10(Math.hypot(1 - c - s, c - s) / 2);
+}
+
+/**
+ * ν for an obstacle h m above the line, d1 and d2 km from its ends
+ */
+function nu(h, d1, d2) {
+    return h * Math.sqrt(2 / rfUtils.wavelength * (d1 + d2) / (d1 * d2 * 1000));
+}
+
+describe('DiffractionCalculator', () => {
+    it('uses the P.526 knife-edge loss J(ν)', () => {
+        expect(rfUtils.calculateDiffractionLoss(0)).toBeCloseTo(6.03, 2);
+        expect(rfUtils.calculateDiffractionLoss(-0.78)).toBe(0);
+        [-0.5, 0, 0.5, 1, 2, 3, 5, 10].forEach(v => {
+            expect(Math.abs(rfUtils.calculateDiffractionLoss(v) - fresnelKnifeEdgeLoss(v))).toBeLessThan(0.2);
+        });
+    });
+
+    it('gives J(ν) for a single edge with every method', () => {
+        // 10 m antennas keep the ground beside them out of the Fresnel zone
+        const profile = edgeProfile({ 4: 40 });
+        const expected = rfUtils.calculateDiffractionLoss(nu(30, 4, 6));
+
+        Object.keys(diffractionCalculator.methods).forEach(method => {
+            const result = diffractionCalculator.calculate(profile, 10, 10, method, flatEarth);
+            expect(result.edges).toHaveLength(1);
+            expect(result.edges[0].distance).toBe(4);
+            expect(result.total).toBeCloseTo(expected, 6);
+        });
+    });
+
+    it('grazing incidence costs 6 dB', () => {
+        // Edge exactly on the line between the antennas
+        const result = diffractionCalculator.calculate(edgeProfile({ 5: 20 }), 20, 20, 'single', flatEarth);
+        expect(result.total).toBeCloseTo(rfUtils.calculateDiffractionLoss(0), 6);
+    });
+
+    it('adds the Earth bulge to the obstacle', () => {
+        const profile = edgeProfile({ 5: 20 });
+        const bulge = rfUtils.calculateEarthCurvature(10, 0.5, 4 / 3);
+        const result = diffractionCalculator.calculate(profile, 0, 0, 'single', 4 / 3);
+
+        expect(result.edges[0].height).toBeCloseTo(20 + bulge, 6);
+    });
+
+    describe('two equal edges at 3 and 7 km', () => {
+        const profile = edgeProfile({ 3: 30, 7: 30 });
+        const loss = (method) => diffractionCalculator.calculate(profile, 0, 0, method, flatEarth);
+        const J = (v) => rfUtils.calculateDiffractionLoss(v);
+
+        // Each edge sits 30 × 4/7 m above the line from the other edge to the far end
+        const subEdge = 30 * 4 / 7;
+
+        it('Deygout: principal edge plus the sub-edge behind it', () => {
+            expect(loss('deygout').edges).toHaveLength(2);
+            expect(loss('deygout').total).toBeCloseTo(J(nu(30, 3, 7)) + J(nu(subEdge, 4, 3)), 6);
+        });
+
+        it('Epstein-Peterson: each edge against its neighbours', () => {
+            expect(loss('epsteinPeterson').edges).toHaveLength(2);
+            expect(loss('epsteinPeterson').total).toBeCloseTo(J(nu(subEdge, 3, 4)) + J(nu(subEdge, 4, 3)), 6);
+        });
+
+        it('Bullington: one equivalent edge where the horizon rays cross', () => {
+            const result = loss('bullington');
+            expect(result.edges).toHaveLength(1);
+            expect(result.edges[0].distance).toBeCloseTo(5, 6);
+            expect(result.edges[0].height).toBeCloseTo(50, 6);
+            expect(result.total).toBeCloseTo(J(nu(50, 5, 5)), 6);
+        });
+
+        it('orders the methods Bullington < Epstein-Peterson < Deygout', () => {
+            // Bullington underestimates and Deygout overestimates two similar edges
+            expect(loss('bullington').total).toBeLessThan(loss('epsteinPeterson').total);
+            expect(loss('epsteinPeterson').total).toBeLessThan(loss('deygout').total);
+        });
+    });
+});
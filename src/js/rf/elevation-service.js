@@ -1,9 +1,11 @@
 /**
  * Elevation Service for Terrain Data Retrieval
- * Supports multiple elevation APIs with fallback and caching
+ * Supports multiple elevation APIs and local DEM files, with fallback and caching
  * Author: K7CFO
  */
 
+import { demLibrary } from './dem.js';
+
 export class ElevationService {
     constructor() {
         this.cache = new Map();
@@ -28,14 +30,16 @@ export class ElevationService {
                 pointsPerRequest: 100
             },
             
-            // Backup: Manual SRTM data (for offline capability)
+            // SRTM .hgt tiles and GeoTIFF DEMs loaded by the user (see dem.js).
+            // Points outside them or on voids are fetched from Open-Meteo when
+            // online, otherwise interpolated from the surrounding DEM samples.
             manual: {
-                name: 'Manual/Offline',
-                enabled: false
+                name: 'Local DEM files'
             }
         };
         
         this.currentApi = 'openMeteo'; // Default API
+        this.demGapCounts = { online: 0, interpolated: 0, estimated: 0 }; // Points without DEM coverage, by how they were filled
         this.requestCount = 0;
         this.lastRequestReset = Date.now();
     }
@@ -46,9 +50,11 @@ export class ElevationService {
      * @param {Object} startPoint - {lat, lng}
      * @param {Object} endPoint - {lat, lng}
      * @param {number} samples - Number of elevation samples (default: 50)
-     * @returns {Promise<Array>} Array of {distance, lat, lng, elevation} points
+     * @param {AbortSignal} signal - Cancels the network requests (optional)
+     * @returns {Promise<Array>} Array of {distance, lat, lng, elevation} points;
+     *                           rejects with error.cancelled = true when aborted
      */
-    async getElevationProfile(startPoint, endPoint, samples = 50) {
+    async getElevationProfile(startPoint, endPoint, samples = 50, signal = null) {
         const cacheKey = `${startPoint.lat},${startPoint.lng}-${endPoint.lat},${endPoint.lng}-${samples}`;
         
         // Check cache first
@@ -58,37 +64,45 @@ export class ElevationService {
             return cached;
         }
 
+        // The reverse direction of a link walks the same terrain
+        const reversed = this.getCached(`${endPoint.lat},${endPoint.lng}-${startPoint.lat},${startPoint.lng}-${samples}`);
+        if (reversed) {
+            console.log('Using cached elevation profile (reversed)');
+            const totalDistance = reversed[reversed.length - 1].distance;
+            return reversed.slice().reverse().map(point => ({ ...point, distance: totalDistance - point.distance }));
+        }
+
         try {
             // Generate intermediate points along the path
             const pathPoints = this.generatePathPoints(startPoint, endPoint, samples);
             
-            // Get elevation data from API
-            let elevationData;
-            if (this.currentApi === 'openMeteo') {
-                elevationData = await this.getOpenMeteoElevation(pathPoints);
-            } else if (this.currentApi === 'openTopo') {
-                elevationData = await this.getOpenTopoElevation(pathPoints);
-            } else {
-                // Fallback to estimated elevation
-                elevationData = this.getEstimatedElevation(pathPoints);
-            }
+            // Get elevation data from the current source
+            const elevationData = await this.fetchElevations(pathPoints, signal);
             
             // Calculate distances and format results
             const profile = this.formatElevationProfile(elevationData, startPoint, endPoint);
             
-            // Cache the results
-            this.setCached(cacheKey, profile);
+            // Cache the results; estimated points are fetched again next time
+            if (!profile.some(point => point.estimated)) {
+                this.setCached(cacheKey, profile);
+            }
             
             return profile;
             
         } catch (error) {
+            // A cancelled request is not a failing source
+            if (signal?.aborted) {
+                const cancelled = new Error('Elevation request cancelled');
+                cancelled.cancelled = true;
+                throw cancelled;
+            }
             console.error('Elevation service error:', error);
             
             // Try fallback API
             if (this.currentApi === 'openMeteo') {
                 console.log('Trying OpenTopoData as fallback...');
                 this.currentApi = 'openTopo';
-                return this.getElevationProfile(startPoint, endPoint, samples);
+                return this.getElevationProfile(startPoint, endPoint, samples, signal);
             }
             
             // If all APIs fail, return estimated profile
@@ -99,6 +113,140 @@ export class ElevationService {
         }
     }
 
+    /**
+     * Get elevations for arbitrary points (e.g. a search grid)
+     * 
+     * @param {Array} points - Array of {lat, lng} points
+     * @returns {Promise<Array>} Array of {lat, lng, elevation} points
+     */
+    async getElevations(points) {
+        const cacheKey = `grid:${points.map(p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`).join(';')}`;
+        const cached = this.getCached(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const elevationData = await this.fetchElevations(points);
+
+            if (!elevationData.some(point => point.estimated)) {
+                this.setCached(cacheKey, elevationData);
+            }
+            return elevationData;
+
+        } catch (error) {
+            console.error('Elevation service error:', error);
+
+            if (this.currentApi === 'openMeteo') {
+                console.log('Trying OpenTopoData as fallback...');
+                this.currentApi = 'openTopo';
+                return this.getElevations(points);
+            }
+
+            return this.getEstimatedElevation(points);
+        }
+    }
+
+    /**
+     * Elevations from the current source
+     * 
+     * @param {Array} points - Array of {lat, lng} points
+     * @param {AbortSignal} signal - Cancels the network requests (optional)
+     * @returns {Promise<Array>} Array of {lat, lng, elevation} points
+     */
+    async fetchElevations(points, signal = null) {
+        if (this.currentApi === 'openMeteo') {
+            return this.getOpenMeteoElevation(points, signal);
+        } else if (this.currentApi === 'openTopo') {
+            return this.getOpenTopoElevation(points, signal);
+        } else if (this.currentApi === 'manual') {
+            return this.getLocalElevation(points, signal);
+        }
+        // Fallback to estimated elevation
+        return this.getEstimatedElevation(points);
+    }
+
+    /**
+     * Switch elevation source. Cached profiles came from the old source and are dropped.
+     * 
+     * @param {string} apiName - Key of this.apis
+     */
+    setApi(apiName) {
+        if (!this.apis[apiName]) {
+            throw new Error(`Unknown elevation source: ${apiName}`);
+        }
+        this.currentApi = apiName;
+        this.clearCache();
+    }
+
+    /**
+     * Identifies the terrain data results are computed from: the source, and
+     * for local files the loaded tiles
+     */
+    getSourceKey() {
+        return this.currentApi === 'manual' ? `manual:${demLibrary.getKey()}` : this.currentApi;
+    }
+
+    /**
+     * Sample a regular elevation grid over an area
+     * 
+     * @param {Object} bounds - {south, west, north, east} in degrees
+     * @param {number} rows - Grid rows (south to north)
+     * @param {number} columns - Grid columns (west to east)
+     * @returns {Promise<Object>} {bounds, rows, columns, points: [{lat, lng, elevation, row, column}]}
+     */
+    async getElevationGrid(bounds, rows, columns) {
+        const locations = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                locations.push({
+                    lat: bounds.south + (bounds.north - bounds.south) * row / (rows - 1),
+                    lng: bounds.west + (bounds.east - bounds.west) * column / (columns - 1),
+                    row: row,
+                    column: column
+                });
+            }
+        }
+
+        const elevations = await this.getElevations(locations.map(({ lat, lng }) => ({ lat, lng })));
+        return {
+            bounds: bounds,
+            rows: rows,
+            columns: columns,
+            points: locations.map((location, i) => ({ ...location, elevation: elevations[i].elevation }))
+        };
+    }
+
+    /**
+     * Elevation profile interpolated from a grid (no API requests)
+     * 
+     * @param {Object} grid - Grid from getElevationGrid
+     * @param {Object} startPoint - {lat, lng}
+     * @param {Object} endPoint - {lat, lng}
+     * @param {number} samples - Number of elevation samples
+     * @returns {Array} Array of {distance, lat, lng, elevation} points
+     */
+    getGridProfile(grid, startPoint, endPoint, samples = 50) {
+        const pathPoints = this.generatePathPoints(startPoint, endPoint, samples);
+        const elevationData = pathPoints.map(point => ({ ...point, elevation: this.interpolateGrid(grid, point) }));
+        return this.formatElevationProfile(elevationData, startPoint, endPoint);
+    }
+
+    /**
+     * Bilinear interpolation in an elevation grid (clamped at the edges)
+     */
+    interpolateGrid(grid, point) {
+        const { bounds, rows, columns } = grid;
+        const y = Math.min(rows - 1, Math.max(0, (point.lat - bounds.south) / (bounds.north - bounds.south) * (rows - 1)));
+        const x = Math.min(columns - 1, Math.max(0, (point.lng - bounds.west) / (bounds.east - bounds.west) * (columns - 1)));
+        const row = Math.min(rows - 2, Math.floor(y));
+        const column = Math.min(columns - 2, Math.floor(x));
+        const fy = y - row;
+        const fx = x - column;
+        const at = (r, c) => grid.points[r * columns + c].elevation;
+
+        return at(row, column) * (1 - fx) * (1 - fy) + at(row, column + 1) * fx * (1 - fy) +
+            at(row + 1, column) * (1 - fx) * fy + at(row + 1, column + 1) * fx * fy;
+    }
+
     /**
      * Generate intermediate points along the great circle path
      * 
@@ -160,9 +308,10 @@ export class ElevationService {
      * Get elevation data from Open-Meteo API
      * 
      * @param {Array} points - Array of {lat, lng} points
+     * @param {AbortSignal} signal - Cancels the requests (optional)
      * @returns {Promise<Array>} Array of {lat, lng, elevation} points
      */
-    async getOpenMeteoElevation(points) {
+    async getOpenMeteoElevation(points, signal = null) {
         if (!this.checkRateLimit('openMeteo')) {
             throw new Error('Rate limit exceeded for Open-Meteo');
         }
@@ -177,7 +326,7 @@ export class ElevationService {
             
             const url = `${this.apis.openMeteo.url}?latitude=${latitudes}&longitude=${longitudes}`;
             
-            const response = await fetch(url);
+            const response = await fetch(url, { signal });
             if (!response.ok) {
                 throw new Error(`Open-Meteo API error: ${response.status}`);
             }
@@ -203,9 +352,10 @@ export class ElevationService {
      * Get elevation data from OpenTopoData API
      * 
      * @param {Array} points - Array of {lat, lng} points
+     * @param {AbortSignal} signal - Cancels the requests (optional)
      * @returns {Promise<Array>} Array of {lat, lng, elevation} points
      */
-    async getOpenTopoElevation(points) {
+    async getOpenTopoElevation(points, signal = null) {
         if (!this.checkRateLimit('openTopo')) {
             throw new Error('Rate limit exceeded for OpenTopoData');
         }
@@ -219,7 +369,7 @@ export class ElevationService {
             
             const url = `${this.apis.openTopo.url}?locations=${locations}`;
             
-            const response = await fetch(url);
+            const response = await fetch(url, { signal });
             if (!response.ok) {
                 throw new Error(`OpenTopoData API error: ${response.status}`);
             }
@@ -241,11 +391,91 @@ export class ElevationService {
         return allResults;
     }
 
+    /**
+     * Get elevation data from local DEM files. Points without DEM data are
+     * fetched from Open-Meteo; offline they are interpolated between the
+     * nearest DEM samples in point order. Such points carry demGap:
+     * 'online', 'interpolated' or 'estimated' (no DEM sample at all); the
+     * offline ones are also marked estimated.
+     * 
+     * @param {Array} points - Array of {lat, lng} points
+     * @param {AbortSignal} signal - Cancels the gap requests (optional)
+     * @returns {Promise<Array>} Array of {lat, lng, elevation, demGap?, estimated?} points
+     */
+    async getLocalElevation(points, signal = null) {
+        const results = points.map(point => ({
+            lat: point.lat,
+            lng: point.lng,
+            elevation: demLibrary.getElevation(point.lat, point.lng)
+        }));
+
+        const gaps = results.filter(result => result.elevation === null);
+        if (gaps.length === 0) return results;
+
+        try {
+            const filled = await this.getOpenMeteoElevation(gaps, signal);
+            gaps.forEach((gap, i) => {
+                gap.elevation = filled[i].elevation;
+                gap.demGap = 'online';
+            });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.log(`${gaps.length} of ${points.length} points outside the local DEM and no network (${error.message}), interpolating`);
+            this.fillElevationGaps(results);
+        }
+
+        gaps.forEach(gap => this.demGapCounts[gap.demGap]++);
+        return results;
+    }
+
+    /**
+     * Fill null elevations in place: linear between the nearest valid
+     * neighbors, the nearest one past either end, or the flat estimate when
+     * there is no valid point at all
+     * 
+     * @param {Array} results - Array of {lat, lng, elevation|null} points
+     */
+    fillElevationGaps(results) {
+        const valid = [];
+        results.forEach((result, i) => {
+            if (result.elevation !== null) valid.push(i);
+        });
+
+        if (valid.length === 0) {
+            const estimated = this.getEstimatedElevation(results);
+            results.forEach((result, i) => {
+                result.elevation = estimated[i].elevation;
+                result.demGap = 'estimated';
+                result.estimated = true;
+            });
+            return;
+        }
+
+        let next = 0; // Index into valid of the first valid point after i
+        results.forEach((result, i) => {
+            while (next < valid.length && valid[next] < i) next++;
+            if (result.elevation !== null) return;
+
+            const before = next > 0 ? valid[next - 1] : null;
+            const after = next < valid.length ? valid[next] : null;
+            if (before === null) {
+                result.elevation = results[after].elevation;
+            } else if (after === null) {
+                result.elevation = results[before].elevation;
+            } else {
+                const fraction = (i - before) / (after - before);
+                result.elevation = results[before].elevation + (results[after].elevation - results[before].elevation) * fraction;
+            }
+            result.demGap = 'interpolated';
+            result.estimated = true;
+        });
+    }
+
     /**
      * Generate estimated elevation profile (fallback when APIs fail)
      * 
      * @param {Array} points - Array of {lat, lng} points
-     * @returns {Array} Array of {lat, lng, elevation} points
+     * @returns {Array} Array of {lat, lng, elevation, estimated} points
      */
     getEstimatedElevation(points) {
         console.log('Using estimated elevation (flat terrain assumed)');
@@ -253,7 +483,8 @@ export class ElevationService {
         return points.map(point => ({
             lat: point.lat,
             lng: point.lng,
-            elevation: 300 // Assume 300m average elevation
+            elevation: 300, // Assume 300m average elevation
+            estimated: true
         }));
     }
 
@@ -278,7 +509,9 @@ export class ElevationService {
                 distance: distanceFromStart, // km from start
                 lat: point.lat,
                 lng: point.lng,
-                elevation: point.elevation // meters
+                elevation: point.elevation, // meters
+                ...(point.demGap ? { demGap: point.demGap } : {}),
+                ...(point.estimated ? { estimated: true } : {})
             });
         });
         
@@ -305,6 +538,28 @@ export class ElevationService {
         return R * c;
     }
 
+    /**
+     * Point reached from a start point along a great circle
+     * 
+     * @param {Object} point - {lat, lng}
+     * @param {number} bearing - Initial bearing in degrees
+     * @param {number} distance - Distance in kilometers
+     * @returns {Object} {lat, lng}
+     */
+    calculateDestination(point, bearing, distance) {
+        const R = 6371; // Earth's radius in km
+        const delta = distance / R;
+        const theta = bearing * Math.PI / 180;
+        const lat1 = point.lat * Math.PI / 180;
+        const lng1 = point.lng * Math.PI / 180;
+        
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+        const lng2 = lng1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+            Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+        
+        return { lat: lat2 * 180 / Math.PI, lng: lng2 * 180 / Math.PI };
+    }
+
     /**
      * Batch points for API requests
      * 
@@ -383,6 +638,7 @@ export class ElevationService {
      */
     clearCache() {
         this.cache.clear();
+        this.demGapCounts = { online: 0, interpolated: 0, estimated: 0 };
         console.log('Elevation cache cleared');
     }
 
@@ -0,0 +1,169 @@
+/**
+ * Hardware Profiles
+ * Reusable radio module + antenna + feedline combinations for nodes,
+ * with coax loss interpolated at the band frequency
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+
+export class HardwareProfiles {
+    constructor() {
+        // Radio modules: maximum conducted power and receiver noise figure
+        this.radios = {
+            rak4631: { name: 'RAK4631 (SX1262)', maxPower: 0.158, noiseFigure: 6 },
+            heltecV3: { name: 'Heltec V3 (SX1262)', maxPower: 0.126, noiseFigure: 7 },
+            tbeam: { name: 'LILYGO T-Beam (SX1262)', maxPower: 0.158, noiseFigure: 6 },
+            e22: { name: 'EBYTE E22-900M30S (1 W)', maxPower: 1.0, noiseFigure: 6 }
+        };
+
+        // Omni antennas (directional patterns are set per node)
+        this.antennas = {
+            stubby: { name: 'Stubby whip', gain: 0 },
+            whip: { name: '1/4 wave whip', gain: 2.15 },
+            fiberglass58: { name: '5.8 dBi fiberglass', gain: 5.8 },
+            fiberglass8: { name: '8 dBi fiberglass', gain: 8 }
+        };
+
+        // Coax attenuation in dB per metre by frequency in MHz (manufacturer datasheets)
+        this.cables = {
+            none: { name: 'Direct (no feedline)', loss: { 450: 0, 900: 0 } },
+            rg316: { name: 'RG-316', loss: { 450: 0.58, 900: 0.85 } },
+            rg58: { name: 'RG-58', loss: { 450: 0.31, 900: 0.47 } },
+            lmr195: { name: 'LMR-195', loss: { 450: 0.200, 900: 0.292 } },
+            lmr240: { name: 'LMR-240', loss: { 450: 0.144, 900: 0.207 } },
+            lmr400: { name: 'LMR-400', loss: { 450: 0.089, 900: 0.128 } },
+            lmr600: { name: 'LMR-600', loss: { 450: 0.058, 900: 0.083 } }
+        };
+
+        this.connectorLoss = 0.25; // dB per connector pair (N / SMA)
+
+        // Profiles: {id, name, radio, antenna, cable, cableLength (m), connectors, custom}
+        this.profiles = new Map();
+        [
+            { id: 'rak-fiberglass-lmr400', name: 'RAK4631 + 5.8 dBi fiberglass + 10 m LMR-400', radio: 'rak4631', antenna: 'fiberglass58', cable: 'lmr400', cableLength: 10, connectors: 2 },
+            { id: 'e22-fiberglass-lmr400', name: 'E22 1 W + 8 dBi fiberglass + 15 m LMR-400', radio: 'e22', antenna: 'fiberglass8', cable: 'lmr400', cableLength: 15, connectors: 2 },
+            { id: 'heltec-handheld', name: 'Heltec V3 handheld + stubby', radio: 'heltecV3', antenna: 'stubby', cable: 'none', cableLength: 0, connectors: 1 },
+            { id: 'tbeam-whip', name: 'T-Beam + 1/4 wave whip', radio: 'tbeam', antenna: 'whip', cable: 'none', cableLength: 0, connectors: 1 }
+        ].forEach(profile => this.profiles.set(profile.id, { ...profile, custom: false }));
+    }
+
+    /**
+     * Get a profile by id
+     */
+    getProfile(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    /**
+     * Resolve a profile into link budget values at a frequency
+     *
+     * @param {string} id - Profile id
+     * @param {number} frequency - Frequency in Hz
+     * @returns {Object|null} {maxPower, noiseFigure, antennaGain, cableLoss, connectorLoss}
+     */
+    resolve(id, frequency = rfUtils.frequency) {
+        const profile = this.getProfile(id);
+        if (!profile) return null;
+
+        const radio = this.radios[profile.radio];
+        const antenna = this.antennas[profile.antenna];
+
+        return {
+            maxPower: radio.maxPower,
+            noiseFigure: radio.noiseFigure,
+            antennaGain: antenna.gain,
+            cableLoss: this.getCableLoss(profile.cable, profile.cableLength, frequency),
+            connectorLoss: profile.connectors * this.connectorLoss
+        };
+    }
+
+    /**
+     * Feedline loss, interpolated linearly in log-frequency between table entries
+     * (extrapolated with the nearest segment outside the table)
+     *
+     * @param {string} cableId - Cable type
+     * @param {number} length - Length in metres
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Loss in dB
+     */
+    getCableLoss(cableId, length, frequency = rfUtils.frequency) {
+        const cable = this.cables[cableId];
+        if (!cable || length <= 0) return 0;
+
+        const points = Object.entries(cable.loss)
+            .map(([mhz, loss]) => [Math.log10(Number(mhz)), loss])
+            .sort((a, b) => a[0] - b[0]);
+        const x = Math.log10(frequency / 1e6);
+
+        let i = points.findIndex(point => point[0] >= x);
+        if (i === -1) i = points.length - 1;
+        if (i === 0) i = 1;
+
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        const lossPerMetre = Math.max(0, y0 + (y1 - y0) * (x - x0) / (x1 - x0));
+
+        return lossPerMetre * length;
+    }
+
+    /**
+     * Add or replace a user-defined profile
+     *
+     * @param {Object} profile - {name, radio, antenna, cable, cableLength, connectors}
+     * @returns {Object} Stored profile
+     */
+    addProfile(profile, id = `profile_${Date.now()}`) {
+        if (!this.radios[profile.radio] || !this.antennas[profile.antenna] || !this.cables[profile.cable]) {
+            throw new Error(`Unknown hardware in profile: ${profile.name}`);
+        }
+
+        const stored = {
+            id: id,
+            name: profile.name,
+            radio: profile.radio,
+            antenna: profile.antenna,
+            cable: profile.cable,
+            cableLength: Math.max(0, profile.cableLength || 0),
+            connectors: Math.max(0, profile.connectors ?? 2),
+            custom: true
+        };
+        this.profiles.set(id, stored);
+        return stored;
+    }
+
+    /**
+     * User-defined profiles for persistence
+     */
+    getCustomProfiles() {
+        return Array.from(this.profiles.values()).filter(profile => profile.custom);
+    }
+
+    /**
+     * Restore persisted profiles
+     */
+    loadCustomProfiles(profiles = []) {
+        profiles.forEach(profile => {
+            try {
+                this.addProfile(profile, profile.id);
+            } catch (error) {
+                console.error('Skipping hardware profile:', error);
+            }
+        });
+    }
+
+    /**
+     * One-line description of a resolved profile
+     */
+    describe(id, frequency = rfUtils.frequency) {
+        const profile = this.getProfile(id);
+        if (!profile) return '';
+
+        const chain = this.resolve(id, frequency);
+        return `${profile.name}: ${chain.maxPower} W max, NF ${chain.noiseFigure} dB, ` +
+            `${chain.antennaGain} dBi, feedline ${(chain.cableLoss + chain.connectorLoss).toFixed(1)} dB`;
+    }
+}
+
+// Create singleton instance
+export const hardwareProfiles = new HardwareProfiles();
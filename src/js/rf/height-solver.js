@@ -0,0 +1,93 @@
+/**
+ * Antenna Height Solver
+ * Minimum TX/RX antenna height pairs that give a path the required Fresnel
+ * zone clearance, checked against the elevation profile
+ * Author: K7CFO
+ */
+
+import { rfUtils } from './rf-utils.js';
+
+export class AntennaHeightSolver {
+    constructor() {
+        this.minHeight = 1;   // meters above ground
+        this.maxHeight = 60;  // meters (tall tower)
+        this.resolution = 0.5; // meters
+        this.curveStep = 1;   // meters of TX height between curve points
+    }
+
+    /**
+     * Solve the height trade-off for one path
+     *
+     * @param {Array} profile - Elevation profile {distance (km), elevation (m)} from TX to RX
+     * @param {number} distance - Path length in km
+     * @param {Object} options - {txHeight, rxHeight (current, m AGL), kFactor}
+     * @returns {Object|null} {requiredClearance, clear, current, raiseTx, raiseRx, balanced, curve, maxHeight};
+     *                        null without a usable profile
+     */
+    solve(profile, distance, options = {}) {
+        if (!profile || profile.length < 3) return null;
+
+        const kFactor = options.kFactor ?? rfUtils.kFactor;
+        const current = { txHeight: options.txHeight, rxHeight: options.rxHeight };
+        const isClear = (txHeight, rxHeight) =>
+            rfUtils.analyzeFresnelClearance(profile, txHeight, rxHeight, distance, kFactor).hasAdequateClearance;
+
+        // Raising either end only lifts the line of sight, so clearance is
+        // monotonic in each height and a bisection finds the minimum
+        const minRx = (txHeight) => this.findMinimum(height => isClear(txHeight, height));
+        const minTx = (rxHeight) => this.findMinimum(height => isClear(height, rxHeight));
+
+        // Trade-off curve: lowest RX height for each TX height, dominated points dropped
+        const curve = [];
+        for (let txHeight = this.minHeight; txHeight <= this.maxHeight; txHeight += this.curveStep) {
+            const rxHeight = minRx(txHeight);
+            if (rxHeight === null) continue;
+            if (curve.length === 0 || rxHeight < curve[curve.length - 1].rxHeight) {
+                curve.push({ txHeight: txHeight, rxHeight: rxHeight });
+            }
+            if (rxHeight <= this.minHeight) break;
+        }
+
+        const balanced = curve.reduce((best, point) =>
+            !best || point.txHeight + point.rxHeight < best.txHeight + best.rxHeight ? point : best, null);
+
+        return {
+            requiredClearance: rfUtils.getRequiredFresnelClearance(distance),
+            clear: isClear(current.txHeight, current.rxHeight),
+            current: current,
+            // One end raised, the other left as it is
+            raiseTx: minTx(current.rxHeight),
+            raiseRx: minRx(current.txHeight),
+            balanced: balanced,
+            curve: curve,
+            maxHeight: this.maxHeight
+        };
+    }
+
+    /**
+     * Lowest height on the solver grid that passes a monotonic check
+     *
+     * @param {Function} passes - height → boolean
+     * @returns {number|null} Height in meters, null if even the maximum fails
+     */
+    findMinimum(passes) {
+        if (!passes(this.maxHeight)) return null;
+        if (passes(this.minHeight)) return this.minHeight;
+
+        let low = 0;
+        let high = Math.ceil((this.maxHeight - this.minHeight) / this.resolution);
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (passes(this.minHeight + mid * this.resolution)) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        return Math.min(this.maxHeight, this.minHeight + high * this.resolution);
+    }
+}
+
+// Create singleton instance
+export const antennaHeightSolver = new AntennaHeightSolver();
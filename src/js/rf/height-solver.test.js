@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { antennaHeightSolver } from './height-solver.js';
+import { rfUtils } from './rf-utils.js';
+
+function flatProfile(distance) {
+    return Array.from({ length: distance + 1 }, (_, i) => ({ distance: i, elevation: 0 }));
+}
+
+describe('AntennaHeightSolver', () => {
+    it('needs taller masts over the Earth bulge at k=2/3 than at k=4/3', () => {
+        const profile = flatProfile(20);
+        const standard = antennaHeightSolver.solve(profile, 20, { txHeight: 10, rxHeight: 10, kFactor: 4 / 3 });
+        const worstCase = antennaHeightSolver.solve(profile, 20, { txHeight: 10, rxHeight: 10, kFactor: 2 / 3 });
+
+        expect(standard.clear).toBe(false);
+        expect(worstCase.balanced.txHeight + worstCase.balanced.rxHeight)
+            .toBeGreaterThan(standard.balanced.txHeight + standard.balanced.rxHeight);
+    });
+
+    it('returns the lowest height on its grid that clears the path', () => {
+        const profile = flatProfile(20);
+        const solution = antennaHeightSolver.solve(profile, 20, { txHeight: 40, rxHeight: 10 });
+        const isClear = (txHeight, rxHeight) =>
+            rfUtils.analyzeFresnelClearance(profile, txHeight, rxHeight, 20).hasAdequateClearance;
+
+        expect(isClear(40, solution.raiseRx)).toBe(true);
+        expect(isClear(40, solution.raiseRx - antennaHeightSolver.resolution)).toBe(false);
+        // 80% of a 40.5 m zone plus a 5.9 m bulge at midpoint: at least 38 m between the ends
+        expect(solution.balanced.txHeight + solution.balanced.rxHeight).toBeGreaterThanOrEqual(2 * 38);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Co-channel Interference and SINR Analysis
+ * Worst case with every other planned node transmitting at once,
+ * LoRa SF cross-rejection and co-SF capture thresholds
+ * Author: K7CFO
+ */
+
+export class InterferenceAnalyzer {
+    constructor() {
+        // Minimum SIR (dB) for the desired SF (rows) against an interferer SF
+        // (columns), SF7..SF12. Diagonal = co-SF capture threshold; off-diagonal
+        // = cross-SF rejection (Goursaud & Gorce 2015)
+        this.sirThresholds = [
+            [6, -8, -9, -9, -9, -9],
+            [-11, 6, -11, -12, -13, -13],
+            [-15, -13, 6, -13, -14, -15],
+            [-19, -18, -17, 6, -17, -18],
+            [-22, -22, -21, -20, 6, -20],
+            [-25, -25, -25, -24, -23, 6]
+        ];
+        
+        // Transmitters without a computed link that would arrive this far
+        // below the noise floor (dB) are left out
+        this.negligibleLevel = 20;
+    }
+
+    /**
+     * Analyze every directed link against all other transmitters on the channel
+     *
+     * @param {Array} links - Directed links {from, to, rxSignal (dBm), spreadingFactor ('SF7'..'SF12'),
+     *                        bandwidth (Hz), noiseFloor (dBm), requiredSnr (dB), isViable}
+     * @param {Array} estimates - Received powers for node pairs without a computed link (pruned by range,
+     *                            or still being computed): {from, to, rxSignal (dBm), bandwidth (Hz),
+     *                            spreadingFactor (null if the node picks its SF per link)}
+     * @returns {Map} `${from}>${to}` → {sinr, sinrMargin, worstMargin, limitedBy, interferers, fails}
+     */
+    analyze(links, estimates = []) {
+        const byReceiver = new Map();
+        [...links, ...estimates.map(estimate => ({ ...estimate, estimated: true }))].forEach(path => {
+            if (!byReceiver.has(path.to)) byReceiver.set(path.to, []);
+            byReceiver.get(path.to).push(path);
+        });
+
+        const nodeSpreadingFactors = this.getNodeSpreadingFactors(links);
+        const results = new Map();
+
+        links.forEach(link => {
+            // Everything else the receiver hears on the same channel width. A node
+            // without a viable link of its own is assumed on the link's SF (worst case)
+            const interferers = (byReceiver.get(link.to) || [])
+                .filter(other => other.from !== link.from && other.bandwidth === link.bandwidth)
+                .map(other => ({
+                    from: other.from,
+                    power: other.rxSignal,
+                    spreadingFactor: nodeSpreadingFactors.get(other.from) || other.spreadingFactor || link.spreadingFactor,
+                    estimated: Boolean(other.estimated)
+                }));
+
+            results.set(`${link.from}>${link.to}`, this.analyzeLink(link, interferers));
+        });
+
+        return results;
+    }
+
+    /**
+     * SINR and per-SF SIR margins for one link
+     *
+     * @param {Object} link - Directed link
+     * @param {Array} interferers - {from, power (dBm), spreadingFactor}
+     * @returns {Object} Interference result
+     */
+    analyzeLink(link, interferers) {
+        const desiredSf = this.sfIndex(link.spreadingFactor);
+        const noise = this.dbmToMw(link.noiseFloor);
+
+        // Interference power grouped by interferer SF
+        const groups = new Map();
+        let totalInterference = 0;
+        interferers.forEach(interferer => {
+            const power = this.dbmToMw(interferer.power);
+            const sf = this.sfIndex(interferer.spreadingFactor);
+            groups.set(sf, (groups.get(sf) || 0) + power);
+            totalInterference += power;
+        });
+
+        const sinr = link.rxSignal - this.mwToDbm(noise + totalInterference);
+
+        // Co-SF interference also raises the demodulation floor
+        const coSfPower = groups.get(desiredSf) || 0;
+        const sinrMargin = link.rxSignal - this.mwToDbm(noise + coSfPower) - link.requiredSnr;
+
+        // Each SF group must sit below its capture / rejection threshold
+        let worstMargin = sinrMargin;
+        let limitedBy = 'noise';
+        groups.forEach((power, sf) => {
+            const margin = link.rxSignal - this.mwToDbm(power) - this.sirThresholds[desiredSf][sf];
+            if (margin < worstMargin) {
+                worstMargin = margin;
+                limitedBy = `SF${sf + 7}${sf === desiredSf ? ' co-channel' : ' cross-SF'}`;
+            }
+        });
+
+        return {
+            sinr: sinr,
+            sinrMargin: sinrMargin,
+            worstMargin: worstMargin,
+            limitedBy: limitedBy,
+            interferers: interferers.slice().sort((a, b) => b.power - a.power),
+            // Only links that work alone can be broken by interference
+            fails: link.isViable && worstMargin < 0
+        };
+    }
+
+    /**
+     * SF each node transmits with: the slowest SF it needs for its viable links
+     */
+    getNodeSpreadingFactors(links) {
+        const result = new Map();
+        links.forEach(link => {
+            if (!link.isViable) return;
+            const current = result.get(link.from);
+            if (!current || this.sfIndex(link.spreadingFactor) > this.sfIndex(current)) {
+                result.set(link.from, link.spreadingFactor);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 'SF7'..'SF12' → 0..5
+     */
+    sfIndex(spreadingFactor) {
+        const sf = parseInt(String(spreadingFactor).replace(/^SF/i, ''), 10);
+        return Math.min(5, Math.max(0, sf - 7));
+    }
+
+    dbmToMw(dbm) {
+        return Math.pow(10, dbm / 10);
+    }
+
+    mwToDbm(mw) {
+        return 10 * Math.log10(mw);
+    }
+}
+
+// Create singleton instance
+export const interferenceAnalyzer = new InterferenceAnalyzer();
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { interferenceAnalyzer } from './interference.js';
+
+const link = (from, to, rxSignal) => ({
+    from, to, rxSignal,
+    spreadingFactor: 'SF11',
+    bandwidth: 250e3,
+    noiseFloor: -116,
+    requiredSnr: -17.5,
+    isViable: true
+});
+
+describe('InterferenceAnalyzer', () => {
+    it('passes a link that is alone on the channel', () => {
+        const results = interferenceAnalyzer.analyze([link('a', 'b', -100)]);
+        expect(results.get('a>b').fails).toBe(false);
+        expect(results.get('a>b').interferers).toHaveLength(0);
+    });
+
+    it('counts transmitters without a computed link to the receiver', () => {
+        // c was pruned or is still being computed, but lands 3 dB under the wanted signal
+        const estimate = { from: 'c', to: 'b', rxSignal: -103, bandwidth: 250e3, spreadingFactor: null };
+        const result = interferenceAnalyzer.analyze([link('a', 'b', -100)], [estimate]).get('a>b');
+
+        expect(result.interferers).toEqual([{ from: 'c', power: -103, spreadingFactor: 'SF11', estimated: true }]);
+        expect(result.limitedBy).toBe('SF11 co-channel');
+        expect(result.fails).toBe(true);
+    });
+
+    it('ignores estimates on another channel width or for another receiver', () => {
+        const estimates = [
+            { from: 'c', to: 'b', rxSignal: -90, bandwidth: 125e3, spreadingFactor: 'SF11' },
+            { from: 'c', to: 'd', rxSignal: -90, bandwidth: 250e3, spreadingFactor: 'SF11' }
+        ];
+        const result = interferenceAnalyzer.analyze([link('a', 'b', -100)], estimates).get('a>b');
+
+        expect(result.interferers).toHaveLength(0);
+        expect(result.fails).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { longleyRice } from './itm.js';
+
+const frequencyMHz = 915;
+
+/**
+ * Sea-level profile of `distance` km in 100 intervals, with optional point overrides
+ */
+function flatProfile(distance, elevations = {}) {
+    return Array.from({ length: 101 }, (_, i) => ({ distance: distance * i / 100, elevation: elevations[i] || 0 }));
+}
+
+/**
+ * ITU-R P.526 single knife-edge loss J(ν), valid for ν > -0.78
+ */
+function knifeEdgeLoss(nu) {
+    return 6.9 + 20 * Math.log10(Math.sqrt(Math.pow(nu - 0.1, 2) + 1) + nu - 0.1);
+}
+
+describe('LongleyRiceModel', () => {
+    it('quotes free-space loss for the path', () => {
+        const result = longleyRice.pointToPoint(flatProfile(10), 10, 10, frequencyMHz);
+        expect(result.freeSpace).toBeCloseTo(32.45 + 20 * Math.log10(frequencyMHz) + 20 * Math.log10(10), 6);
+    });
+
+    it('agrees with the plane-earth two-ray loss on flat line-of-sight paths', () => {
+        // 10 m antennas: past the two-ray breakpoint (3.8 km), inside the radio horizon (26 km)
+        [5, 10].forEach(distance => {
+            const result = longleyRice.pointToPoint(flatProfile(distance), 10, 10, frequencyMHz);
+            const planeEarth = 40 * Math.log10(distance * 1000) - 20 * Math.log10(10 * 10);
+
+            expect(result.mode).toBe('Line-of-Sight');
+            expect(Math.abs(result.loss - planeEarth)).toBeLessThan(0.5);
+        });
+    });
+
+    it('uses the P.526 knife-edge loss for each horizon', () => {
+        // aknfe takes ν²
+        [0, 0.5, 1, 2, 3, 5, 10].forEach(nu => {
+            expect(Math.abs(longleyRice.aknfe(nu * nu) - knifeEdgeLoss(nu))).toBeLessThan(0.2);
+        });
+    });
+
+    it('loses at least the knife-edge loss over an isolated ridge', () => {
+        // 20 km, 10 m antennas, ridge at midpoint
+        const wavelength = 299.792458 / frequencyMHz;
+        let previous = 0;
+        [50, 100, 200].forEach(height => {
+            const result = longleyRice.pointToPoint(flatProfile(20, { 50: height }), 10, 10, frequencyMHz);
+            const nu = (height - 10) * Math.sqrt(2 / wavelength * (2 / 10000));
+
+            expect(result.mode).toBe('Single Horizon, Diffraction Dominant');
+            expect(result.excess).toBeGreaterThan(knifeEdgeLoss(nu));
+            expect(result.excess).toBeGreaterThan(previous);
+            previous = result.excess;
+        });
+    });
+
+    it('follows the k-factor for the effective Earth curvature', () => {
+        // Beyond the 26 km horizon of two 10 m antennas
+        const profile = flatProfile(30);
+        const loss = (options) => longleyRice.pointToPoint(profile, 10, 10, frequencyMHz, options).loss;
+
+        // Ns = 301 at sea level is k = 4/3
+        expect(loss({ kFactor: 4 / 3 })).toBeCloseTo(loss({}), 2);
+        expect(loss({ kFactor: 2 / 3 })).toBeGreaterThan(loss({ kFactor: 4 / 3 }) + 5);
+        expect(loss({ kFactor: 2 / 3 })).toBeGreaterThan(loss({ kFactor: 1 }));
+    });
+
+    it('applies the k-factor in area mode too', () => {
+        const loss = (kFactor) => longleyRice.area(50, 10, 10, frequencyMHz, { kFactor }).loss;
+        expect(loss(2 / 3)).toBeGreaterThan(loss(4 / 3));
+    });
+});
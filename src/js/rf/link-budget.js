@@ -1,11 +1,17 @@
 /**
  * LoRa Link Budget Calculator
- * Comprehensive RF analysis for 915 MHz LoRa links
+ * Comprehensive RF analysis for LoRa links in the selected band plan
  * Author: K7CFO
  */
 
 import { rfUtils } from './rf-utils.js';
 import { elevationService } from './elevation-service.js';
+import { diffractionCalculator } from './diffraction.js';
+import { longleyRice } from './itm.js';
+import { clutterModel } from './clutter.js';
+import { availabilityModel } from './availability.js';
+import { antennaLibrary } from './antennas.js';
+import { MESHTASTIC_PRESETS, MESHTASTIC_PREAMBLE_LENGTH, getModemPreset } from './modem-presets.js';
 
 export class LinkBudgetCalculator {
     constructor() {
@@ -16,23 +22,94 @@ export class LinkBudgetCalculator {
             rxAntennaGain: 3,        // dBi (typical omni)
             txAntennaHeight: 10,     // meters above ground
             rxAntennaHeight: 10,     // meters above ground
+            txAntenna: null,         // {patternId, azimuth, tilt} (null = omni at txAntennaGain)
+            rxAntenna: null,         // {patternId, azimuth, tilt} (null = omni at rxAntennaGain)
             
             // System losses
             txCableLoss: 1.5,        // dB
             rxCableLoss: 1.5,        // dB
-            connectorLoss: 0.5,      // dB (both ends)
+            txConnectorLoss: 0.5,    // dB
+            rxConnectorLoss: 0.5,    // dB
             
             // Environmental factors
             fadeMargin: 15,          // dB (recommended for reliability)
             bodyLoss: 0,             // dB (human body near antenna)
-            foliageLoss: 0,          // dB (seasonal variation)
+            foliageLoss: 0,          // dB (additional manual foliage allowance)
+            
+            // Clutter along the path (classes from drawn polygons or land-cover raster)
+            season: 'leafOn',        // 'leafOn' or 'leafOff' (vegetation attenuation)
+            defaultClutter: 'open',  // Class used where nothing is assigned
+            
+            // Link availability statistics
+            shadowingSigma: null,    // dB (log-normal, null = from environment)
+            fastFading: 'none',      // 'none', 'rayleigh', 'rician'
+            ricianK: 6,              // dB (Rician line-of-sight to scatter ratio)
+            retries: 0,              // Retransmissions per packet
+            targetAvailability: 99,  // % packet delivery ratio for the required margin
             
             // Polarization and miscellaneous
             polarizationLoss: 0,     // dB (assume matched polarization)
             miscLoss: 1,             // dB (safety margin)
             
+            // Terrain diffraction method ('single', 'deygout', 'epsteinPeterson', 'bullington')
+            diffractionMethod: 'deygout',
+            
+            // Effective Earth radius factor (4/3 standard atmosphere, 2/3 worst case)
+            kFactor: 4 / 3,
+            
+            // Path loss model ('terrain' = FSPL + knife-edge diffraction, 'itm' = Longley-Rice,
+            // 'hata', 'cost231', 'extendedHata' = empirical)
+            propagationModel: 'terrain',
+            environment: 'suburban', // 'urban', 'suburban', 'rural' (empirical models, SF selection)
+            
+            // Longley-Rice variability (percent of time, locations and situations)
+            timeVariability: 50,
+            locationVariability: 50,
+            situationVariability: 50,
+            radioClimate: 5,         // ITM climate code (5 = continental temperate)
+            
             // Default spreading factor
-            spreadingFactor: 'SF7'   // Will be optimized automatically
+            spreadingFactor: 'SF7',  // Will be optimized automatically
+            modemPreset: null,       // Meshtastic preset id (fixes SF/BW/CR network-wide, null = automatic SF)
+            
+            // LoRa modem parameters
+            bandwidth: 125e3,        // Hz (62.5, 125, 250 or 500 kHz)
+            codingRate: 5,           // 4/5 (denominator of 4/x)
+            noiseFigure: 6,          // dB (receiver front end)
+            noiseRise: 0,            // dB (man-made noise above thermal at receiver)
+            rxBandwidth: null,       // Hz (receiver channel width, null = same as bandwidth)
+            
+            // Packet parameters
+            payloadSize: 32,         // bytes
+            preambleLength: 8,       // symbols
+            explicitHeader: true,
+            crc: true,
+            
+            // Precomputed terrain profile (e.g. from an elevation grid), null = fetch from the elevation service
+            elevationProfile: null
+        };
+        
+        // Ground reflection can add up to 6 dB over free space (two-ray model)
+        this.rangeAllowance = 6; // dB
+        
+        // Height a site may stand above the smooth earth under the path, added
+        // to both antennas for the range horizon (hilltop sites see further)
+        this.reliefAllowance = 500; // meters
+        
+        // Available path loss models
+        this.propagationModels = {
+            terrain: 'FSPL + Terrain Diffraction',
+            itm: 'Longley-Rice (ITM)',
+            hata: 'Okumura-Hata',
+            cost231: 'COST-231 Hata',
+            extendedHata: 'Extended Hata'
+        };
+        
+        // Validity ranges of the empirical models
+        this.empiricalModelLimits = {
+            hata: { minFrequency: 150, maxFrequency: 1500, minDistance: 1, maxDistance: 20 },
+            cost231: { minFrequency: 1500, maxFrequency: 2000, minDistance: 1, maxDistance: 20 },
+            extendedHata: { minFrequency: 30, maxFrequency: 3000, minDistance: 0, maxDistance: 100 }
         };
     }
 
@@ -45,14 +122,14 @@ export class LinkBudgetCalculator {
      * @returns {Promise<Object>} Complete link analysis
      */
     async calculateLinkBudget(txPoint, rxPoint, options = {}) {
-        const params = { ...this.defaultParams, ...options };
+        let params = this.applyModemPreset({ ...this.defaultParams, ...options });
         const distance = this.calculateDistance(txPoint, rxPoint);
         
         console.log(`Calculating link budget for ${distance.toFixed(2)}km path`);
         
         try {
             // Get elevation profile
-            const elevationProfile = await elevationService.getElevationProfile(
+            const elevationProfile = params.elevationProfile || await elevationService.getElevationProfile(
                 { lat: txPoint.lat, lng: txPoint.lng },
                 { lat: rxPoint.lat, lng: rxPoint.lng },
                 50 // 50 sample points
@@ -63,11 +140,16 @@ export class LinkBudgetCalculator {
                 elevationProfile,
                 params.txAntennaHeight,
                 params.rxAntennaHeight,
-                distance
+                distance,
+                params.kFactor
             );
             
+            // Antenna gains toward each other from the patterns
+            const antennas = this.calculateAntennaGains(txPoint, rxPoint, distance, elevationProfile, params);
+            params = { ...params, txAntennaGain: antennas.tx.gain, rxAntennaGain: antennas.rx.gain };
+            
             // Calculate path loss components
-            const pathLoss = this.calculatePathLoss(distance, terrainAnalysis);
+            const pathLoss = this.calculatePathLoss(distance, terrainAnalysis, params);
             
             // Calculate link budget
             const linkBudget = this.calculateLinkParameters(
@@ -80,20 +162,37 @@ export class LinkBudgetCalculator {
             // Determine optimal spreading factor
             const optimalSF = this.optimizeSpreadingFactor(linkBudget, params);
             
+            // Airtime cost of the recommended spreading factor
+            const airtime = this.calculateAirtime(optimalSF, params);
+            
+            // Fastest shared preset this link would work on
+            const presetHint = params.modemPreset ? this.recommendPreset(linkBudget, params) : null;
+            
             // Generate recommendations
             const recommendations = this.generateRecommendations(
                 linkBudget,
                 terrainAnalysis,
                 optimalSF,
-                params
+                params,
+                airtime,
+                presetHint
             );
             
             return {
                 distance: distance,
+                frequency: rfUtils.frequency,
+                region: rfUtils.bandPlan.id,
+                propagationModel: pathLoss.model,
+                environment: params.environment,
                 pathLoss: pathLoss,
+                antennas: antennas,
+                modelComparison: this.compareModels(distance, terrainAnalysis, params),
                 linkBudget: linkBudget,
                 terrainAnalysis: terrainAnalysis,
                 optimalSpreadingFactor: optimalSF,
+                modemPreset: params.modemPreset,
+                presetHint: presetHint,
+                airtime: airtime,
                 recommendations: recommendations,
                 elevationProfile: elevationProfile,
                 linkQuality: this.assessLinkQuality(linkBudget, terrainAnalysis),
@@ -103,21 +202,31 @@ export class LinkBudgetCalculator {
         } catch (error) {
             console.error('Link budget calculation error:', error);
             
-            // Fallback calculation without elevation data
-            const fallbackPathLoss = this.calculateBasicPathLoss(distance);
+            // Fallback calculation without elevation data (antennas at equal height)
+            const fallbackAntennas = this.calculateAntennaGains(txPoint, rxPoint, distance, null, params);
+            params = { ...params, txAntennaGain: fallbackAntennas.tx.gain, rxAntennaGain: fallbackAntennas.rx.gain };
+            const fallbackPathLoss = this.calculateBasicPathLoss(distance, params);
             const fallbackLinkBudget = this.calculateLinkParameters(
                 txPoint.power,
                 fallbackPathLoss,
                 params,
                 distance
             );
+            const fallbackSF = this.getLinkSpreadingFactor(distance, params);
             
             return {
                 distance: distance,
+                frequency: rfUtils.frequency,
+                region: rfUtils.bandPlan.id,
+                propagationModel: fallbackPathLoss.model,
+                environment: params.environment,
                 pathLoss: fallbackPathLoss,
+                antennas: fallbackAntennas,
                 linkBudget: fallbackLinkBudget,
                 terrainAnalysis: { error: 'Elevation data unavailable', hasObstructions: false },
-                optimalSpreadingFactor: rfUtils.getOptimalSpreadingFactor(distance),
+                optimalSpreadingFactor: fallbackSF,
+                modemPreset: params.modemPreset,
+                airtime: this.calculateAirtime(fallbackSF, params),
                 recommendations: ['Elevation data unavailable - using simplified calculations'],
                 linkQuality: this.assessLinkQuality(fallbackLinkBudget, { hasObstructions: false }),
                 fallback: true,
@@ -127,80 +236,580 @@ export class LinkBudgetCalculator {
     }
 
     /**
-     * Calculate path loss with terrain consideration
+     * Received signal and margin only, for prediction grids: the selected path
+     * loss model on a given profile, without the model comparison,
+     * availability statistics, recommendations or logging
      * 
+     * @param {Object} txPoint - {lat, lng, power} (power in watts)
+     * @param {Object} rxPoint - {lat, lng}
+     * @param {Object} options - As for calculateLinkBudget; elevationProfile is required
+     * @returns {Object} {distance, pathLoss (dB), rxSignalStrength (dBm), rxSensitivity (dBm), linkMargin (dB), isViable}
+     */
+    calculateSignalLevel(txPoint, rxPoint, options) {
+        let params = this.applyModemPreset({ ...this.defaultParams, ...options });
+        const distance = this.calculateDistance(txPoint, rxPoint);
+        const profile = params.elevationProfile;
+        
+        const terrainAnalysis = this.analyzeTerrainPath(profile, params.txAntennaHeight, params.rxAntennaHeight, distance, params.kFactor);
+        const antennas = this.calculateAntennaGains(txPoint, rxPoint, distance, profile, params);
+        params = { ...params, txAntennaGain: antennas.tx.gain, rxAntennaGain: antennas.rx.gain };
+        const pathLoss = this.calculatePathLoss(distance, terrainAnalysis, params);
+        
+        const { rxSignalStrength } = this.calculateReceivedPower(txPoint.power, pathLoss.total, params);
+        const rxSensitivity = rfUtils.calculateSensitivity(this.getLinkSpreadingFactor(distance, params), params.bandwidth, params.noiseFigure);
+        const linkMargin = rxSignalStrength - rxSensitivity - params.fadeMargin;
+        const bandwidthMismatch = params.rxBandwidth !== null && params.rxBandwidth !== params.bandwidth;
+        
+        return {
+            distance: distance,
+            pathLoss: pathLoss.total,
+            rxSignalStrength: rxSignalStrength,
+            rxSensitivity: rxSensitivity,
+            linkMargin: linkMargin,
+            isViable: linkMargin > 0 && !bandwidthMismatch
+        };
+    }
+
+    /**
+     * Apply the selected Meshtastic preset: every node shares its bandwidth,
+     * coding rate and preamble, so per-node channel widths no longer apply
+     *
+     * @param {Object} params - System parameters
+     * @returns {Object} Parameters with the preset applied
+     */
+    applyModemPreset(params) {
+        const preset = getModemPreset(params.modemPreset);
+        if (!preset) return { ...params, modemPreset: null };
+        
+        return {
+            ...params,
+            bandwidth: preset.bandwidth,
+            codingRate: preset.codingRate,
+            preambleLength: MESHTASTIC_PREAMBLE_LENGTH,
+            rxBandwidth: null
+        };
+    }
+
+    /**
+     * Range terms of one node, for pruning pairs that cannot work.
+     * A link a → b can only close if
+     *   transmit(a) + receive(b) >= calculateMinimumPathLoss(d, ...)
+     * since no propagation model loses less than free space plus smooth-earth
+     * diffraction (less the ground reflection allowance). The same bound caps
+     * the power a node can put into another node's receiver:
+     *   transmit(a) + rxGain(b) - calculateMinimumPathLoss(d, ...)
+     *
+     * @param {number} txPowerWatts - Transmit power
+     * @param {Object} options - The node's own chain as both ends (tx and rx options of the same node)
+     * @returns {Object} {transmit: peak EIRP (dBm), receive: peak gain - losses - best sensitivity - fade margin (dB),
+     *                    rxGain: peak gain - losses (dB), height: antenna height (m),
+     *                    bandwidth (Hz), spreadingFactor: fixed by the preset, otherwise null}
+     */
+    calculateRangeTerms(txPowerWatts, options = {}) {
+        const params = this.applyModemPreset({ ...this.defaultParams, ...options });
+        const peakGain = (antenna, gain) => {
+            const pattern = antenna ? antennaLibrary.getPattern(antenna.patternId) : null;
+            return pattern ? pattern.gain : gain;
+        };
+        
+        // Slowest spreading factor the settings allow
+        const preset = getModemPreset(params.modemPreset);
+        const sensitivity = rfUtils.calculateSensitivity(preset ? preset.spreadingFactor : 'SF12', params.bandwidth, params.noiseFigure);
+        const rxGain = peakGain(params.rxAntenna, params.rxAntennaGain) - params.rxCableLoss - params.rxConnectorLoss;
+        
+        return {
+            transmit: rfUtils.wattsToDbm(txPowerWatts) + peakGain(params.txAntenna, params.txAntennaGain) -
+                params.txCableLoss - params.txConnectorLoss,
+            receive: rxGain - sensitivity - params.fadeMargin,
+            rxGain: rxGain,
+            height: params.txAntennaHeight,
+            bandwidth: params.bandwidth,
+            spreadingFactor: preset ? preset.spreadingFactor : null
+        };
+    }
+
+    /**
+     * Lowest path loss any model could give a pair: free space, plus the
+     * smooth-earth diffraction loss beyond the radio horizon of the two
+     * antennas raised by the relief allowance, less the ground reflection allowance
+     *
+     * @param {number} distance - Distance in km
+     * @param {number} h1 - Antenna height of one end (m above ground)
+     * @param {number} h2 - Antenna height of the other end (m above ground)
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {number} Path loss in dB
+     */
+    calculateMinimumPathLoss(distance, h1, h2, kFactor = rfUtils.kFactor) {
+        return rfUtils.calculateFSPL(distance) - this.rangeAllowance +
+            rfUtils.calculateSphericalEarthLoss(distance, h1 + this.reliefAllowance, h2 + this.reliefAllowance, kFactor);
+    }
+
+    /**
+     * Longest distance a link with the given budget could close over
+     * (see calculateRangeTerms)
+     *
+     * @param {number} budget - transmit(a) + receive(b) in dB
+     * @param {number} h1 - Antenna height of one end (m)
+     * @param {number} h2 - Antenna height of the other end (m)
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {number} Distance in km
+     */
+    calculateMaxRange(budget, h1, h2, kFactor = rfUtils.kFactor) {
+        // The minimum loss only grows with distance: bisect below the free-space range
+        let low = 0;
+        let high = rfUtils.calculateFreeSpaceRange(budget + this.rangeAllowance);
+        while (high - low > 0.1) {
+            const mid = (low + high) / 2;
+            if (this.calculateMinimumPathLoss(mid, h1, h2, kFactor) <= budget) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return high;
+    }
+
+    /**
+     * Spreading factor a link runs at: fixed by the preset, otherwise chosen by distance
+     *
+     * @param {number} distance - Distance in km
+     * @param {Object} params - System parameters
+     * @returns {string} Spreading factor (SF7-SF12)
+     */
+    getLinkSpreadingFactor(distance, params) {
+        const preset = getModemPreset(params.modemPreset);
+        return preset ? preset.spreadingFactor : rfUtils.getOptimalSpreadingFactor(distance, params.environment);
+    }
+
+    /**
+     * Fastest preset on which the link closes with the planning fade margin
+     * (presets wider than the band plan's channels are skipped)
+     *
+     * @param {Object} linkBudget - Link budget analysis
+     * @param {Object} params - System parameters
+     * @returns {Object|null} {id, name, linkMargin} or null if no preset works
+     */
+    recommendPreset(linkBudget, params) {
+        const maxWidth = Math.max(...rfUtils.bandPlan.channelWidths);
+        
+        for (const preset of Object.values(MESHTASTIC_PRESETS)) {
+            if (preset.bandwidth > maxWidth) continue;
+            
+            const sensitivity = rfUtils.calculateSensitivity(preset.spreadingFactor, preset.bandwidth, params.noiseFigure);
+            const noiseFloor = rfUtils.calculateNoiseFloor(preset.bandwidth, params.noiseFigure) + params.noiseRise;
+            const requiredSnr = rfUtils.loraParams.demodulationSnr[preset.spreadingFactor];
+            const linkMargin = Math.min(
+                linkBudget.rxSignalStrength - sensitivity,
+                linkBudget.rxSignalStrength - noiseFloor - requiredSnr
+            ) - params.fadeMargin;
+            
+            if (linkMargin > 0) {
+                return { id: preset.id, name: preset.name, linkMargin: linkMargin };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Antenna gain at each end toward the other, from the bearing and the
+     * elevation angle between the antennas. Ends without a pattern keep their
+     * omni gain.
+     *
+     * @param {Object} txPoint - {lat, lng}
+     * @param {Object} rxPoint - {lat, lng}
+     * @param {number} distance - Distance in km
+     * @param {Array|null} elevationProfile - Profile for ground heights (null = equal heights)
+     * @param {Object} params - System parameters
+     * @returns {Object} {tx: {gain, bearing, elevation, pattern}, rx: {...}}
+     */
+    calculateAntennaGains(txPoint, rxPoint, distance, elevationProfile, params = this.defaultParams) {
+        const txGround = elevationProfile ? elevationProfile[0].elevation : 0;
+        const rxGround = elevationProfile ? elevationProfile[elevationProfile.length - 1].elevation : 0;
+        const txHeight = txGround + params.txAntennaHeight;
+        const rxHeight = rxGround + params.rxAntennaHeight;
+        
+        const end = (antenna, omniGain, from, to, fromHeight, toHeight) => {
+            const bearing = antennaLibrary.calculateBearing(from, to);
+            const elevation = antennaLibrary.calculateElevationAngle(fromHeight, toHeight, distance, params.kFactor);
+            const patternGain = antennaLibrary.getGain(antenna, bearing, elevation);
+            return {
+                gain: patternGain ?? omniGain,
+                bearing: bearing,
+                elevation: elevation,
+                pattern: patternGain === null ? null : antennaLibrary.getPattern(antenna.patternId).name
+            };
+        };
+        
+        return {
+            tx: end(params.txAntenna, params.txAntennaGain, txPoint, rxPoint, txHeight, rxHeight),
+            rx: end(params.rxAntenna, params.rxAntennaGain, rxPoint, txPoint, rxHeight, txHeight)
+        };
+    }
+
+    /**
+     * Calculate path loss using the selected propagation model
+     *
      * @param {number} distance - Distance in km
      * @param {Object} terrainAnalysis - Terrain analysis results
+     * @param {Object} params - System parameters
+     * @returns {Object} Path loss breakdown (model records which model produced it)
+     */
+    calculatePathLoss(distance, terrainAnalysis, params = this.defaultParams) {
+        switch (params.propagationModel) {
+            case 'itm':
+                return this.calculateItmPathLoss(distance, terrainAnalysis, params);
+            case 'hata':
+            case 'cost231':
+            case 'extendedHata':
+                return this.calculateEmpiricalPathLoss(distance, terrainAnalysis.smoothEarthHeights, params);
+            default:
+                return this.calculateTerrainPathLoss(distance, terrainAnalysis, params);
+        }
+    }
+
+    /**
+     * Compare all propagation models on the same path
+     *
+     * @param {number} distance - Distance in km
+     * @param {Object} terrainAnalysis - Terrain analysis results
+     * @param {Object} params - System parameters
+     * @returns {Array} Array of {model, name, total}
+     */
+    compareModels(distance, terrainAnalysis, params = this.defaultParams) {
+        return Object.keys(this.propagationModels).map(model => {
+            const pathLoss = this.calculatePathLoss(distance, terrainAnalysis, { ...params, propagationModel: model });
+
+            return {
+                model: model,
+                name: this.propagationModels[model],
+                total: pathLoss.total
+            };
+        });
+    }
+
+    /**
+     * Empirical (Hata family) path loss for the configured environment
+     * The higher antenna is treated as the base station
+     *
+     * @param {number} distance - Distance in km
+     * @param {Object} heights - {tx, rx} effective antenna heights (meters)
+     * @param {Object} params - System parameters
      * @returns {Object} Path loss breakdown
      */
-    calculatePathLoss(distance, terrainAnalysis) {
+    calculateEmpiricalPathLoss(distance, heights, params = this.defaultParams) {
+        const model = params.propagationModel;
+        const baseHeight = Math.max(heights.tx, heights.rx);
+        const mobileHeight = Math.min(heights.tx, heights.rx);
+        const fspl = rfUtils.calculateFSPL(distance);
+
+        let loss;
+        switch (model) {
+            case 'cost231':
+                loss = rfUtils.calculateCost231HataLoss(distance, baseHeight, mobileHeight, params.environment);
+                break;
+            case 'extendedHata':
+                loss = rfUtils.calculateExtendedHataLoss(distance, baseHeight, mobileHeight, params.environment);
+                break;
+            default:
+                loss = rfUtils.calculateHataLoss(distance, baseHeight, mobileHeight, params.environment);
+                break;
+        }
+
+        // Empirical models never predict less than free space
+        const total = Math.max(loss, fspl);
+        const warnings = this.checkEmpiricalValidity(model, distance, baseHeight, mobileHeight);
+
+        const breakdown = {
+            'Free Space Path Loss': fspl.toFixed(1) + ' dB',
+            [`${this.propagationModels[model]} Excess Loss (${params.environment})`]: (total - fspl).toFixed(1) + ' dB',
+            '  Antenna Heights': `${baseHeight.toFixed(0)} m / ${mobileHeight.toFixed(0)} m`
+        };
+        warnings.forEach((warning, i) => {
+            breakdown[`  Validity Warning ${i + 1}`] = warning;
+        });
+        breakdown['Total Path Loss'] = total.toFixed(1) + ' dB';
+
+        return {
+            model: model,
+            environment: params.environment,
+            freeSpace: fspl,
+            diffraction: 0,
+            terrain: 0,
+            foliage: 0,
+            total: total,
+            warnings: warnings,
+            breakdown: breakdown
+        };
+    }
+
+    /**
+     * Check a path against the empirical model's validity range
+     *
+     * @param {string} model - Empirical model key
+     * @param {number} distance - Distance in km
+     * @param {number} baseHeight - Higher antenna height (meters)
+     * @param {number} mobileHeight - Lower antenna height (meters)
+     * @returns {Array} Warning strings (empty if within range)
+     */
+    checkEmpiricalValidity(model, distance, baseHeight, mobileHeight) {
+        const limits = this.empiricalModelLimits[model];
+        const frequencyMHz = rfUtils.frequency / 1e6;
+        const warnings = [];
+
+        if (frequencyMHz < limits.minFrequency || frequencyMHz > limits.maxFrequency) {
+            warnings.push(`${frequencyMHz.toFixed(0)} MHz outside ${limits.minFrequency}-${limits.maxFrequency} MHz`);
+        }
+        if (distance < limits.minDistance || distance > limits.maxDistance) {
+            warnings.push(`${distance.toFixed(2)} km outside ${limits.minDistance}-${limits.maxDistance} km`);
+        }
+        if (baseHeight < 30 || baseHeight > 200) {
+            warnings.push(`Base height ${baseHeight.toFixed(0)} m outside 30-200 m`);
+        }
+        if (mobileHeight < 1 || mobileHeight > 10) {
+            warnings.push(`Mobile height ${mobileHeight.toFixed(0)} m outside 1-10 m`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Longley-Rice path loss over the terrain profile (point-to-point mode)
+     *
+     * @param {number} distance - Distance in km
+     * @param {Object} terrainAnalysis - Terrain analysis results
+     * @param {Object} params - System parameters
+     * @returns {Object} Path loss breakdown
+     */
+    calculateItmPathLoss(distance, terrainAnalysis, params = this.defaultParams) {
+        const itm = longleyRice.pointToPoint(
+            terrainAnalysis.profile,
+            terrainAnalysis.txHeight,
+            terrainAnalysis.rxHeight,
+            rfUtils.frequency / 1e6,
+            this.getItmOptions(params)
+        );
+
+        const clutter = this.calculateClutterLoss(terrainAnalysis, params);
+        return this.formatItmPathLoss(itm, clutter, params);
+    }
+
+    /**
+     * Longley-Rice options from system parameters
+     */
+    getItmOptions(params) {
+        return {
+            time: params.timeVariability,
+            location: params.locationVariability,
+            situation: params.situationVariability,
+            climate: params.radioClimate,
+            kFactor: params.kFactor
+        };
+    }
+
+    /**
+     * Build the path loss breakdown for a Longley-Rice prediction
+     *
+     * @param {Object} itm - Longley-Rice prediction
+     * @param {Object} clutter - Clutter loss along the path
+     * @param {Object} params - System parameters
+     * @returns {Object} Path loss breakdown
+     */
+    formatItmPathLoss(itm, clutter, params) {
+        const totalPathLoss = itm.loss + clutter.total;
+        const variability = `${params.timeVariability}% time / ${params.locationVariability}% locations / ` +
+            `${params.situationVariability}% situations`;
+
+        const breakdown = {
+            'Free Space Path Loss': itm.freeSpace.toFixed(1) + ' dB',
+            [`Longley-Rice Excess Loss (${itm.predictionMode})`]: itm.excess.toFixed(1) + ' dB',
+            '  Propagation Mode': itm.mode,
+            '  Variability': variability,
+            '  Terrain Irregularity (Δh)': itm.terrainIrregularity.toFixed(0) + ' m'
+        };
+
+        if (itm.warning) {
+            breakdown['  ITM Warning'] = itm.warning;
+        }
+
+        this.addClutterBreakdown(breakdown, clutter);
+        breakdown['Total Path Loss'] = totalPathLoss.toFixed(1) + ' dB';
+
+        return {
+            model: 'itm',
+            freeSpace: itm.freeSpace,
+            diffraction: itm.excess,
+            terrain: 0,
+            foliage: clutter.total,
+            clutter: clutter,
+            total: totalPathLoss,
+            itm: itm,
+            breakdown: breakdown
+        };
+    }
+
+    /**
+     * Calculate path loss with terrain consideration (FSPL + diffraction)
+     *
+     * @param {number} distance - Distance in km
+     * @param {Object} terrainAnalysis - Terrain analysis results
+     * @param {Object} params - System parameters
+     * @returns {Object} Path loss breakdown
+     */
+    calculateTerrainPathLoss(distance, terrainAnalysis, params = this.defaultParams) {
         // Free Space Path Loss (FSPL)
         const fspl = rfUtils.calculateFSPL(distance);
         
         // Terrain-based additional losses
         let terrainLoss = 0;
         let diffractionLoss = 0;
+        let sphericalEarthLoss = 0;
+        let diffraction = { method: params.diffractionMethod, total: 0, edges: [] };
         
         if (terrainAnalysis.hasObstructions) {
-            // Calculate diffraction loss for worst obstruction
-            const worstObstruction = terrainAnalysis.obstructions.reduce((worst, current) => 
-                current.obstruction > worst.obstruction ? current : worst
+            // Diffraction over the terrain profile using the selected method
+            diffraction = diffractionCalculator.calculate(
+                terrainAnalysis.profile,
+                terrainAnalysis.txHeight,
+                terrainAnalysis.rxHeight,
+                params.diffractionMethod,
+                terrainAnalysis.kFactor
             );
             
-            const d1 = worstObstruction.distance;
-            const d2 = distance - d1;
-            diffractionLoss = rfUtils.calculateKnifeEdgeLoss(
-                worstObstruction.obstruction,
-                d1,
-                d2
+            // Smooth-earth diffraction dominates on long beyond-horizon paths
+            const heights = terrainAnalysis.smoothEarthHeights;
+            sphericalEarthLoss = rfUtils.calculateSphericalEarthLoss(
+                distance,
+                heights.tx,
+                heights.rx,
+                terrainAnalysis.kFactor
             );
+            diffractionLoss = Math.max(diffraction.total, sphericalEarthLoss);
             
-            // Additional terrain loss for multiple obstructions
-            if (terrainAnalysis.obstructions.length > 1) {
+            // Single-edge method does not account for additional obstructions
+            if (diffraction.method === 'single' && terrainAnalysis.obstructions.length > 1) {
                 terrainLoss = Math.min(10, terrainAnalysis.obstructions.length * 2);
             }
         }
         
-        // Environmental losses
-        let foliageLoss = 0;
-        if (distance < 1) {
-            foliageLoss = 0; // Minimal foliage loss for short paths
-        } else if (distance < 5) {
-            foliageLoss = 3; // Light foliage loss
-        } else {
-            foliageLoss = 6; // Moderate foliage loss for longer paths
+        // Clutter and vegetation along the path
+        const clutter = this.calculateClutterLoss(terrainAnalysis, params);
+
+        const totalPathLoss = fspl + diffractionLoss + terrainLoss + clutter.total;
+        
+        const breakdown = {
+            'Free Space Path Loss': fspl.toFixed(1) + ' dB',
+            [`Diffraction Loss (${diffractionCalculator.methods[diffraction.method]})`]: diffractionLoss.toFixed(1) + ' dB'
+        };
+        
+        // Contribution of each diffracting edge
+        diffraction.edges.forEach((edge, i) => {
+            breakdown[`  Edge ${i + 1} @ ${edge.distance.toFixed(1)} km (v=${edge.v.toFixed(2)})`] = edge.loss.toFixed(1) + ' dB';
+        });
+        
+        if (sphericalEarthLoss > 0) {
+            breakdown[`Spherical Earth Diffraction (k=${terrainAnalysis.kFactor.toFixed(2)})`] = sphericalEarthLoss.toFixed(1) + ' dB' + 
+                (sphericalEarthLoss > diffraction.total ? ' (used)' : '');
         }
         
-        const totalPathLoss = fspl + diffractionLoss + terrainLoss + foliageLoss;
+        breakdown['Terrain Loss'] = terrainLoss.toFixed(1) + ' dB';
+        this.addClutterBreakdown(breakdown, clutter);
+        breakdown['Total Path Loss'] = totalPathLoss.toFixed(1) + ' dB';
         
         return {
+            model: 'terrain',
             freeSpace: fspl,
             diffraction: diffractionLoss,
+            diffractionMethod: diffraction.method,
+            diffractionEdges: diffraction.edges,
+            sphericalEarth: sphericalEarthLoss,
             terrain: terrainLoss,
-            foliage: foliageLoss,
+            foliage: clutter.total,
+            clutter: clutter,
             total: totalPathLoss,
-            breakdown: {
-                'Free Space Path Loss': fspl.toFixed(1) + ' dB',
-                'Diffraction Loss': diffractionLoss.toFixed(1) + ' dB',
-                'Terrain Loss': terrainLoss.toFixed(1) + ' dB',
-                'Foliage Loss': foliageLoss.toFixed(1) + ' dB',
-                'Total Path Loss': totalPathLoss.toFixed(1) + ' dB'
-            }
+            breakdown: breakdown
         };
     }
 
+    /**
+     * Clutter and vegetation loss along the terrain profile, plus any manual
+     * foliage allowance
+     *
+     * @param {Object} terrainAnalysis - Terrain analysis results
+     * @param {Object} params - System parameters
+     * @returns {Object} {total, season, classes: {classId: {crossed, inClutter, loss}}, manual}
+     */
+    calculateClutterLoss(terrainAnalysis, params = this.defaultParams) {
+        const clutter = clutterModel.calculatePathClutter(
+            terrainAnalysis.profile,
+            terrainAnalysis.txHeight,
+            terrainAnalysis.rxHeight,
+            {
+                season: params.season,
+                defaultClass: params.defaultClutter,
+                kFactor: terrainAnalysis.kFactor
+            }
+        );
+
+        clutter.manual = params.foliageLoss || 0;
+        clutter.total += clutter.manual;
+
+        return clutter;
+    }
+
+    /**
+     * Add clutter lines (metres crossed and loss per class) to a breakdown
+     */
+    addClutterBreakdown(breakdown, clutter) {
+        const season = clutter.season === 'leafOff' ? 'leaf-off' : 'leaf-on';
+        breakdown[`Clutter Loss (${season})`] = clutter.total.toFixed(1) + ' dB';
+
+        Object.entries(clutter.classes).forEach(([classId, entry]) => {
+            const name = clutterModel.classes[classId].name;
+            const inClutter = entry.inClutter > 0 ? `, ${entry.inClutter.toFixed(0)} m below canopy/roofs` : '';
+            breakdown[`  ${name}: ${entry.crossed.toFixed(0)} m crossed${inClutter}`] = entry.loss.toFixed(1) + ' dB';
+        });
+
+        if (clutter.manual > 0) {
+            breakdown['  Additional Foliage Allowance'] = clutter.manual.toFixed(1) + ' dB';
+        }
+    }
+
     /**
      * Calculate basic path loss without terrain data (fallback)
-     * 
+     * Longley-Rice falls back to area mode using a typical terrain irregularity
+     *
      * @param {number} distance - Distance in km
+     * @param {Object} params - System parameters
      * @returns {Object} Basic path loss
      */
-    calculateBasicPathLoss(distance) {
+    calculateBasicPathLoss(distance, params = this.defaultParams) {
+        if (params.propagationModel === 'itm') {
+            const itm = longleyRice.area(
+                distance,
+                params.txAntennaHeight,
+                params.rxAntennaHeight,
+                rfUtils.frequency / 1e6,
+                this.getItmOptions(params)
+            );
+            const clutter = { total: params.foliageLoss || 0, season: params.season, classes: {}, manual: params.foliageLoss || 0 };
+            return this.formatItmPathLoss(itm, clutter, params);
+        }
+
+        if (this.empiricalModelLimits[params.propagationModel]) {
+            return this.calculateEmpiricalPathLoss(
+                distance,
+                { tx: params.txAntennaHeight, rx: params.rxAntennaHeight },
+                params
+            );
+        }
+
         const fspl = rfUtils.calculateFSPL(distance);
         const environmentalMargin = distance > 10 ? 10 : 5; // Extra margin for uncertainty
         const total = fspl + environmentalMargin;
-        
+
         return {
+            model: 'terrain',
             freeSpace: fspl,
             diffraction: 0,
             terrain: 0,
@@ -215,41 +824,69 @@ export class LinkBudgetCalculator {
     }
 
     /**
-     * Calculate complete link parameters
+     * Transmit power, EIRP and received signal strength
      * 
      * @param {number} txPowerWatts - Transmit power in watts
-     * @param {Object} pathLoss - Path loss analysis
-     * @param {Object} params - System parameters
-     * @param {number} distance - Distance in km
-     * @returns {Object} Link budget breakdown
+     * @param {number} pathLossDb - Total path loss in dB
+     * @param {Object} params - System parameters (gains and feedline losses)
+     * @returns {Object} {txPowerDbm, eirp, rxSignalStrength} in dBm
      */
-    calculateLinkParameters(txPowerWatts, pathLoss, params, distance) {
+    calculateReceivedPower(txPowerWatts, pathLossDb, params) {
         // Convert transmit power to dBm
         const txPowerDbm = rfUtils.wattsToDbm(txPowerWatts);
         
         // Calculate EIRP (Effective Isotropic Radiated Power)
-        const eirp = txPowerDbm + params.txAntennaGain - params.txCableLoss - params.connectorLoss;
+        const eirp = txPowerDbm + params.txAntennaGain - params.txCableLoss - params.txConnectorLoss;
         
         // Calculate received signal strength
-        const rxSignalStrength = eirp - pathLoss.total + params.rxAntennaGain - 
-                                params.rxCableLoss - params.connectorLoss;
+        const rxSignalStrength = eirp - pathLossDb + params.rxAntennaGain - 
+                                params.rxCableLoss - params.rxConnectorLoss;
+        
+        return { txPowerDbm, eirp, rxSignalStrength };
+    }
+
+    /**
+     * Calculate complete link parameters
+     * 
+     * @param {number} txPowerWatts - Transmit power in watts
+     * @param {Object} pathLoss - Path loss analysis
+     * @param {Object} params - System parameters
+     * @param {number} distance - Distance in km
+     * @returns {Object} Link budget breakdown
+     */
+    calculateLinkParameters(txPowerWatts, pathLoss, params, distance) {
+        const { txPowerDbm, eirp, rxSignalStrength } = this.calculateReceivedPower(txPowerWatts, pathLoss.total, params);
         
         // System losses
         const systemLosses = params.txCableLoss + params.rxCableLoss + 
-                            (params.connectorLoss * 2) + params.miscLoss + params.bodyLoss;
+                            params.txConnectorLoss + params.rxConnectorLoss + params.miscLoss + params.bodyLoss;
         
-        // Get optimal spreading factor and corresponding sensitivity
-        const optimalSF = rfUtils.getOptimalSpreadingFactor(distance);
-        const rxSensitivity = rfUtils.loraParams.sensitivity[optimalSF];
+        // Spreading factor (preset or distance-based) and corresponding sensitivity
+        const optimalSF = this.getLinkSpreadingFactor(distance, params);
+        const rxSensitivity = rfUtils.calculateSensitivity(optimalSF, params.bandwidth, params.noiseFigure);
         
-        // Calculate link margin
-        const linkMargin = rxSignalStrength - rxSensitivity - params.fadeMargin;
+        // Signal-to-noise ratio against the receiver noise floor
+        const noiseFloor = rfUtils.calculateNoiseFloor(params.bandwidth, params.noiseFigure) + params.noiseRise;
+        const snr = rxSignalStrength - noiseFloor;
+        const requiredSnr = rfUtils.loraParams.demodulationSnr[optimalSF];
+        const snrMargin = snr - requiredSnr;
+        
+        // Calculate link margins
+        const rssiMargin = rxSignalStrength - rxSensitivity;
+        const linkMargin = rssiMargin - params.fadeMargin;
+        
+        // A receiver tuned to a different channel width cannot demodulate the signal
+        const bandwidthMismatch = params.rxBandwidth !== null && params.rxBandwidth !== params.bandwidth;
+        
+        // Statistical availability from the mean margin (before the planning fade margin)
+        const availability = this.calculateAvailability(Math.min(rssiMargin, snrMargin), params, bandwidthMismatch);
         
         return {
             // Transmit side
             txPowerDbm: txPowerDbm,
             txPowerWatts: txPowerWatts,
             txAntennaGain: params.txAntennaGain,
+            txFeedlineLoss: params.txCableLoss + params.txConnectorLoss,
             eirp: eirp,
             
             // Path
@@ -259,27 +896,47 @@ export class LinkBudgetCalculator {
             // Receive side
             rxSignalStrength: rxSignalStrength,
             rxAntennaGain: params.rxAntennaGain,
+            rxFeedlineLoss: params.rxCableLoss + params.rxConnectorLoss,
             rxSensitivity: rxSensitivity,
             spreadingFactor: optimalSF,
+            bandwidth: params.bandwidth,
+            codingRate: params.codingRate,
+            noiseFigure: params.noiseFigure,
+            noiseFloor: noiseFloor,
+            snr: snr,
+            requiredSnr: requiredSnr,
             
             // Link performance
+            rssiMargin: rssiMargin,
+            snrMargin: snrMargin,
             linkMargin: linkMargin,
             fadeMargin: params.fadeMargin,
             systemLosses: systemLosses,
+            bandwidthMismatch: bandwidthMismatch,
             
             // Link status
-            isViable: linkMargin > 0,
-            reliability: this.calculateReliability(linkMargin),
+            isViable: linkMargin > 0 && !bandwidthMismatch,
+            reliability: availability.packetDeliveryRatio,
+            availability: availability,
             
             // Formatted summary
             summary: {
                 'TX Power': `${txPowerWatts}W (${txPowerDbm.toFixed(1)} dBm)`,
+                'TX Feedline': `${(params.txCableLoss + params.txConnectorLoss).toFixed(1)} dB (cable ${params.txCableLoss.toFixed(1)}, connectors ${params.txConnectorLoss.toFixed(1)})`,
                 'EIRP': `${eirp.toFixed(1)} dBm`,
                 'Path Loss': `${pathLoss.total.toFixed(1)} dB`,
+                'RX Feedline': `${(params.rxCableLoss + params.rxConnectorLoss).toFixed(1)} dB (cable ${params.rxCableLoss.toFixed(1)}, connectors ${params.rxConnectorLoss.toFixed(1)})`,
                 'RX Signal': `${rxSignalStrength.toFixed(1)} dBm`,
-                'RX Sensitivity': `${rxSensitivity} dBm (${optimalSF})`,
+                'RX Sensitivity': `${rxSensitivity.toFixed(1)} dBm (${optimalSF}, ${params.bandwidth / 1e3} kHz, NF ${params.noiseFigure} dB)`,
+                'RSSI Margin': `${rssiMargin.toFixed(1)} dB`,
+                'SNR': `${snr.toFixed(1)} dB (limit ${requiredSnr} dB)`,
+                'SNR Margin': `${snrMargin.toFixed(1)} dB`,
                 'Link Margin': `${linkMargin.toFixed(1)} dB`,
-                'Link Status': linkMargin > 0 ? '✅ Viable' : '❌ Not Viable'
+                'Availability': `${availability.availability.toFixed(2)}% (σ ${availability.sigma} dB shadowing)`,
+                'Packet Delivery': `${availability.packetDeliveryRatio.toFixed(2)}% (${availabilityModel.fadingModels[availability.fading]}` +
+                    `${availability.retries > 0 ? `, ${availability.retries} retries` : ''})`,
+                [`Margin for ${availability.target}% Delivery`]: `${availability.requiredMargin.toFixed(1)} dB`,
+                'Link Status': linkMargin > 0 && !bandwidthMismatch ? '✅ Viable' : '❌ Not Viable'
             }
         };
     }
@@ -291,19 +948,27 @@ export class LinkBudgetCalculator {
      * @param {number} txHeight - TX antenna height
      * @param {number} rxHeight - RX antenna height
      * @param {number} distance - Total distance
+     * @param {number} kFactor - Effective Earth radius factor
      * @returns {Object} Terrain analysis
      */
-    analyzeTerrainPath(elevationProfile, txHeight, rxHeight, distance) {
+    analyzeTerrainPath(elevationProfile, txHeight, rxHeight, distance, kFactor = rfUtils.kFactor) {
         const fresnelAnalysis = rfUtils.analyzeFresnelClearance(
             elevationProfile,
             txHeight,
             rxHeight,
-            distance
+            distance,
+            kFactor
         );
         
         // Additional terrain analysis
         const elevationVariation = this.calculateElevationVariation(elevationProfile);
-        const lineOfSightClear = this.checkLineOfSight(elevationProfile, txHeight, rxHeight);
+        const lineOfSightClear = this.checkLineOfSight(elevationProfile, txHeight, rxHeight, kFactor);
+        
+        // Antenna heights above the mean terrain (smooth-earth reference)
+        const smoothEarthHeights = {
+            tx: Math.max(txHeight, elevationProfile[0].elevation + txHeight - elevationVariation.average),
+            rx: Math.max(rxHeight, elevationProfile[elevationProfile.length - 1].elevation + rxHeight - elevationVariation.average)
+        };
         
         return {
             hasObstructions: !fresnelAnalysis.hasAdequateClearance,
@@ -312,7 +977,11 @@ export class LinkBudgetCalculator {
             minClearance: fresnelAnalysis.minClearance,
             lineOfSight: lineOfSightClear,
             elevationVariation: elevationVariation,
-            profile: elevationProfile
+            profile: elevationProfile,
+            txHeight: txHeight,
+            rxHeight: rxHeight,
+            kFactor: kFactor,
+            smoothEarthHeights: smoothEarthHeights
         };
     }
 
@@ -357,9 +1026,10 @@ export class LinkBudgetCalculator {
      * @param {Array} profile - Elevation profile
      * @param {number} txHeight - TX antenna height
      * @param {number} rxHeight - RX antenna height
+     * @param {number} kFactor - Effective Earth radius factor
      * @returns {boolean} True if line of sight is clear
      */
-    checkLineOfSight(profile, txHeight, rxHeight) {
+    checkLineOfSight(profile, txHeight, rxHeight, kFactor = rfUtils.kFactor) {
         if (profile.length < 3) return true;
         
         const start = profile[0];
@@ -377,11 +1047,10 @@ export class LinkBudgetCalculator {
             // Calculate line of sight height at this point
             const losHeight = txElevation + (rxElevation - txElevation) * fraction;
             
-            // Add Earth curvature
-            const curvature = rfUtils.calculateEarthCurvature(totalDistance, fraction);
-            const adjustedLosHeight = losHeight + curvature;
+            // The Earth bulge raises the terrain toward the line of sight
+            const curvature = rfUtils.calculateEarthCurvature(totalDistance, fraction, kFactor);
             
-            if (point.elevation > adjustedLosHeight) {
+            if (point.elevation + curvature > losHeight) {
                 return false; // Obstruction found
             }
         }
@@ -397,11 +1066,15 @@ export class LinkBudgetCalculator {
      * @returns {string} Optimal spreading factor
      */
     optimizeSpreadingFactor(linkBudget, params) {
+        // A shared preset fixes the spreading factor for the whole mesh
+        const preset = getModemPreset(params.modemPreset);
+        if (preset) return preset.spreadingFactor;
+        
         const distance = linkBudget.distance;
         const linkMargin = linkBudget.linkMargin;
         
         // Start with distance-based recommendation
-        let optimalSF = rfUtils.getOptimalSpreadingFactor(distance);
+        let optimalSF = rfUtils.getOptimalSpreadingFactor(distance, params.environment);
         
         // Adjust based on link margin
         if (linkMargin < -10) {
@@ -422,16 +1095,60 @@ export class LinkBudgetCalculator {
     }
 
     /**
-     * Calculate link reliability percentage
+     * Calculate time-on-air and duty-cycle limits for a spreading factor
      * 
-     * @param {number} linkMargin - Link margin in dB
-     * @returns {number} Reliability percentage
+     * @param {string} spreadingFactor - Spreading factor (SF7-SF12)
+     * @param {Object} params - System parameters
+     * @returns {Object} Airtime analysis (times in milliseconds)
      */
-    calculateReliability(linkMargin) {
-        if (linkMargin < -10) return 0;
-        if (linkMargin < 0) return 50 + (linkMargin + 10) * 5;
-        if (linkMargin < 20) return 90 + linkMargin * 0.5;
-        return 99.9;
+    calculateAirtime(spreadingFactor, params) {
+        const toa = rfUtils.calculateTimeOnAir(spreadingFactor, params.payloadSize, {
+            bandwidth: params.bandwidth,
+            codingRate: params.codingRate,
+            preambleLength: params.preambleLength,
+            explicitHeader: params.explicitHeader,
+            crc: params.crc
+        });
+        const dutyCycle = rfUtils.calculateDutyCycleBudget(toa.timeOnAir);
+        
+        return {
+            ...toa,
+            ...dutyCycle,
+            summary: {
+                'Time on Air': `${toa.timeOnAir.toFixed(1)} ms (${params.payloadSize} B, ${spreadingFactor})`,
+                'Max Packets/Hour': `${dutyCycle.maxPacketsPerHour}`,
+                'Effective Bitrate': `${toa.bitrate.toFixed(0)} bps`
+            }
+        };
+    }
+
+    /**
+     * Calculate link availability and packet delivery ratio
+     * 
+     * @param {number} margin - Mean received power above sensitivity (dB)
+     * @param {Object} params - System parameters
+     * @param {boolean} blocked - Link cannot be demodulated regardless of margin
+     * @returns {Object} Availability statistics (percentages) and required margin
+     */
+    calculateAvailability(margin, params, blocked = false) {
+        const options = {
+            environment: params.environment,
+            sigma: params.shadowingSigma ?? undefined,
+            fading: params.fastFading,
+            ricianK: params.ricianK,
+            retries: params.retries
+        };
+        
+        const availability = availabilityModel.calculate(margin, options);
+        if (blocked) {
+            availability.availability = 0;
+            availability.packetDeliveryRatio = 0;
+        }
+        
+        availability.target = params.targetAvailability;
+        availability.requiredMargin = availabilityModel.calculateRequiredMargin(params.targetAvailability, options);
+        
+        return availability;
     }
 
     /**
@@ -445,7 +1162,7 @@ export class LinkBudgetCalculator {
         const margin = linkBudget.linkMargin;
         const hasObstructions = terrainAnalysis.hasObstructions;
         
-        if (margin < -5) return 'poor';
+        if (margin < -5 || linkBudget.bandwidthMismatch) return 'poor';
         if (margin < 5 || hasObstructions) return 'marginal';
         if (margin < 15) return 'good';
         return 'excellent';
@@ -458,12 +1175,18 @@ export class LinkBudgetCalculator {
      * @param {Object} terrainAnalysis - Terrain analysis
      * @param {string} optimalSF - Optimal spreading factor
      * @param {Object} params - System parameters
+     * @param {Object} airtime - Airtime analysis for the optimal SF
+     * @param {Object|null} presetHint - Fastest working preset (when a preset is selected)
      * @returns {Array} Array of recommendation strings
      */
-    generateRecommendations(linkBudget, terrainAnalysis, optimalSF, params) {
+    generateRecommendations(linkBudget, terrainAnalysis, optimalSF, params, airtime, presetHint = null) {
         const recommendations = [];
         const margin = linkBudget.linkMargin;
         
+        if (linkBudget.bandwidthMismatch) {
+            recommendations.push(`📻 Channel bandwidth mismatch - both nodes must use ${linkBudget.bandwidth / 1e3} kHz`);
+        }
+        
         if (margin < 0) {
             recommendations.push(`⚠️ Link margin is ${margin.toFixed(1)}dB - connection may be unreliable`);
         }
@@ -471,19 +1194,32 @@ export class LinkBudgetCalculator {
         if (terrainAnalysis.hasObstructions) {
             const worstObstruction = terrainAnalysis.obstructions[0];
             recommendations.push(`🏔️ Terrain obstruction detected at ${worstObstruction.distance.toFixed(1)}km`);
-            
-            const requiredHeight = Math.ceil(worstObstruction.obstruction + 5);
-            recommendations.push(`📡 Consider raising antennas by ${requiredHeight}m to clear obstacles`);
         }
         
         if (linkBudget.distance > 15) {
             recommendations.push(`📏 Long distance path (${linkBudget.distance.toFixed(1)}km) - consider repeaters`);
         }
         
-        if (optimalSF !== 'SF7') {
+        if (params.modemPreset) {
+            // The mesh shares one preset, so suggest a preset rather than a per-link SF
+            const current = getModemPreset(params.modemPreset);
+            if (!presetHint) {
+                recommendations.push(`📻 Would not work on any preset - consider a relay`);
+            } else if (presetHint.id === current.id) {
+                recommendations.push(`📻 ${current.name} is the fastest preset that works (${presetHint.linkMargin.toFixed(1)} dB margin)`);
+            } else {
+                recommendations.push(`📻 Would work on preset ${presetHint.name} (${presetHint.linkMargin.toFixed(1)} dB margin)`);
+            }
+        } else if (optimalSF !== 'SF7') {
             recommendations.push(`⚡ Use ${optimalSF} for optimal range vs. data rate balance`);
         }
         
+        if (airtime?.exceedsDwellTime) {
+            recommendations.push(`⏱️ ${optimalSF} packet takes ${airtime.timeOnAir.toFixed(0)}ms - exceeds ${rfUtils.bandPlan.dwellTime}ms dwell time limit`);
+        } else if (airtime && airtime.maxPacketsPerHour < 60) {
+            recommendations.push(`⏱️ ${optimalSF} allows only ${airtime.maxPacketsPerHour} packets/hour under the duty-cycle limit`);
+        }
+        
         if (margin > 0 && margin < 10) {
             recommendations.push(`✅ Link is viable but consider adding fade margin for reliability`);
         } else if (margin >= 10) {
@@ -531,8 +1267,12 @@ export class LinkBudgetCalculator {
             linkMargin: `${results.linkBudget.linkMargin.toFixed(1)} dB`,
             pathLoss: `${results.pathLoss.total.toFixed(1)} dB`,
             rxSignal: `${results.linkBudget.rxSignalStrength.toFixed(1)} dBm`,
+            snrMargin: `${results.linkBudget.snrMargin.toFixed(1)} dB`,
             spreadingFactor: results.optimalSpreadingFactor,
+            timeOnAir: `${results.airtime.timeOnAir.toFixed(1)} ms`,
+            maxPacketsPerHour: results.airtime.maxPacketsPerHour,
             reliability: `${results.linkBudget.reliability.toFixed(1)}%`,
+            availability: `${results.linkBudget.availability.availability.toFixed(2)}%`,
             recommendations: results.recommendations,
             hasObstructions: results.terrainAnalysis.hasObstructions,
             timestamp: results.timestamp
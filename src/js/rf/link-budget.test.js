@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { linkBudgetCalculator } from './link-budget.js';
+import { rfUtils } from './rf-utils.js';
+
+describe('Range bound', () => {
+    const terms = linkBudgetCalculator.calculateRangeTerms(1.0);
+    const budget = terms.transmit + terms.receive;
+
+    it('never exceeds the free-space range', () => {
+        const freeSpace = rfUtils.calculateFreeSpaceRange(budget + linkBudgetCalculator.rangeAllowance);
+        expect(linkBudgetCalculator.calculateMaxRange(budget, 10, 10)).toBeLessThanOrEqual(freeSpace + 0.1);
+    });
+
+    it('stops shortly past the horizon of the raised antennas', () => {
+        const relief = linkBudgetCalculator.reliefAllowance;
+        const horizon = rfUtils.calculateRadioHorizon(10 + relief, 10 + relief);
+        const range = linkBudgetCalculator.calculateMaxRange(budget, 10, 10);
+
+        expect(range).toBeGreaterThanOrEqual(horizon - 0.1);
+        expect(range).toBeLessThan(horizon + 50);
+    });
+
+    it('prunes a 300 km pair at 1 W that free space alone would keep', () => {
+        expect(rfUtils.calculateFSPL(300) - linkBudgetCalculator.rangeAllowance).toBeLessThan(budget);
+        expect(linkBudgetCalculator.calculateMinimumPathLoss(300, 10, 10)).toBeGreaterThan(budget);
+    });
+
+    it('shrinks with the worst-case k-factor', () => {
+        expect(linkBudgetCalculator.calculateMaxRange(budget, 10, 10, 2 / 3))
+            .toBeLessThan(linkBudgetCalculator.calculateMaxRange(budget, 10, 10, 4 / 3));
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Meshtastic Modem Presets
+ * Network-wide LoRa settings used by Meshtastic firmware
+ * Author: K7CFO
+ */
+
+/**
+ * Preset definitions, ordered fastest to slowest. Bandwidth in Hz, coding
+ * rate as the denominator of 4/x. Meshtastic uses a 16-symbol preamble.
+ */
+export const MESHTASTIC_PRESETS = {
+    SHORT_TURBO: { id: 'SHORT_TURBO', name: 'ShortTurbo', spreadingFactor: 'SF7', bandwidth: 500e3, codingRate: 5 },
+    SHORT_FAST: { id: 'SHORT_FAST', name: 'ShortFast', spreadingFactor: 'SF7', bandwidth: 250e3, codingRate: 5 },
+    SHORT_SLOW: { id: 'SHORT_SLOW', name: 'ShortSlow', spreadingFactor: 'SF8', bandwidth: 250e3, codingRate: 5 },
+    MEDIUM_FAST: { id: 'MEDIUM_FAST', name: 'MediumFast', spreadingFactor: 'SF9', bandwidth: 250e3, codingRate: 5 },
+    MEDIUM_SLOW: { id: 'MEDIUM_SLOW', name: 'MediumSlow', spreadingFactor: 'SF10', bandwidth: 250e3, codingRate: 5 },
+    LONG_FAST: { id: 'LONG_FAST', name: 'LongFast', spreadingFactor: 'SF11', bandwidth: 250e3, codingRate: 5 },
+    LONG_MODERATE: { id: 'LONG_MODERATE', name: 'LongModerate', spreadingFactor: 'SF11', bandwidth: 125e3, codingRate: 8 },
+    LONG_SLOW: { id: 'LONG_SLOW', name: 'LongSlow', spreadingFactor: 'SF12', bandwidth: 125e3, codingRate: 8 },
+    VERY_LONG_SLOW: { id: 'VERY_LONG_SLOW', name: 'VeryLongSlow', spreadingFactor: 'SF12', bandwidth: 62.5e3, codingRate: 8 }
+};
+
+export const MESHTASTIC_PREAMBLE_LENGTH = 16; // symbols
+
+/**
+ * Look up a preset by id
+ *
+ * @param {string} presetId - Preset identifier (e.g. 'LONG_FAST')
+ * @returns {Object|null} Preset definition, null if unknown
+ */
+export function getModemPreset(presetId) {
+    return MESHTASTIC_PRESETS[presetId] || null;
+}
@@ -1,15 +1,19 @@
 /**
  * RF Utilities for LoRa Mesh Planning
- * Frequency: 915 MHz (ISM Band)
+ * Frequency: selected regional band plan (default US 915 MHz ISM)
  * Author: K7CFO
  */
 
+import { getBandPlan, DEFAULT_BAND_PLAN } from './band-plans.js';
+
 export class RFUtils {
     constructor() {
-        // LoRa 915 MHz constants
-        this.frequency = 915e6; // Hz
-        this.wavelength = 299792458 / this.frequency; // λ = c/f = 0.328m for 915MHz
+        // Operating frequency comes from the active band plan
+        this.speedOfLight = 299792458; // m/s
         this.earthRadius = 6371000; // meters
+        this.kFactor = 4 / 3; // Effective Earth radius factor (standard atmosphere)
+        this.worstCaseKFactor = 2 / 3; // Sub-refractive worst case
+        this.setBandPlan(DEFAULT_BAND_PLAN);
         
         // LoRa-specific parameters
         this.loraParams = {
@@ -19,16 +23,28 @@ export class RFUtils {
                 '1.0W': { watts: 1.0, dbm: 30.0 }
             },
             
-            // LoRa receiver sensitivity by spreading factor (typical values)
-            sensitivity: {
-                SF7: -123,   // dBm
-                SF8: -126,   // dBm
-                SF9: -129,   // dBm
-                SF10: -132,  // dBm
-                SF11: -135,  // dBm
-                SF12: -137   // dBm
+            // Demodulation SNR limit by spreading factor (Semtech SX127x/SX126x)
+            demodulationSnr: {
+                SF7: -7.5,   // dB
+                SF8: -10,    // dB
+                SF9: -12.5,  // dB
+                SF10: -15,   // dB
+                SF11: -17.5, // dB
+                SF12: -20    // dB
             },
             
+            // Default modem settings
+            bandwidth: 125e3,    // Hz
+            codingRate: 5,       // 4/5 (denominator of 4/x)
+            noiseFigure: 6,      // dB (typical LoRa front end)
+            thermalNoise: -174,  // dBm/Hz at 290 K
+            
+            // Default packet settings
+            payloadSize: 32,     // bytes
+            preambleLength: 8,   // symbols
+            explicitHeader: true,
+            crc: true,
+            
             // Typical antenna parameters
             antennaGain: 3,      // dBi (typical omni antenna)
             cableLoss: 1.5,      // dB (typical coax loss)
@@ -37,6 +53,20 @@ export class RFUtils {
         };
     }
 
+    /**
+     * Select the regional band plan used for all RF calculations
+     * 
+     * @param {string} regionId - Region identifier (e.g. 'US915', 'EU868')
+     * @returns {Object} Active band plan
+     */
+    setBandPlan(regionId) {
+        this.bandPlan = getBandPlan(regionId);
+        this.frequency = this.bandPlan.frequency; // Hz
+        this.wavelength = this.speedOfLight / this.frequency; // λ = c/f (0.328m at 915MHz)
+        
+        return this.bandPlan;
+    }
+
     /**
      * Calculate the first Fresnel zone radius at a given point along the path
      * 
@@ -56,29 +86,92 @@ export class RFUtils {
         return radius; // meters
     }
 
+    /**
+     * Calculate effective Earth radius for atmospheric refraction
+     * 
+     * @param {number} kFactor - Effective Earth radius factor (4/3 standard, 2/3 worst case)
+     * @returns {number} Effective Earth radius in meters
+     */
+    getEffectiveEarthRadius(kFactor = this.kFactor) {
+        return kFactor * this.earthRadius;
+    }
+
     /**
      * Calculate Earth curvature effect on path
      * 
      * @param {number} distance - Total distance in km
      * @param {number} fraction - Fraction of path (0.5 = midpoint)
+     * @param {number} kFactor - Effective Earth radius factor
      * @returns {number} Earth bulge in meters
      */
-    calculateEarthCurvature(distance, fraction = 0.5) {
+    calculateEarthCurvature(distance, fraction = 0.5, kFactor = this.kFactor) {
         const distanceMeters = distance * 1000;
         const d1 = distanceMeters * fraction;
         const d2 = distanceMeters * (1 - fraction);
         
-        // Earth curvature formula: h = (d1 * d2) / (2 * Re)
-        const curvature = (d1 * d2) / (2 * this.earthRadius);
+        // Earth curvature formula: h = (d1 * d2) / (2 * k * Re)
+        const curvature = (d1 * d2) / (2 * this.getEffectiveEarthRadius(kFactor));
         
         return curvature; // meters
     }
 
+    /**
+     * Calculate smooth-earth radio horizon distance between two antennas
+     * 
+     * @param {number} h1 - Antenna 1 height above smooth earth (meters)
+     * @param {number} h2 - Antenna 2 height above smooth earth (meters)
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {number} Line-of-sight distance in km
+     */
+    calculateRadioHorizon(h1, h2, kFactor = this.kFactor) {
+        const ae = this.getEffectiveEarthRadius(kFactor);
+        return (Math.sqrt(2 * ae * h1) + Math.sqrt(2 * ae * h2)) / 1000;
+    }
+
+    /**
+     * Calculate spherical (smooth) earth diffraction loss for beyond-horizon paths
+     * ITU-R P.526 smooth-earth method (F(X) + G(Y1) + G(Y2), β = 1)
+     * 
+     * @param {number} distance - Path distance in km
+     * @param {number} h1 - Antenna 1 height above smooth earth (meters)
+     * @param {number} h2 - Antenna 2 height above smooth earth (meters)
+     * @param {number} kFactor - Effective Earth radius factor
+     * @returns {number} Diffraction loss relative to free space (dB), 0 within the horizon
+     */
+    calculateSphericalEarthLoss(distance, h1, h2, kFactor = this.kFactor) {
+        if (distance <= this.calculateRadioHorizon(h1, h2, kFactor)) return 0;
+        
+        const frequencyMHz = this.frequency / 1e6;
+        const aeKm = this.getEffectiveEarthRadius(kFactor) / 1000;
+        
+        // Normalized distance and heights
+        const X = 2.188 * Math.pow(frequencyMHz, 1 / 3) * Math.pow(aeKm, -2 / 3) * distance;
+        const heightFactor = 9.575e-3 * Math.pow(frequencyMHz, 2 / 3) * Math.pow(aeKm, -1 / 3);
+        
+        // Distance term F(X)
+        const F = X >= 1.6 
+            ? 11 + 10 * Math.log10(X) - 17.6 * X 
+            : -20 * Math.log10(X) - 5.6488 * Math.pow(X, 1.425);
+        
+        // Height gain term G(Y)
+        const G = (h) => {
+            const B = heightFactor * h;
+            return B > 2 
+                ? 17.6 * Math.sqrt(B - 1.1) - 5 * Math.log10(B - 1.1) - 8 
+                : 20 * Math.log10(B + 0.1 * B * B * B);
+        };
+        
+        // 20 log(E/E0) = F(X) + G(Y1) + G(Y2)
+        const relativeField = F + G(h1) + G(h2);
+        
+        return Math.max(0, -relativeField);
+    }
+
     /**
      * Calculate Free Space Path Loss (FSPL)
      * 
      * @param {number} distance - Distance in km
-     * @param {number} frequency - Frequency in Hz (default: 915 MHz)
+     * @param {number} frequency - Frequency in Hz (default: band plan center)
      * @returns {number} Path loss in dB
      */
     calculateFSPL(distance, frequency = this.frequency) {
@@ -93,36 +186,176 @@ export class RFUtils {
     }
 
     /**
-     * Calculate knife-edge diffraction loss over an obstacle
+     * Distance at which free-space path loss reaches a given value (inverse of calculateFSPL)
      * 
-     * @param {number} h - Height of obstacle above direct path (meters)
+     * @param {number} pathLoss - Path loss in dB
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Distance in km
+     */
+    calculateFreeSpaceRange(pathLoss, frequency = this.frequency) {
+        return Math.pow(10, (pathLoss - 20 * Math.log10(frequency / 1e6) - 32.44) / 20);
+    }
+
+    /**
+     * Hata mobile antenna height correction a(hm) for small/medium cities
+     *
+     * @param {number} frequencyMHz - Frequency in MHz
+     * @param {number} mobileHeight - Lower antenna height (meters)
+     * @returns {number} Correction in dB
+     */
+    calculateHataHeightCorrection(frequencyMHz, mobileHeight) {
+        const logF = Math.log10(frequencyMHz);
+        return (1.1 * logF - 0.7) * mobileHeight - (1.56 * logF - 0.8);
+    }
+
+    /**
+     * Apply the Hata suburban or open-area correction to an urban path loss
+     *
+     * @param {number} urbanLoss - Urban path loss (dB)
+     * @param {number} frequencyMHz - Frequency in MHz
+     * @param {string} environment - 'urban', 'suburban', 'rural'
+     * @returns {number} Path loss for the environment (dB)
+     */
+    applyHataEnvironment(urbanLoss, frequencyMHz, environment) {
+        const logF = Math.log10(frequencyMHz);
+
+        switch (environment) {
+            case 'suburban':
+                return urbanLoss - 2 * Math.pow(Math.log10(frequencyMHz / 28), 2) - 5.4;
+            case 'rural':
+                return urbanLoss - 4.78 * logF * logF + 18.33 * logF - 40.94;
+            default:
+                return urbanLoss;
+        }
+    }
+
+    /**
+     * Okumura-Hata path loss (150-1500 MHz, 1-20 km, base 30-200 m, mobile 1-10 m)
+     *
+     * @param {number} distance - Distance in km
+     * @param {number} baseHeight - Higher antenna height (meters)
+     * @param {number} mobileHeight - Lower antenna height (meters)
+     * @param {string} environment - 'urban', 'suburban', 'rural'
+     * @param {number} frequency - Frequency in Hz (default: band plan center)
+     * @returns {number} Path loss in dB
+     */
+    calculateHataLoss(distance, baseHeight, mobileHeight, environment = 'suburban', frequency = this.frequency) {
+        const frequencyMHz = frequency / 1e6;
+        const logHb = Math.log10(baseHeight);
+
+        const urbanLoss = 69.55 + 26.16 * Math.log10(frequencyMHz) - 13.82 * logHb -
+            this.calculateHataHeightCorrection(frequencyMHz, mobileHeight) +
+            (44.9 - 6.55 * logHb) * Math.log10(distance);
+
+        return this.applyHataEnvironment(urbanLoss, frequencyMHz, environment);
+    }
+
+    /**
+     * COST-231 Hata path loss (1500-2000 MHz, 1-20 km)
+     * Urban adds the 3 dB metropolitan centre correction
+     *
+     * @param {number} distance - Distance in km
+     * @param {number} baseHeight - Higher antenna height (meters)
+     * @param {number} mobileHeight - Lower antenna height (meters)
+     * @param {string} environment - 'urban', 'suburban', 'rural'
+     * @param {number} frequency - Frequency in Hz (default: band plan center)
+     * @returns {number} Path loss in dB
+     */
+    calculateCost231HataLoss(distance, baseHeight, mobileHeight, environment = 'suburban', frequency = this.frequency) {
+        const frequencyMHz = frequency / 1e6;
+        const logHb = Math.log10(baseHeight);
+        const metropolitanCorrection = environment === 'urban' ? 3 : 0;
+
+        const loss = 46.3 + 33.9 * Math.log10(frequencyMHz) - 13.82 * logHb -
+            this.calculateHataHeightCorrection(frequencyMHz, mobileHeight) +
+            (44.9 - 6.55 * logHb) * Math.log10(distance) + metropolitanCorrection;
+
+        // Open areas use the Hata open-area correction
+        return environment === 'rural' ? this.applyHataEnvironment(loss, frequencyMHz, 'rural') : loss;
+    }
+
+    /**
+     * Extended Hata path loss (ITU-R SM.2028 / SEAMCAT, 30-3000 MHz, up to 100 km)
+     * Free space below 40 m, log-distance interpolation to Hata at 100 m
+     *
+     * @param {number} distance - Distance in km
+     * @param {number} baseHeight - Higher antenna height (meters)
+     * @param {number} mobileHeight - Lower antenna height (meters)
+     * @param {string} environment - 'urban', 'suburban', 'rural'
+     * @param {number} frequency - Frequency in Hz (default: band plan center)
+     * @returns {number} Path loss in dB
+     */
+    calculateExtendedHataLoss(distance, baseHeight, mobileHeight, environment = 'suburban', frequency = this.frequency) {
+        const frequencyMHz = frequency / 1e6;
+
+        const freeSpace = (d) => 32.4 + 20 * Math.log10(frequencyMHz) +
+            10 * Math.log10(d * d + Math.pow(baseHeight - mobileHeight, 2) / 1e6);
+
+        const hata = (d) => {
+            const hb = Math.max(30, baseHeight);
+            const logHb = Math.log10(hb);
+            const aHm = (1.1 * Math.log10(frequencyMHz) - 0.7) * Math.min(10, mobileHeight) -
+                (1.56 * Math.log10(frequencyMHz) - 0.8) + Math.max(0, 20 * Math.log10(mobileHeight / 10));
+            const bHb = Math.min(0, 20 * Math.log10(baseHeight / 30));
+            const alpha = d <= 20 ? 1 :
+                1 + (0.14 + 1.87e-4 * frequencyMHz + 1.07e-3 * hb) * Math.pow(Math.log10(d / 20), 0.8);
+
+            const distanceTerm = (44.9 - 6.55 * logHb) * Math.pow(Math.log10(d), alpha);
+            const urbanLoss = frequencyMHz <= 1500
+                ? 69.6 + 26.2 * Math.log10(frequencyMHz) - 13.82 * logHb + distanceTerm - aHm - bHb
+                : 46.3 + 33.9 * Math.log10(frequencyMHz) - 13.82 * logHb + distanceTerm - aHm - bHb;
+
+            const clampedF = Math.min(Math.max(150, frequencyMHz), 2000);
+            return this.applyHataEnvironment(urbanLoss, clampedF, environment);
+        };
+
+        if (distance <= 0.04) return freeSpace(distance);
+        if (distance >= 0.1) return hata(distance);
+
+        const L1 = freeSpace(0.04);
+        const L2 = hata(0.1);
+        return L1 + (Math.log10(distance) - Math.log10(0.04)) / (Math.log10(0.1) - Math.log10(0.04)) * (L2 - L1);
+    }
+
+    /**
+     * Calculate the Fresnel-Kirchhoff diffraction parameter for an obstacle
+     * 
+     * @param {number} h - Height of obstacle above direct path (meters, negative if below)
      * @param {number} d1 - Distance from transmitter to obstacle (km)
      * @param {number} d2 - Distance from obstacle to receiver (km)
-     * @returns {number} Additional path loss due to diffraction (dB)
+     * @returns {number} Diffraction parameter v
      */
-    calculateKnifeEdgeLoss(h, d1, d2) {
+    calculateDiffractionParameter(h, d1, d2) {
         // Fresnel parameter: v = h * sqrt(2 * (d1 + d2) / (λ * d1 * d2))
         const d1m = d1 * 1000;
         const d2m = d2 * 1000;
-        const v = h * Math.sqrt(2 * (d1m + d2m) / (this.wavelength * d1m * d2m));
-        
-        let diffractionLoss;
-        
-        if (v <= -2.4) {
-            // No significant loss
-            diffractionLoss = 0;
-        } else if (v <= 0) {
-            // Partial obstruction
-            diffractionLoss = 20 * Math.log10(0.5 - 0.62 * v);
-        } else if (v <= 2.4) {
-            // Significant obstruction
-            diffractionLoss = 20 * Math.log10(0.5 * Math.exp(-0.95 * v));
-        } else {
-            // Complete obstruction
-            diffractionLoss = 20 * Math.log10(0.4 - Math.sqrt(0.1184 - (0.38 - 0.1 * v) * (0.38 - 0.1 * v)));
-        }
+        return h * Math.sqrt(2 * (d1m + d2m) / (this.wavelength * d1m * d2m));
+    }
+
+    /**
+     * Knife-edge diffraction loss J(v) (ITU-R P.526-15 eq. 31)
+     * 
+     * @param {number} v - Diffraction parameter
+     * @returns {number} Diffraction loss in dB
+     */
+    calculateDiffractionLoss(v) {
+        // Negligible loss below v = -0.78
+        if (v <= -0.78) return 0;
         
-        return Math.max(0, diffractionLoss); // dB (cannot be negative)
+        return 6.9 + 20 * Math.log10(Math.sqrt((v - 0.1) * (v - 0.1) + 1) + v - 0.1);
+    }
+
+    /**
+     * Calculate knife-edge diffraction loss over an obstacle
+     * 
+     * @param {number} h - Height of obstacle above direct path (meters)
+     * @param {number} d1 - Distance from transmitter to obstacle (km)
+     * @param {number} d2 - Distance from obstacle to receiver (km)
+     * @returns {number} Additional path loss due to diffraction (dB)
+     */
+    calculateKnifeEdgeLoss(h, d1, d2) {
+        const v = this.calculateDiffractionParameter(h, d1, d2);
+        return this.calculateDiffractionLoss(v); // dB
     }
 
     /**
@@ -145,14 +378,16 @@ export class RFUtils {
      * @param {number} txHeight - Transmitter antenna height (meters)
      * @param {number} rxHeight - Receiver antenna height (meters)
      * @param {number} totalDistance - Total path distance (km)
+     * @param {number} kFactor - Effective Earth radius factor
      * @returns {Object} Clearance analysis results
      */
-    analyzeFresnelClearance(pathProfile, txHeight, rxHeight, totalDistance) {
+    analyzeFresnelClearance(pathProfile, txHeight, rxHeight, totalDistance, kFactor = this.kFactor) {
         const results = {
             hasAdequateClearance: true,
             minClearance: Infinity,
             obstructions: [],
-            requiredClearancePercent: this.getRequiredFresnelClearance(totalDistance)
+            requiredClearancePercent: this.getRequiredFresnelClearance(totalDistance),
+            kFactor: kFactor
         };
 
         if (!pathProfile || pathProfile.length < 2) {
@@ -171,16 +406,14 @@ export class RFUtils {
             // Calculate line-of-sight height at this point
             const losHeight = txElevation + (rxElevation - txElevation) * (d1 / totalDistance);
             
-            // Include Earth curvature effect
-            const earthCurvature = this.calculateEarthCurvature(totalDistance, d1 / totalDistance);
-            const adjustedLosHeight = losHeight + earthCurvature;
-            
-            // Calculate required Fresnel zone clearance
+            // Terrain must stay below the line of sight by the required
+            // fraction of the first Fresnel zone
             const fresnelRadius = this.calculateFresnelZoneRadius(d1, d2);
-            const requiredHeight = adjustedLosHeight + fresnelRadius * results.requiredClearancePercent;
+            const requiredHeight = losHeight - fresnelRadius * results.requiredClearancePercent;
             
-            // Check if terrain obstructs the path
-            const terrainHeight = point.elevation;
+            // Check if terrain, raised by the Earth bulge, obstructs the path
+            const earthCurvature = this.calculateEarthCurvature(totalDistance, d1 / totalDistance, kFactor);
+            const terrainHeight = point.elevation + earthCurvature;
             const clearance = terrainHeight - requiredHeight;
             
             if (clearance > 0) {
@@ -201,6 +434,100 @@ export class RFUtils {
         return results;
     }
 
+    /**
+     * Calculate receiver noise floor
+     * 
+     * @param {number} bandwidth - Channel bandwidth in Hz
+     * @param {number} noiseFigure - Receiver noise figure in dB
+     * @returns {number} Noise floor in dBm
+     */
+    calculateNoiseFloor(bandwidth = this.loraParams.bandwidth, noiseFigure = this.loraParams.noiseFigure) {
+        // N = -174 dBm/Hz + 10*log10(BW) + NF
+        return this.loraParams.thermalNoise + 10 * Math.log10(bandwidth) + noiseFigure;
+    }
+
+    /**
+     * Calculate LoRa receiver sensitivity from thermal noise and SF demodulation limit
+     * 
+     * @param {string} spreadingFactor - Spreading factor (SF7-SF12)
+     * @param {number} bandwidth - Channel bandwidth in Hz
+     * @param {number} noiseFigure - Receiver noise figure in dB
+     * @returns {number} Sensitivity in dBm
+     */
+    calculateSensitivity(spreadingFactor, bandwidth = this.loraParams.bandwidth, noiseFigure = this.loraParams.noiseFigure) {
+        // S = -174 + 10*log10(BW) + NF + SNR_limit(SF)
+        const snrLimit = this.loraParams.demodulationSnr[spreadingFactor];
+        return this.calculateNoiseFloor(bandwidth, noiseFigure) + snrLimit;
+    }
+
+    /**
+     * Calculate LoRa packet time-on-air (Semtech AN1200.13 / SX127x datasheet)
+     * 
+     * @param {string} spreadingFactor - Spreading factor (SF7-SF12)
+     * @param {number} payloadSize - Payload length in bytes
+     * @param {Object} options - {bandwidth, codingRate, preambleLength, explicitHeader, crc, lowDataRateOptimize}
+     * @returns {Object} Airtime breakdown (times in milliseconds)
+     */
+    calculateTimeOnAir(spreadingFactor, payloadSize = this.loraParams.payloadSize, options = {}) {
+        const {
+            bandwidth = this.loraParams.bandwidth,
+            codingRate = this.loraParams.codingRate,
+            preambleLength = this.loraParams.preambleLength,
+            explicitHeader = this.loraParams.explicitHeader,
+            crc = this.loraParams.crc
+        } = options;
+        const sf = parseInt(spreadingFactor.replace('SF', ''), 10);
+        
+        // Symbol duration: Tsym = 2^SF / BW
+        const symbolTime = Math.pow(2, sf) / bandwidth * 1000; // ms
+        
+        // Low data rate optimization is mandated when Tsym exceeds 16 ms
+        const lowDataRateOptimize = options.lowDataRateOptimize ?? symbolTime > 16;
+        
+        // Preamble: (Npreamble + 4.25) * Tsym
+        const preambleTime = (preambleLength + 4.25) * symbolTime;
+        
+        // Payload symbols: 8 + max(ceil((8PL - 4SF + 28 + 16CRC - 20IH) / (4(SF - 2DE))) * CR, 0)
+        const numerator = 8 * payloadSize - 4 * sf + 28 + (crc ? 16 : 0) - (explicitHeader ? 0 : 20);
+        const denominator = 4 * (sf - (lowDataRateOptimize ? 2 : 0));
+        const payloadSymbols = 8 + Math.max(Math.ceil(numerator / denominator) * codingRate, 0);
+        const payloadTime = payloadSymbols * symbolTime;
+        
+        const timeOnAir = preambleTime + payloadTime;
+        
+        return {
+            spreadingFactor: spreadingFactor,
+            payloadSize: payloadSize,
+            symbolTime: symbolTime,
+            preambleTime: preambleTime,
+            payloadSymbols: payloadSymbols,
+            payloadTime: payloadTime,
+            timeOnAir: timeOnAir, // ms
+            lowDataRateOptimize: lowDataRateOptimize,
+            bitrate: payloadSize * 8 / (timeOnAir / 1000) // effective bps
+        };
+    }
+
+    /**
+     * Calculate channel usage limits for a packet under the band plan duty cycle
+     * 
+     * @param {number} timeOnAir - Packet time-on-air in milliseconds
+     * @param {Object} bandPlan - Band plan (default: active plan)
+     * @returns {Object} Duty-cycle budget
+     */
+    calculateDutyCycleBudget(timeOnAir, bandPlan = this.bandPlan) {
+        // Without a duty-cycle rule the channel itself is the only limit
+        const dutyCycle = bandPlan.dutyCycle ?? 1;
+        const airtimePerHour = 3600000 * dutyCycle; // ms
+        
+        return {
+            dutyCycle: bandPlan.dutyCycle,
+            airtimePerHour: airtimePerHour,
+            maxPacketsPerHour: Math.floor(airtimePerHour / timeOnAir),
+            exceedsDwellTime: bandPlan.dwellTime !== null && timeOnAir > bandPlan.dwellTime
+        };
+    }
+
     /**
      * Get optimal LoRa spreading factor based on distance and conditions
      * 
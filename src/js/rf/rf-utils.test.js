@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { rfUtils } from './rf-utils.js';
+import { linkBudgetCalculator } from './link-budget.js';
+
+/**
+ * Sea-level profile, one point per kilometer
+ */
+function flatProfile(distance, elevation = 0) {
+    return Array.from({ length: distance + 1 }, (_, i) => ({ distance: i, elevation: elevation }));
+}
+
+describe('Earth bulge in clearance checks', () => {
+    // 10 m antennas: radio horizon ≈ 26.1 km at k=4/3, ≈ 18.4 km at k=2/3
+    const height = 10;
+
+    it('puts the radio horizon where the line-of-sight check flips', () => {
+        expect(rfUtils.calculateRadioHorizon(height, height, 4 / 3)).toBeCloseTo(26.1, 1);
+        expect(rfUtils.calculateRadioHorizon(height, height, 2 / 3)).toBeCloseTo(18.4, 1);
+    });
+
+    it('sees a flat 22 km path as clear at k=4/3 and obstructed at k=2/3', () => {
+        const profile = flatProfile(22);
+        expect(linkBudgetCalculator.checkLineOfSight(profile, height, height, 4 / 3)).toBe(true);
+        expect(linkBudgetCalculator.checkLineOfSight(profile, height, height, 2 / 3)).toBe(false);
+    });
+
+    it('sees a flat 40 km path as beyond the horizon at either k', () => {
+        const profile = flatProfile(40);
+        expect(linkBudgetCalculator.checkLineOfSight(profile, height, height, 4 / 3)).toBe(false);
+        expect(linkBudgetCalculator.checkLineOfSight(profile, height, height, 2 / 3)).toBe(false);
+    });
+
+    it('reports a flat 40 km path as lacking Fresnel clearance at either k', () => {
+        const profile = flatProfile(40);
+        const standard = rfUtils.analyzeFresnelClearance(profile, height, height, 40, 4 / 3);
+        const worstCase = rfUtils.analyzeFresnelClearance(profile, height, height, 40, 2 / 3);
+
+        expect(standard.hasAdequateClearance).toBe(false);
+        expect(worstCase.hasAdequateClearance).toBe(false);
+        // A smaller k raises the bulge, so the obstruction gets worse
+        const worst = (analysis) => Math.max(...analysis.obstructions.map(o => o.obstruction));
+        expect(worst(worstCase)).toBeGreaterThan(worst(standard));
+    });
+
+    it('clears a short flat path', () => {
+        const analysis = rfUtils.analyzeFresnelClearance(flatProfile(2), 30, 30, 2);
+        expect(analysis.hasAdequateClearance).toBe(true);
+        expect(analysis.obstructions).toHaveLength(0);
+    });
+
+    it('loses Fresnel clearance at k=2/3 that it has at k=4/3', () => {
+        // 10 km, 70% of a 28.6 m zone at midpoint: 22 m antennas clear a
+        // 1.5 m bulge (k=4/3) but not a 2.9 m one (k=2/3)
+        const profile = flatProfile(10);
+        expect(rfUtils.analyzeFresnelClearance(profile, 22, 22, 10, 4 / 3).hasAdequateClearance).toBe(true);
+        expect(rfUtils.analyzeFresnelClearance(profile, 22, 22, 10, 2 / 3).hasAdequateClearance).toBe(false);
+    });
+
+    it('requires the terrain to stay below the line of sight, not above it', () => {
+        // Terrain 5 m under a 10 m line of sight is inside the Fresnel zone of a 2 km path
+        const profile = flatProfile(2).map(point => ({ ...point, elevation: point.distance === 1 ? 5 : 0 }));
+        const analysis = rfUtils.analyzeFresnelClearance(profile, 10, 10, 2);
+
+        expect(analysis.hasAdequateClearance).toBe(false);
+        expect(analysis.obstructions[0].requiredHeight).toBeLessThan(10);
+    });
+});